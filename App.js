@@ -1,8 +1,10 @@
-import { useState } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import {
   DndContext,
   closestCenter,
+  pointerWithin,
   PointerSensor,
+  useDroppable,
   useSensor,
   useSensors
 } from "@dnd-kit/core";
@@ -14,18 +16,130 @@ import {
 } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
 import TreeView from './TreeView'; 
+import ProjectManager from './ProjectManager';
+import {
+  bootstrapProjects,
+  saveWorkspace,
+  loadWorkspace,
+  createProject,
+  renameProject,
+  duplicateProject,
+  deleteProject,
+  linkRemoteProject,
+  setActiveProject,
+  migrateSave,
+  emptyWorkspace,
+  SCHEMA_VERSION
+} from './workspaceStorage';
+import { serializeWorkspace, parseWorkspaceFile, validateWorkspace, pruneOrphanedBranches, describeDroppedBranches, restoreTrainData } from './workspaceFile';
+import {
+  listServerProjects,
+  fetchServerProject,
+  createServerProject,
+  updateServerProject,
+  deleteServerProject,
+  ProjectConflictError
+} from './projectsApi';
+import { streamExplanation } from './explainStream';
+import ExplanationDiff from './ExplanationDiff';
+import useUndoRedo from './useUndoRedo';
+import UndoHistoryPanel from './UndoHistoryPanel';
+import TemplateManager from './TemplateManager';
+import { segmentOutput } from './provenance';
+import { runWithConcurrency } from './concurrency';
+import BatchResultsGrid from './BatchResultsGrid';
+import BlendPanel from './BlendPanel';
+import GraphCanvas from './GraphCanvas';
+import GenerationSettingsPanel from './GenerationSettingsPanel';
+import { describeSettings, resolveSettings } from './generationSettings';
+import ReadabilityMetrics from './ReadabilityMetrics';
+import { computeMetrics } from './readability';
+import JudgePanel from './JudgePanel';
+import { evaluateExplanations, recordVerdict, tallyJudgements } from './evaluateApi';
+import CoveragePanel from './CoveragePanel';
+import { readApiError } from './apiErrors';
+import { apiUrl } from './apiConfig';
+import { withRetry, CancelledError, describeRetry } from './requestRetry';
+import useCollaboration from './useCollaboration';
+import CollaborationPanel, { PeerBadge } from './CollaborationPanel';
+import { checkCoverage, COVERAGE_BADGES } from './coverageApi';
+import {
+  instantiateTemplate,
+  groupByCategory,
+  newTemplateId,
+  serializeTemplatePack,
+  parseTemplatePack,
+  mergeTemplates
+} from './templatePacks';
 
 // Default reusable blocks
 const defaultBlockTemplates = [
-  { type: "Definition", icon: "📘", description: "Clarify what something means" },
-  { type: "Example", icon: "📗", description: "Give a real-world instance" },
-  { type: "Analogy", icon: "📙", description: "Make a comparison" },
-  { type: "Claim", icon: "📕", description: "State an assertion" },
-  { type: "Custom", icon: "➕", description: "Define your own block" }
+  { type: "Definition", icon: "📘", description: "Clarify what something means", category: "Core" },
+  { type: "Example", icon: "📗", description: "Give a real-world instance", category: "Core" },
+  { type: "Analogy", icon: "📙", description: "Make a comparison", category: "Core" },
+  { type: "Claim", icon: "📕", description: "State an assertion", category: "Core" },
+  { type: "Custom", icon: "➕", description: "Define your own block", category: "Core" }
 ];
 
+// How long to wait after the last edit before autosaving
+const AUTOSAVE_DELAY_MS = 500;
+
+// How many trains "Generate All" runs at the same time
+const BATCH_CONCURRENCY = 2;
+
+// The parts of a block the server's prompt templates use
+const blockForPrompt = ({ id, type, description, fullText, instructions }) =>
+  ({ id, type, description, fullText, instructions });
+
+// Sortable metric columns of the history table
+const HISTORY_METRIC_COLUMNS = [
+  { key: "words", label: "Words" },
+  { key: "readingEase", label: "Ease" },
+  { key: "gradeLevel", label: "Grade" },
+  { key: "sentences", label: "Sentences" },
+  { key: "avgSentenceLength", label: "Avg len" },
+  { key: "jargonDensity", label: "Jargon %" }
+];
+
+// Drop zones for whole trains are registered as "train:<trainId>"
+const TRAIN_DROP_PREFIX = "train:";
+
+// Prefer the block under the pointer, then the innermost train under it, then the closest block
+const blockFirstCollision = (args) => {
+  const hits = pointerWithin(args);
+  const blockHits = hits.filter(hit => !String(hit.id).startsWith(TRAIN_DROP_PREFIX));
+  if (blockHits.length > 0) return blockHits;
+
+  const area = (id) => {
+    const rect = args.droppableRects.get(id);
+    return rect ? rect.width * rect.height : Infinity;
+  };
+  if (hits.length > 0) return [...hits].sort((a, b) => area(a.id) - area(b.id)).slice(0, 1);
+
+  return closestCenter(args);
+};
+
+// 🎯 Droppable area for a train, so blocks can be dropped at its end or into an empty train
+function TrainDropZone({ trainId, isDragging, children }) {
+  const { setNodeRef, isOver } = useDroppable({ id: `${TRAIN_DROP_PREFIX}${trainId}` });
+
+  return (
+    <div
+      ref={setNodeRef}
+      className={`flex gap-4 overflow-x-auto pb-2 rounded-lg transition-colors duration-150 min-h-[3rem]
+        ${isOver ? 'bg-blue-50 ring-2 ring-blue-300' : isDragging ? 'ring-1 ring-gray-200' : ''}`}
+    >
+      {children}
+    </div>
+  );
+}
+
 // 🔧 Improved SortableBlock component with better styling
-function SortableBlock({ id, icon, type, description, fullText, onRemove, onGrow, onActivate, isActive }) {
+function SortableBlock({
+  id, icon, type, description, fullText, instructions, blendedFrom,
+  onRemove, onGrow, onActivate, onUpdate, onHover, onToggleSelect, onUnblend,
+  isActive, isHighlighted, showDropIndicator, selectionMode, isSelected, coverage, collaborators = []
+}) {
   const {
     attributes,
     listeners,
@@ -35,6 +149,34 @@ function SortableBlock({ id, icon, type, description, fullText, onRemove, onGrow
   } = useSortable({ id });
 
   const [expanded, setExpanded] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(null);
+
+  const startEditing = () => {
+    setDraft({
+      icon,
+      type,
+      description,
+      fullText: fullText || "",
+      instructions: instructions || ""
+    });
+    setEditing(true);
+  };
+
+  const saveEdits = () => {
+    if (!draft.type.trim()) return;
+    onUpdate(id, {
+      icon: draft.icon.trim() || icon,
+      type: draft.type.trim(),
+      description: draft.description,
+      instructions: draft.instructions.trim(),
+      // Only blended blocks carry fullText
+      ...(fullText !== undefined && { fullText: draft.fullText })
+    });
+    setEditing(false);
+  };
+
+  const editorField = "w-full border p-1.5 rounded text-sm focus:ring-1 focus:ring-blue-400 focus:border-blue-400 outline-none transition";
 
   const style = {
     transform: CSS.Transform.toString(transform),
@@ -46,7 +188,15 @@ function SortableBlock({ id, icon, type, description, fullText, onRemove, onGrow
       ref={setNodeRef}
       style={style}
       className={`bg-white rounded-lg p-4 min-w-[220px] border shadow-sm hover:shadow-md transition-all duration-200 text-sm flex-shrink-0 relative
-        ${isActive ? 'ring-2 ring-blue-400 border-blue-400' : 'hover:border-gray-300'}`}
+        ${isActive ? 'ring-2 ring-blue-400 border-blue-400' : 'hover:border-gray-300'}
+        ${isHighlighted ? 'bg-yellow-50 border-yellow-300' : ''}
+        ${coverage?.status === 'missing' ? 'border-red-300 border-dashed' : ''}
+        ${coverage?.status === 'weak' ? 'border-amber-300' : ''}
+        ${selectionMode ? 'cursor-pointer' : ''}
+        ${isSelected ? 'ring-2 ring-purple-400 border-purple-400 bg-purple-50' : ''}`}
+      onClick={selectionMode ? () => onToggleSelect(id) : undefined}
+      onMouseEnter={() => onHover && onHover([id])}
+      onMouseLeave={() => onHover && onHover([])}
       onDoubleClick={(e) => {
         e.stopPropagation();
         if (onActivate) onActivate(id);
@@ -59,10 +209,47 @@ function SortableBlock({ id, icon, type, description, fullText, onRemove, onGrow
           {...attributes}
           {...listeners}
         >
+          {selectionMode && (
+            <input type="checkbox" checked={Boolean(isSelected)} readOnly className="mr-1 accent-purple-600" />
+          )}
           <span className="text-lg">{icon}</span> 
           <span>{type}</span>
+          {coverage && (
+            <span
+              className={`ml-1 text-[10px] font-normal px-1.5 py-0.5 rounded-full border ${COVERAGE_BADGES[coverage.status].className}`}
+              title={coverage.note || `${COVERAGE_BADGES[coverage.status].label} in the last output`}
+            >
+              {COVERAGE_BADGES[coverage.status].icon}
+            </span>
+          )}
+          {collaborators.map(peer => (
+            <PeerBadge key={peer.clientId} peer={peer} size="w-5 h-5 text-[10px]" />
+          ))}
         </div>
         <div className="flex gap-1">
+          {blendedFrom && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onUnblend(id);
+              }}
+              className="text-xs bg-purple-50 text-purple-600 px-2 py-1 rounded-md hover:bg-purple-100 transition-colors duration-150"
+              title={`Split back into ${blendedFrom.map(b => b.type).join(", ")}`}
+            >
+              ✂️
+            </button>
+          )}
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              if (editing) setEditing(false);
+              else startEditing();
+            }}
+            className="text-xs bg-blue-50 text-blue-600 px-2 py-1 rounded-md hover:bg-blue-100 transition-colors duration-150"
+            title="Edit this block"
+          >
+            ✏️
+          </button>
           <button
             onClick={(e) => {
               e.stopPropagation();
@@ -86,19 +273,87 @@ function SortableBlock({ id, icon, type, description, fullText, onRemove, onGrow
         </div>
       </div>
 
-      {/* Description and expandable content */}
-      <div
-        onClick={() => setExpanded(!expanded)}
-        className="text-gray-600 cursor-pointer hover:text-gray-800 transition-colors duration-150 text-sm"
-      >
-        {description}
-        {expanded && fullText && (
-          <div className="mt-2 text-sm text-gray-500 border-t pt-2 whitespace-pre-wrap">
-            {fullText}
+      {editing ? (
+        /* Inline editor */
+        <div className="space-y-2 pb-4" onDoubleClick={(e) => e.stopPropagation()}>
+          <div className="flex gap-2">
+            <input
+              value={draft.icon}
+              onChange={(e) => setDraft({ ...draft, icon: e.target.value })}
+              className={`${editorField} w-12 text-center`}
+              title="Icon"
+            />
+            <input
+              value={draft.type}
+              onChange={(e) => setDraft({ ...draft, type: e.target.value })}
+              placeholder="Block type"
+              className={editorField}
+            />
           </div>
-        )}
-      </div>
+          <textarea
+            value={draft.description}
+            onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+            placeholder="Description"
+            rows={2}
+            className={editorField}
+          />
+          {fullText !== undefined && (
+            <textarea
+              value={draft.fullText}
+              onChange={(e) => setDraft({ ...draft, fullText: e.target.value })}
+              placeholder="Blended text"
+              rows={4}
+              className={editorField}
+            />
+          )}
+          <textarea
+            value={draft.instructions}
+            onChange={(e) => setDraft({ ...draft, instructions: e.target.value })}
+            placeholder='Instructions (optional), e.g. "use a cooking analogy"'
+            rows={2}
+            className={editorField}
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={saveEdits}
+              disabled={!draft.type.trim()}
+              className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors duration-150 disabled:opacity-50"
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setEditing(false)}
+              className="text-xs bg-gray-100 text-gray-600 px-3 py-1 rounded hover:bg-gray-200 transition-colors duration-150"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        /* Description and expandable content */
+        <div
+          onClick={() => !selectionMode && setExpanded(!expanded)}
+          className="text-gray-600 cursor-pointer hover:text-gray-800 transition-colors duration-150 text-sm"
+        >
+          {description}
+          {expanded && fullText && (
+            <div className="mt-2 text-sm text-gray-500 border-t pt-2 whitespace-pre-wrap">
+              {fullText}
+            </div>
+          )}
+          {instructions && (
+            <div className="mt-2 text-xs text-purple-600 italic">
+              📌 {instructions}
+            </div>
+          )}
+        </div>
+      )}
       
+      {/* Drop indicator: the dragged block will land before this one */}
+      {showDropIndicator && (
+        <div className="absolute -left-3 top-0 bottom-0 w-1 rounded-full bg-blue-500" />
+      )}
+
       {/* Active indicator */}
       {isActive && (
         <div className="absolute top-0 right-0 bg-blue-500 text-white text-xs px-2 py-0.5 rounded-bl rounded-tr-lg">
@@ -115,27 +370,183 @@ function SortableBlock({ id, icon, type, description, fullText, onRemove, onGrow
 }
 
 export default function App() {
+  // Restore the last active project from browser storage
+  const [initialLoad] = useState(bootstrapProjects);
+  const [projectIndex, setProjectIndex] = useState(initialLoad.index);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+
   // Main state
-  const [explanationChain, setExplanationChain] = useState([]);
-  const [customBlocks, setCustomBlocks] = useState([]);
-  const [customName, setCustomName] = useState("");
-  const [customDesc, setCustomDesc] = useState("");
-  const [prompt, setPrompt] = useState("");
+  const [explanationChain, setExplanationChain] = useState(initialLoad.workspace.explanationChain);
+  const [customBlocks, setCustomBlocks] = useState(initialLoad.workspace.customBlocks);
+  const [prompt, setPrompt] = useState(initialLoad.workspace.prompt);
   const [loading, setLoading] = useState(false);
-  const [parallelTrains, setParallelTrains] = useState({});
-  const [activeTrain, setActiveTrain] = useState("main");
-  const [trainOutputs, setTrainOutputs] = useState({});
-  const [explanationHistory, setExplanationHistory] = useState([]);
+  const [parallelTrains, setParallelTrains] = useState(initialLoad.workspace.parallelTrains);
+  const [activeTrain, setActiveTrain] = useState(initialLoad.workspace.activeTrain);
+  const [trainOutputs, setTrainOutputs] = useState(initialLoad.workspace.trainOutputs);
+  const [explanationHistory, setExplanationHistory] = useState(initialLoad.workspace.explanationHistory);
+  const [streamingOutput, setStreamingOutput] = useState(null); // { trainId, text } while a generation streams in
+  const [trainProvenance, setTrainProvenance] = useState(initialLoad.workspace.trainProvenance); // trainId -> [{ start, end, blockIds }]
+  const [generationSettings, setGenerationSettings] = useState(initialLoad.workspace.generationSettings);
+  const [trainSettings, setTrainSettings] = useState(initialLoad.workspace.trainSettings); // trainId -> overrides
+  const [jargonList, setJargonList] = useState(initialLoad.workspace.jargonList);
+  const [rubric, setRubric] = useState(initialLoad.workspace.rubric);
+  const [judging, setJudging] = useState(false);
+  const [trainCoverage, setTrainCoverage] = useState(initialLoad.workspace.trainCoverage); // trainId -> { checkedAt, results }
+  const [coverageChecking, setCoverageChecking] = useState(null); // trainId being checked
+  const [skipCache, setSkipCache] = useState(false); // ask the model even when the server has a cached answer
+  const [retryNotices, setRetryNotices] = useState({}); // trainId or "blend" -> pending retry
+  const generationAbort = useRef(null); // cancels the running generation or batch
+  const blendAbort = useRef(null); // cancels the running blend preview
+  const [historySort, setHistorySort] = useState({ key: "timestamp", direction: "desc" });
+  const [hoveredBlockIds, setHoveredBlockIds] = useState([]); // blocks linked to whatever is under the pointer
+  const [batchStatus, setBatchStatus] = useState({}); // trainId -> { status, error? } for "Generate All"
+  const [batchRunning, setBatchRunning] = useState(false);
+  const [dragState, setDragState] = useState(null); // { activeId, overId } while a block is dragged
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [structureView, setStructureView] = useState("list"); // "list" or "graph"
+  const [blendSelection, setBlendSelection] = useState({ trainId: null, blockIds: [] });
+  const [blendPreview, setBlendPreview] = useState(null); // { blocks, trainId, text, loading }
   const [selectedExplanations, setSelectedExplanations] = useState([null, null]);
   const [showComparison, setShowComparison] = useState(false);
+  const [showDiff, setShowDiff] = useState(true);
   const [activeTab, setActiveTab] = useState("blocks"); // "blocks", "history", or "help"
   const [isCompareModalOpen, setIsCompareModalOpen] = useState(false);
 
   const blockTemplates = [...defaultBlockTemplates, ...customBlocks];
   const sensors = useSensors(useSensor(PointerSensor));
+  const activeProjectId = projectIndex.activeProjectId;
+
+  // ↩️ Undo/redo covers the block structure and the per-train data that removing
+  // blocks drops; the ref always holds the latest render's values
+  const structureRef = useRef(null);
+  structureRef.current = {
+    explanationChain, parallelTrains, customBlocks, activeTrain,
+    trainOutputs, trainProvenance, trainSettings, trainCoverage
+  };
+  const undoStack = useUndoRedo(
+    () => structureRef.current,
+    (snapshot) => {
+      const trainData = restoreTrainData(snapshot, structureRef.current);
+      setExplanationChain(snapshot.explanationChain);
+      setParallelTrains(snapshot.parallelTrains);
+      setCustomBlocks(snapshot.customBlocks);
+      setActiveTrain(snapshot.activeTrain);
+      setTrainOutputs(trainData.trainOutputs);
+      setTrainProvenance(trainData.trainProvenance);
+      setTrainSettings(trainData.trainSettings);
+      setTrainCoverage(trainData.trainCoverage);
+    }
+  );
+
+  // 🤝 Live session: the structure and outputs are shared with everyone in the room
+  const keyedSetters = { parallelTrains: setParallelTrains, trainOutputs: setTrainOutputs, trainProvenance: setTrainProvenance };
+  const applyRemoteUnit = ([unit, key], value) => {
+    if (unit === "explanationChain") return setExplanationChain(value);
+    if (unit === "customBlocks") return setCustomBlocks(value);
+    keyedSetters[unit](prev => {
+      if (value !== null) return { ...prev, [key]: value };
+      const { [key]: _, ...rest } = prev;
+      return rest;
+    });
+  };
+  const collaboration = useCollaboration(
+    { explanationChain, customBlocks, parallelTrains, trainOutputs, trainProvenance },
+    applyRemoteUnit,
+    { activeTrain, blockId: hoveredBlockIds.length === 1 ? hoveredBlockIds[0] : null }
+  );
+
+  // Snapshot of everything that belongs to a project; changes identity whenever any part does
+  const collectWorkspace = useCallback(() => ({
+    prompt,
+    explanationChain,
+    parallelTrains,
+    customBlocks,
+    trainOutputs,
+    trainProvenance,
+    explanationHistory,
+    generationSettings,
+    trainSettings,
+    jargonList,
+    rubric,
+    trainCoverage,
+    activeTrain
+  }), [prompt, explanationChain, parallelTrains, customBlocks, trainOutputs, trainProvenance, explanationHistory, generationSettings, trainSettings, jargonList, rubric, trainCoverage, activeTrain]);
+
+  // Replace the current workspace with a loaded one; a live session stays with the old one
+  const applyWorkspace = (workspace) => {
+    if (collaboration.status !== "offline") collaboration.leave();
+    setPrompt(workspace.prompt);
+    setExplanationChain(workspace.explanationChain);
+    setParallelTrains(workspace.parallelTrains);
+    setCustomBlocks(workspace.customBlocks);
+    setTrainOutputs(workspace.trainOutputs);
+    setTrainProvenance(workspace.trainProvenance);
+    setExplanationHistory(workspace.explanationHistory);
+    setGenerationSettings(workspace.generationSettings);
+    setTrainSettings(workspace.trainSettings);
+    setJargonList(workspace.jargonList);
+    setRubric(workspace.rubric);
+    setTrainCoverage(workspace.trainCoverage);
+    setActiveTrain(workspace.activeTrain);
+    setSelectedExplanations([null, null]);
+    setShowComparison(false);
+    setActiveTab("blocks");
+    setBatchStatus({});
+    undoStack.reset();
+  };
+
+  // 💾 Autosave the workspace shortly after each change
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      if (saveWorkspace(activeProjectId, collectWorkspace())) {
+        setLastSavedAt(Date.now());
+      }
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [activeProjectId, collectWorkspace]);
+
+  // 📂 Project management
+  const handleSwitchProject = (projectId) => {
+    if (projectId === activeProjectId) return;
+    saveWorkspace(activeProjectId, collectWorkspace());
+    setProjectIndex(setActiveProject(projectIndex, projectId));
+    applyWorkspace(loadWorkspace(projectId));
+  };
+
+  const handleCreateProject = () => {
+    const name = window.prompt("📁 Name for the new project:", "Untitled Project");
+    if (name === null) return;
+
+    saveWorkspace(activeProjectId, collectWorkspace());
+    const { index, project } = createProject(projectIndex, name.trim());
+    setProjectIndex(index);
+    applyWorkspace(loadWorkspace(project.id));
+  };
+
+  const handleRenameProject = (projectId, name) => {
+    setProjectIndex(renameProject(projectIndex, projectId, name));
+  };
+
+  const handleDuplicateProject = (projectId) => {
+    // Flush pending edits so the copy is up to date
+    saveWorkspace(activeProjectId, collectWorkspace());
+    const { index, project } = duplicateProject(projectIndex, projectId);
+    if (!project) return;
+    setProjectIndex(index);
+    applyWorkspace(loadWorkspace(project.id));
+  };
+
+  const handleDeleteProject = (projectId) => {
+    const index = deleteProject(projectIndex, projectId);
+    setProjectIndex(index);
+    if (index.activeProjectId !== activeProjectId) {
+      applyWorkspace(loadWorkspace(index.activeProjectId));
+    }
+  };
 
-  // Helper to find block from anywhere in the data structure
-  const findBlock = (id) => {
+  // Helper to find block from anywhere in the data structure; stable until the blocks change
+  const findBlock = useCallback((id) => {
     const inMain = explanationChain.find(b => b.id === id);
     if (inMain) return inMain;
     
@@ -146,37 +557,99 @@ export default function App() {
     }
     
     return null;
-  };
-
-  // ➕ Add custom block type
-  const handleAddCustom = () => {
-    if (!customName || !customDesc) return;
+  }, [explanationChain, parallelTrains]);
 
-    const newBlock = {
-      type: customName,
-      description: customDesc,
-      icon: "🔧"
-    };
-
-    setCustomBlocks([...customBlocks, newBlock]);
-    
-    // Also add an instance to the active train
-    const blockInstance = {
-      ...newBlock,
-      id: `custom-${Date.now()}`
-    };
-    
+  // Append a block to whichever train is active
+  const addBlockToActiveTrain = (block) => {
     if (activeTrain === "main") {
-      setExplanationChain(prev => [...prev, blockInstance]);
+      setExplanationChain(prev => [...prev, block]);
     } else {
       setParallelTrains(prev => ({
         ...prev,
-        [activeTrain]: [...(prev[activeTrain] || []), blockInstance]
+        [activeTrain]: [...(prev[activeTrain] || []), block]
       }));
     }
+  };
+
+  // ➕ Add custom block type
+  const handleAddCustom = (template) => {
+    const newTemplate = { ...template, id: newTemplateId() };
+    if (!newTemplate.instructions) delete newTemplate.instructions;
+
+    undoStack.record(`Create custom block "${newTemplate.type}"`);
+    setCustomBlocks([...customBlocks, newTemplate]);
+    
+    // Also add an instance to the active train
+    addBlockToActiveTrain(instantiateTemplate(newTemplate));
+  };
+
+  // 🧰 Manage the custom template library
+  const handleUpdateTemplate = (templateId, changes) => {
+    const template = customBlocks.find(t => t.id === templateId);
+    if (!template) return;
+
+    undoStack.record(`Edit template "${template.type}"`);
+    setCustomBlocks(prev => prev.map(t => {
+      if (t.id !== templateId) return t;
+      const updated = { ...t, ...changes };
+      if (!updated.instructions) delete updated.instructions;
+      return updated;
+    }));
+  };
+
+  const handleDeleteTemplate = (templateId) => {
+    const template = customBlocks.find(t => t.id === templateId);
+    if (!template) return;
+
+    undoStack.record(`Delete template "${template.type}"`);
+    setCustomBlocks(prev => prev.filter(t => t.id !== templateId));
+  };
+
+  const handleMoveTemplate = (templateId, direction) => {
+    const from = customBlocks.findIndex(t => t.id === templateId);
+    const to = from + direction;
+    if (from === -1 || to < 0 || to >= customBlocks.length) return;
+
+    undoStack.record(`Reorder template "${customBlocks[from].type}"`);
+    setCustomBlocks(arrayMove(customBlocks, from, to));
+  };
+
+  const handleExportTemplatePack = () => {
+    const blob = new Blob([serializeTemplatePack(customBlocks)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `block-templates-${Date.now()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImportTemplatePack = async (file) => {
+    let text;
+    try {
+      text = await file.text();
+    } catch (e) {
+      console.error("❌ Template pack read error:", e);
+      alert("Could not read the selected file.");
+      return;
+    }
+
+    const { templates, errors } = parseTemplatePack(text);
+    if (errors.length) {
+      alert(`⚠️ Could not import "${file.name}":\n\n- ${errors.join("\n- ")}`);
+      return;
+    }
 
-    setCustomName("");
-    setCustomDesc("");
+    const merged = mergeTemplates(customBlocks, templates);
+    if (merged.added > 0) {
+      undoStack.record(`Import ${merged.added} template${merged.added === 1 ? "" : "s"}`);
+      setCustomBlocks(merged.templates);
+    }
+    alert(
+      `🧰 Imported ${merged.added} template${merged.added === 1 ? "" : "s"}` +
+      (merged.skipped ? ` (${merged.skipped} already in the library).` : ".")
+    );
   };
   
   // 🌱 Grow a block into a branch
@@ -192,6 +665,7 @@ export default function App() {
       description: `Expanding on: ${blockToGrow.description}`,
     };
   
+    undoStack.record(`Branch from ${blockToGrow.type}`);
     setParallelTrains(prev => ({
       ...prev,
       [id]: [...(prev[id] || []), newBlock]
@@ -201,199 +675,528 @@ export default function App() {
     setActiveTrain(id);
   };
 
-  // 🔀 Blend blocks together
-  const blendBlocks = async (selectedBlocks) => {
-    if (!selectedBlocks || selectedBlocks.length < 2) return;
- 
-    const blockDescriptions = selectedBlocks
-      .map((block) => `(${block.type}) - ${block.description}`)
-      .join("\n");
- 
-    const promptText = `
-      You are tasked with writing a single, natural explanation by blending the communicative purposes of the following explanation blocks.
-
-Instructions:
-- Seamlessly integrate the ideas as if explaining to an intelligent, curious reader.
-- Reflect the specific purpose and nuance of each block within the final explanation.
-- Do not copy block labels, numbers, or headings.
-- Maintain a smooth, coherent narrative; avoid abrupt transitions.
-- Match tone naturally to the block content (e.g., if a block is an analogy, weave it conversationally).
-- Output only the final paragraph — no titles, introductions, or commentary.
-- If a block relates to something specific, especially a language or person, weight those blocks much more highly.
-- If a block mentions a language, explain only in that language. Otherwise, explain in English
-
-      Blocks:
-      ${blockDescriptions}
-    `;
- 
-    try {
-      const response = await fetch("http://localhost:5000/api/explain", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ prompt: promptText }),
+  // ✏️ Update fields of a block wherever it lives in the tree
+  const handleUpdateBlock = (id, changes) => {
+    const block = findBlock(id);
+    if (!block) return;
+
+    undoStack.record(`Edit ${block.type}`);
+    const applyChanges = (blocks) => blocks.map(b => (b.id === id ? { ...b, ...changes } : b));
+
+    if (explanationChain.some(b => b.id === id)) {
+      setExplanationChain(prev => applyChanges(prev));
+    } else {
+      setParallelTrains(prev => {
+        const next = {};
+        for (const parentId in prev) next[parentId] = applyChanges(prev[parentId]);
+        return next;
       });
+    }
+  };
+
+  // 🔀 Ask the model for one passage that blends the purposes of several blocks
+  const fetchBlendText = async (selectedBlocks, trainId, signal) => {
+    const response = await fetch(apiUrl("/api/explain"), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        template: "blend",
+        prompt,
+        blocks: selectedBlocks.map(blockForPrompt),
+        settings: settingsForTrain(trainId)
+      }),
+      signal
+    });
  
-      const data = await response.json();
- 
-      const blendedBlock = {
-        id: `blend-${Date.now()}`,
-        type: selectedBlocks.map((b) => b.type).join("+"),
-        icon: "🧬",
-        description: "🧬 Blended block — click to expand",
-        fullText: data.output || "⚠️ No result.",
+    if (!response.ok) throw await readApiError(response);
+    const data = await response.json();
+    return data.output || "⚠️ No result.";
+  };
+
+  // Every branch key in the subtree below a block (its branches, their blocks' branches, ...)
+  const collectBranchKeys = (blockId, trains = parallelTrains) => {
+    const keys = [];
+    const visit = (id) => {
+      if (!trains[id]) return;
+      keys.push(id);
+      trains[id].forEach(b => visit(b.id));
+    };
+    visit(blockId);
+    return keys;
+  };
+
+  // 🧬 Replace the selected blocks with one blended block that keeps them inside
+  const applyBlend = (selectedBlocks, trainId, text) => {
+    const selectedIds = selectedBlocks.map(b => b.id);
+    const trainBlocks = getTrainBlocks(trainId);
+    // Keep the original order of the sources within the train
+    const sources = trainBlocks.filter(b => selectedIds.includes(b.id));
+    if (sources.length < 2) return;
+
+    // Park the sources' branches on the blended block so unblending can restore them
+    const branchKeys = sources.flatMap(b => collectBranchKeys(b.id));
+    const nextTrains = { ...parallelTrains };
+    const blendedBranches = {};
+    branchKeys.forEach(key => {
+      blendedBranches[key] = nextTrains[key];
+      delete nextTrains[key];
+    });
+
+    const blendedBlock = {
+      id: `blend-${Date.now()}`,
+      type: sources.map((b) => b.type).join("+"),
+      icon: "🧬",
+      description: "🧬 Blended block — click to expand",
+      fullText: text,
+      blendedFrom: sources,
+      ...(branchKeys.length > 0 && { blendedBranches })
+    };
+
+    // The blend takes the place of the first source
+    const insertAt = trainBlocks.findIndex(b => selectedIds.includes(b.id));
+    const nextBlocks = trainBlocks.filter(b => !selectedIds.includes(b.id));
+    nextBlocks.splice(insertAt, 0, blendedBlock);
+
+    undoStack.record(`Blend ${blendedBlock.type}`);
+    if (trainId === "main") {
+      setExplanationChain(nextBlocks);
+    } else {
+      nextTrains[trainId] = nextBlocks;
+    }
+    setParallelTrains(nextTrains);
+    if (branchKeys.includes(activeTrain) || selectedIds.includes(activeTrain)) {
+      setActiveTrain(trainId);
+    }
+  };
+
+  // ✂️ Split a blended block back into its source blocks and their branches
+  const handleUnblend = (blendedId) => {
+    const trainId = findTrainOf(blendedId);
+    const blended = findBlock(blendedId);
+    if (!blended?.blendedFrom || trainId === null) return;
+
+    const trainBlocks = getTrainBlocks(trainId);
+    const index = trainBlocks.findIndex(b => b.id === blendedId);
+    const nextBlocks = [
+      ...trainBlocks.slice(0, index),
+      ...blended.blendedFrom,
+      ...trainBlocks.slice(index + 1)
+    ];
+
+    // The blend's own branches are dropped; the sources' branches come back
+    const nextTrains = { ...parallelTrains, ...(blended.blendedBranches || {}) };
+    collectBranchKeys(blendedId).forEach(key => delete nextTrains[key]);
+
+    undoStack.record(`Unblend ${blended.type}`);
+    if (trainId === "main") {
+      setExplanationChain(nextBlocks);
+    } else {
+      nextTrains[trainId] = nextBlocks;
+    }
+    setParallelTrains(nextTrains);
+    if (activeTrain === blendedId) setActiveTrain(trainId);
+  };
+
+  // ☑️ Blend selection: blocks can only be blended within one train
+  const handleToggleSelect = (blockId) => {
+    const trainId = findTrainOf(blockId);
+    setBlendPreview(null);
+    setBlendSelection(prev => {
+      if (prev.trainId !== trainId) return { trainId, blockIds: [blockId] };
+      return {
+        trainId,
+        blockIds: prev.blockIds.includes(blockId)
+          ? prev.blockIds.filter(id => id !== blockId)
+          : [...prev.blockIds, blockId]
       };
- 
-      // Add blended block to the active train
-      if (activeTrain === "main") {
-        setExplanationChain(prev => 
-          prev.filter(b => !selectedBlocks.some(sel => sel.id === b.id)).concat(blendedBlock)
-        );
-      } else {
-        setParallelTrains(prev => {
-          const currentBranch = prev[activeTrain] || [];
-          return {
-            ...prev,
-            [activeTrain]: currentBranch
-              .filter(b => !selectedBlocks.some(sel => sel.id === b.id))
-              .concat(blendedBlock)
-          };
-        });
-      }
+    });
+  };
+
+  const selectedBlendBlocks = blendSelection.blockIds.map(findBlock).filter(Boolean);
+
+  const handlePreviewBlend = async () => {
+    const blocks = selectedBlendBlocks;
+    if (blocks.length < 2) return;
+
+    const controller = new AbortController();
+    blendAbort.current = controller;
+    setBlendPreview({ blocks, trainId: blendSelection.trainId, text: "", loading: true });
+    try {
+      const text = await withRetry(
+        ({ signal }) => fetchBlendText(blocks, blendSelection.trainId, signal),
+        { signal: controller.signal, onRetry: (retry) => noteRetry("blend", retry) }
+      );
+      setBlendPreview({ blocks, trainId: blendSelection.trainId, text, loading: false });
     } catch (e) {
-      console.error("❌ Blend error:", e);
-      alert("Something went wrong blending the blocks.");
+      if (!(e instanceof CancelledError)) {
+        console.error("❌ Blend error:", e);
+        alert(`Could not blend the blocks: ${e.message}`);
+      }
+      setBlendPreview(null);
+    } finally {
+      clearRetryNotice("blend");
+      blendAbort.current = null;
+    }
+  };
+
+  const handleCancelBlend = () => blendAbort.current?.abort();
+
+  const handleApplyBlend = () => {
+    if (!blendPreview) return;
+    applyBlend(blendPreview.blocks, blendPreview.trainId, blendPreview.text);
+    setBlendPreview(null);
+    setBlendSelection({ trainId: null, blockIds: [] });
+    setSelectionMode(false);
+  };
+
+  // Train a block lives in: "main", the id of the block it branches from, or null
+  const findTrainOf = (blockId) => {
+    if (explanationChain.some(b => b.id === blockId)) return "main";
+    for (const parentId in parallelTrains) {
+      if (parallelTrains[parentId].some(b => b.id === blockId)) return parentId;
+    }
+    return null;
+  };
+
+  // True if `trainId` is the block's own branch or nested anywhere below it
+  const isWithinBranchesOf = (trainId, blockId) => {
+    let current = trainId;
+    while (current && current !== "main") {
+      if (current === blockId) return true;
+      current = findTrainOf(current);
+    }
+    return false;
+  };
+
+  // 🚚 Move a block into another train; its own branches travel with it
+  const moveBlockToTrain = (blockId, targetTrain, beforeBlockId) => {
+    const sourceTrain = findTrainOf(blockId);
+    const block = findBlock(blockId);
+    if (!block || sourceTrain === null) return;
+
+    if (isWithinBranchesOf(targetTrain, blockId)) {
+      alert(`🌿 "${block.type}" can't be moved into one of its own branches.`);
+      return;
+    }
+
+    undoStack.record(`Move ${block.type} to ${getTrainName(targetTrain)}`);
+
+    let nextChain = explanationChain;
+    const nextTrains = { ...parallelTrains };
+
+    // Take it out of the source train, dropping the branch entry if it is left empty
+    if (sourceTrain === "main") {
+      nextChain = nextChain.filter(b => b.id !== blockId);
+    } else {
+      nextTrains[sourceTrain] = nextTrains[sourceTrain].filter(b => b.id !== blockId);
+      if (nextTrains[sourceTrain].length === 0) delete nextTrains[sourceTrain];
+    }
+
+    // Insert it before the drop target, or at the end of the train
+    const insert = (blocks) => {
+      const index = blocks.findIndex(b => b.id === beforeBlockId);
+      return index === -1
+        ? [...blocks, block]
+        : [...blocks.slice(0, index), block, ...blocks.slice(index)];
+    };
+    if (targetTrain === "main") {
+      nextChain = insert(nextChain);
+    } else {
+      nextTrains[targetTrain] = insert(nextTrains[targetTrain] || []);
     }
-  };  
+
+    setExplanationChain(nextChain);
+    setParallelTrains(nextTrains);
+    if (activeTrain === sourceTrain && !nextTrains[sourceTrain] && sourceTrain !== "main") {
+      setActiveTrain(targetTrain);
+    }
+  };
+
+  const handleDragStart = ({ active }) => {
+    setDragState({ activeId: active.id, overId: null });
+  };
+
+  const handleDragOver = ({ active, over }) => {
+    setDragState({ activeId: active.id, overId: over?.id ?? null });
+  };
 
   // Handle drag end for sortable blocks
-  const handleDragEnd = async (event) => {
+  const handleDragEnd = (event) => {
+    setDragState(null);
     const { active, over } = event;
     if (!over || active.id === over.id) return;
- 
-    // Get the blocks involved
-    const activeBlock = findBlock(active.id);
-    const overBlock = findBlock(over.id);
- 
-    // If both blocks exist and are different, offer to blend
-    if (overBlock && activeBlock && overBlock.id !== activeBlock.id) {
-      const confirmBlend = window.confirm(
-        `🧬 Blend "${activeBlock.type}" with "${overBlock.type}"?`
-      );
-      if (confirmBlend) {
-        await blendBlocks([activeBlock, overBlock]);
-        return;
-      }
+
+    const sourceTrain = findTrainOf(active.id);
+    const overIsTrain = String(over.id).startsWith(TRAIN_DROP_PREFIX);
+    const targetTrain = overIsTrain ? String(over.id).slice(TRAIN_DROP_PREFIX.length) : findTrainOf(over.id);
+    if (sourceTrain === null || targetTrain === null) return;
+
+    // Dropped into a different train: move it there
+    if (sourceTrain !== targetTrain) {
+      moveBlockToTrain(active.id, targetTrain, overIsTrain ? null : over.id);
+      return;
     }
+    if (overIsTrain) return;
  
-    // Only reorder in the same train
-    if (activeTrain === "main") {
+    // Reorder within the train
+    if (sourceTrain === "main") {
       const oldIndex = explanationChain.findIndex(b => b.id === active.id);
       const newIndex = explanationChain.findIndex(b => b.id === over.id);
       if (oldIndex !== -1 && newIndex !== -1) {
+        undoStack.record(`Move ${explanationChain[oldIndex].type}`);
         const newChain = arrayMove(explanationChain, oldIndex, newIndex);
         setExplanationChain(newChain);
       }
     } else {
-      const currentBranch = parallelTrains[activeTrain] || [];
+      const currentBranch = parallelTrains[sourceTrain] || [];
       const oldIndex = currentBranch.findIndex(b => b.id === active.id);
       const newIndex = currentBranch.findIndex(b => b.id === over.id);
       if (oldIndex !== -1 && newIndex !== -1) {
+        undoStack.record(`Move ${currentBranch[oldIndex].type}`);
         const newBranch = arrayMove(currentBranch, oldIndex, newIndex);
         setParallelTrains(prev => ({
           ...prev,
-          [activeTrain]: newBranch
+          [sourceTrain]: newBranch
         }));
       }
     }
   };
- 
-  // Generate explanation from blocks
-  const generateExplanation = async () => {
-    const currentBlocks = activeTrain === "main"
-      ? explanationChain
-      : parallelTrains[activeTrain] || [];
-  
-    if (!prompt || currentBlocks.length === 0) return;
-  
-    const structureList = currentBlocks.map(block => `- ${block.description}`).join("\n");
-  
-    const systemPrompt = `
-     You are an excellent explainer tasked with writing a natural, paragraph-style explanation.
-
-Instructions:
-- Seamlessly weave together the communicative intentions listed below.
-- Assume the reader is intelligent and curious.
-- Prioritize clarity, cohesion, and conciseness — avoid unnecessary verbosity.
-- Do not use headings, numbers, bullet points, or explicit references to block types.
-- Output only the final paragraph, without any introductory phrases or commentary.
-- If a block relates to something specific, especially a language or person, weight those blocks much more highly.
-- If a block mentions a language, explain only in that language. Otherwise, explain in English
-      Prompt: "${prompt}"
-      
-      Structure Hints:
-      ${structureList}
-    `;
+ 
+  // Blocks of a train ("main" or the id of the block it branches from)
+  const getTrainBlocks = (trainId) =>
+    trainId === "main" ? explanationChain : parallelTrains[trainId] || [];
+
+  const getTrainName = (trainId) =>
+    trainId === "main" ? "Main Chain" : `Branch: ${findBlock(trainId)?.type || "Unknown"}`;
+
+  // What a collaborator is looking at, e.g. "Main Chain · Analogy"
+  const describePresence = (peer) => {
+    if (!peer.activeTrain) return "Just joined";
+    const block = peer.blockId && findBlock(peer.blockId);
+    return block ? `${getTrainName(peer.activeTrain)} · ${block.type}` : getTrainName(peer.activeTrain);
+  };
+
+  // 🎛️ Project settings with the train's own overrides on top
+  const settingsForTrain = (trainId) => resolveSettings(generationSettings, trainSettings[trainId]);
+
+  const handleChangeProjectSetting = (key, value) =>
+    setGenerationSettings(prev => ({ ...prev, [key]: value }));
+
+  const handleChangeTrainSetting = (key, value) =>
+    setTrainSettings(prev => ({ ...prev, [activeTrain]: { ...prev[activeTrain], [key]: value } }));
+
+  const handleResetTrainSettings = () =>
+    setTrainSettings(prev => {
+      const { [activeTrain]: _, ...rest } = prev;
+      return rest;
+    });
+
+  // Build the generation request for a train; the server turns it into a prompt.
+  // Blocks listed in `emphasize` are flagged so the model gives them extra weight.
+  const buildGenerationRequest = (trainId, emphasize = []) => ({
+    template: "explain",
+    prompt,
+    blocks: getTrainBlocks(trainId).map(block => ({
+      ...blockForPrompt(block),
+      ...(emphasize.includes(block.id) && { emphasize: true })
+    })),
+    settings: settingsForTrain(trainId),
+    ...(skipCache && { cache: false })
+  });
+
+  // Save a finished generation to trainOutputs and history; returns the output text
+  const storeGeneration = (trainId, data) => {
+    const output = data.output || "⚠️ No explanation returned.";
+  
+    // Store in trainOutputs as before
+    setTrainOutputs(prev => ({
+      ...prev,
+      [trainId]: output
+    }));
+    setTrainProvenance(prev => ({
+      ...prev,
+      [trainId]: data.provenance || []
+    }));
+    // Coverage was checked against the previous output
+    setTrainCoverage(prev => {
+      const { [trainId]: _, ...rest } = prev;
+      return rest;
+    });
+    
+    // Also add to history with metadata
+    const newHistoryEntry = {
+      id: `explanation-${Date.now()}-${trainId}`,
+      explanation: output,
+      timestamp: new Date().toISOString(),
+      trainId,
+      trainName: getTrainName(trainId),
+      prompt: prompt,
+      // The structure it was generated from, so it can be judged after the train changes
+      blocks: getTrainBlocks(trainId).map(blockForPrompt),
+      provenance: data.provenance || [],
+      ...(data.template && { template: data.template }),
+      settings: data.settings || settingsForTrain(trainId),
+      metrics: computeMetrics(output, jargonList),
+      ...(data.cached && { cached: true, cachedAt: data.cachedAt })
+    };
+    
+    setExplanationHistory(prev => [...prev, newHistoryEntry]);
+    return output;
+  };
+
+  const storeGenerationError = (trainId, message = "Something went wrong.") => {
+    setTrainOutputs(prev => ({
+      ...prev,
+      [trainId]: `⚠️ ${message}`
+    }));
+    setTrainProvenance(prev => ({
+      ...prev,
+      [trainId]: []
+    }));
+  };
+
+  // Generate explanation from blocks
+  const generateExplanation = () => generateTrain(activeTrain);
+
+  // 🔁 Show a pending retry until the request settles
+  const noteRetry = (key, { retry, retries, delayMs, error }) =>
+    setRetryNotices(prev => ({ ...prev, [key]: { retry, retries, delayMs, message: error.message } }));
+
+  const clearRetryNotice = (key) =>
+    setRetryNotices(prev => {
+      const { [key]: _, ...rest } = prev;
+      return rest;
+    });
+
+  // Stream one train's explanation, retrying transient failures; a retry starts the text over
+  const requestGeneration = async (trainId, { emphasize, signal, onDelta }) => {
+    try {
+      return await withRetry(
+        ({ signal: attemptSignal, touch }) => streamExplanation(buildGenerationRequest(trainId, emphasize), {
+          signal: attemptSignal,
+          onDelta: (text) => {
+            touch();
+            if (onDelta) onDelta(text);
+          }
+        }),
+        {
+          signal,
+          onRetry: (retry) => {
+            noteRetry(trainId, retry);
+            if (onDelta) onDelta("");
+          }
+        }
+      );
+    } finally {
+      clearRetryNotice(trainId);
+    }
+  };
+
+  // Resolves with the stored output, or null if nothing was generated
+  const generateTrain = async (trainId, { emphasize } = {}) => {
+    const currentBlocks = getTrainBlocks(trainId);
   
+    if (!prompt || currentBlocks.length === 0) return null;
+
+    const controller = new AbortController();
+    generationAbort.current = controller;
     try {
       setLoading(true);
+      setStreamingOutput({ trainId, text: "" });
+      setActiveTab("output");
   
-      const response = await fetch("http://localhost:5000/api/explain", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          prompt: systemPrompt
-        }),
+      // Render partial text as it streams in
+      const data = await requestGeneration(trainId, {
+        emphasize,
+        signal: controller.signal,
+        onDelta: (text) => setStreamingOutput({ trainId, text })
       });
-  
-      const data = await response.json();
-      const output = data.output || "⚠️ No explanation returned.";
-  
-      // Store in trainOutputs as before
-      setTrainOutputs(prev => ({
-        ...prev,
-        [activeTrain]: output
-      }));
-      
-      // Also add to history with metadata
-      const newHistoryEntry = {
-        id: `explanation-${Date.now()}`,
-        explanation: output,
-        timestamp: new Date().toISOString(),
-        trainId: activeTrain,
-        trainName: activeTrain === "main" 
-          ? "Main Chain" 
-          : `Branch: ${findBlock(activeTrain)?.type || "Unknown"}`,
-        prompt: prompt
-      };
-      
-      setExplanationHistory(prev => [...prev, newHistoryEntry]);
-      
-      // Automatically switch to the output tab
-      setActiveTab("output");
+      return storeGeneration(trainId, data);
     } catch (e) {
+      // A cancelled generation keeps the previous output
+      if (e instanceof CancelledError) return null;
       console.error("Frontend GPT error:", e);
-      setTrainOutputs(prev => ({
+      storeGenerationError(trainId, e.message);
+      return null;
+    } finally {
+      generationAbort.current = null;
+      setStreamingOutput(null);
+      setLoading(false);
+    }
+  };
+
+  // ⏹ Stop the running generation (or every train of a batch)
+  const handleCancelGeneration = () => generationAbort.current?.abort();
+
+  // 🔎 Ask the checker which of the train's blocks made it into its output
+  const handleCheckCoverage = async (trainId = activeTrain, output = trainOutputs[trainId]) => {
+    const blocks = getTrainBlocks(trainId);
+    if (!output || blocks.length === 0) return;
+
+    setCoverageChecking(trainId);
+    try {
+      const results = await checkCoverage({ prompt, blocks: blocks.map(blockForPrompt), output });
+      setTrainCoverage(prev => ({
         ...prev,
-        [activeTrain]: "⚠️ Something went wrong."
+        [trainId]: { checkedAt: new Date().toISOString(), results }
       }));
+    } catch (e) {
+      console.error("❌ Coverage check error:", e);
+      alert(`Could not check coverage: ${e.message}`);
     } finally {
-      setLoading(false);
+      setCoverageChecking(null);
     }
   };
+
+  // 🔁 Regenerate with the weak and missing blocks emphasized, then check again
+  const handleRegenerateWithEmphasis = async (blockIds) => {
+    const trainId = activeTrain;
+    const output = await generateTrain(trainId, { emphasize: blockIds });
+    if (output) await handleCheckCoverage(trainId, output);
+  };
+
+  // A block's coverage in the last check of the train it belongs to
+  const coverageOf = (trainId, blockId) =>
+    trainCoverage[trainId]?.results.find(result => result.blockId === blockId);
+
+  // ⚡ Generate every train (main chain and all branches) a few at a time
+  const generateAllTrains = async () => {
+    // Walk the tree from the main chain so branches left without a parent are skipped
+    const trainIds = ["main", ...explanationChain.flatMap(b => collectBranchKeys(b.id))]
+      .filter(trainId => getTrainBlocks(trainId).length > 0);
+    if (!prompt || trainIds.length === 0) return;
+
+    const controller = new AbortController();
+    generationAbort.current = controller;
+    setBatchRunning(true);
+    setBatchStatus(Object.fromEntries(trainIds.map(trainId => [trainId, { status: "queued" }])));
+    setActiveTab("output");
+
+    const updateStatus = (trainId, status) =>
+      setBatchStatus(prev => ({ ...prev, [trainId]: status }));
+
+    await runWithConcurrency(trainIds, BATCH_CONCURRENCY, async (trainId) => {
+      if (controller.signal.aborted) return updateStatus(trainId, { status: "cancelled" });
+      updateStatus(trainId, { status: "running" });
+      try {
+        const data = await requestGeneration(trainId, { signal: controller.signal });
+        storeGeneration(trainId, data);
+        updateStatus(trainId, { status: "done" });
+      } catch (e) {
+        if (e instanceof CancelledError) return updateStatus(trainId, { status: "cancelled" });
+        console.error(`❌ Batch generation error (${trainId}):`, e);
+        storeGenerationError(trainId, e.message);
+        updateStatus(trainId, { status: "error", error: e.message });
+      }
+    });
+
+    generationAbort.current = null;
+    setBatchRunning(false);
+  };
   
-  // 💾 Save to JSON
+  // 💾 Save the whole workspace (all trains, templates, outputs and history) to JSON
   const handleSaveAsJson = () => {
-    const activeBlocks = activeTrain === "main" 
-      ? explanationChain 
-      : parallelTrains[activeTrain] || [];
-    
-    const data = {
-      prompt,
-      structure: activeBlocks,
-      explanation: trainOutputs[activeTrain] || ""
-    };
-
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+    const blob = new Blob([serializeWorkspace(collectWorkspace())], { type: "application/json" });
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement("a");
@@ -403,6 +1206,132 @@ Instructions:
     URL.revokeObjectURL(url);
   };
 
+  // ☁️ Save the active project to the shared server storage
+  const handleSaveToServer = async () => {
+    const project = projectIndex.projects.find(p => p.id === activeProjectId);
+    if (!project) return;
+
+    const workspace = collectWorkspace();
+    saveWorkspace(activeProjectId, workspace);
+
+    try {
+      let saved;
+      if (!project.remote) {
+        saved = await createServerProject(project.name, workspace);
+      } else {
+        try {
+          saved = await updateServerProject(project.remote.id, project.remote.revision, {
+            name: project.name,
+            workspace
+          });
+        } catch (e) {
+          if (!(e instanceof ProjectConflictError)) throw e;
+
+          const overwrite = window.confirm(
+            `⚠️ Someone saved "${project.name}" on the server since you last synced ` +
+            `(now revision ${e.current.revision}).\n\nOverwrite the server copy with your version?`
+          );
+          if (!overwrite) return;
+
+          saved = await updateServerProject(project.remote.id, e.current.revision, {
+            name: project.name,
+            workspace
+          });
+        }
+      }
+
+      setProjectIndex(prev =>
+        linkRemoteProject(prev, project.id, { id: saved.id, revision: saved.revision })
+      );
+    } catch (e) {
+      console.error("❌ Server save error:", e);
+      alert(`Could not save to the server: ${e.message}`);
+    }
+  };
+
+  // ☁️ Open a server project, reusing the local copy linked to it if there is one
+  const handleOpenFromServer = async (remoteId) => {
+    try {
+      const remoteProject = await fetchServerProject(remoteId);
+      const migrated = migrateSave({ schemaVersion: SCHEMA_VERSION, workspace: remoteProject.workspace });
+      const errors = validateWorkspace(migrated.workspace);
+      if (errors.length) {
+        alert(`⚠️ The server copy of "${remoteProject.name}" is invalid:\n\n- ${errors.join("\n- ")}`);
+        return;
+      }
+      const { workspace, dropped } = pruneOrphanedBranches(migrated.workspace);
+      if (dropped.length) alert(`⚠️ "${remoteProject.name}": ${describeDroppedBranches(dropped)}`);
+
+      const remote = { id: remoteProject.id, revision: remoteProject.revision };
+      saveWorkspace(activeProjectId, collectWorkspace());
+
+      let index = projectIndex;
+      let localId = index.projects.find(p => p.remote?.id === remoteProject.id)?.id;
+      if (localId) {
+        saveWorkspace(localId, workspace);
+        index = setActiveProject(renameProject(index, localId, remoteProject.name), localId);
+      } else {
+        const created = createProject(index, remoteProject.name, workspace);
+        index = created.index;
+        localId = created.project.id;
+      }
+
+      setProjectIndex(linkRemoteProject(index, localId, remote));
+      applyWorkspace(workspace);
+    } catch (e) {
+      console.error("❌ Server open error:", e);
+      alert(`Could not open the project from the server: ${e.message}`);
+    }
+  };
+
+  const handleListServerProjects = async () => {
+    try {
+      return await listServerProjects();
+    } catch (e) {
+      console.error("❌ Server list error:", e);
+      alert(`Could not reach the project server: ${e.message}`);
+      return null;
+    }
+  };
+
+  const handleDeleteServerProject = async (remoteProject) => {
+    try {
+      await deleteServerProject(remoteProject.id, remoteProject.revision);
+      // Unlink any local copy so the next save creates a fresh server project
+      const linked = projectIndex.projects.find(p => p.remote?.id === remoteProject.id);
+      if (linked) setProjectIndex(prev => linkRemoteProject(prev, linked.id, undefined));
+      return true;
+    } catch (e) {
+      console.error("❌ Server delete error:", e);
+      alert(`Could not delete the server project: ${e.message}`);
+      return false;
+    }
+  };
+
+  // 📥 Import a workspace JSON file as a new project
+  const handleImportJson = async (file) => {
+    let text;
+    try {
+      text = await file.text();
+    } catch (e) {
+      console.error("❌ Import read error:", e);
+      alert("Could not read the selected file.");
+      return;
+    }
+
+    const { workspace, errors, warnings } = parseWorkspaceFile(text);
+    if (!workspace) {
+      alert(`⚠️ Could not import "${file.name}":\n\n- ${errors.join("\n- ")}`);
+      return;
+    }
+    if (warnings.length) alert(`⚠️ Imported "${file.name}" with changes:\n\n- ${warnings.join("\n- ")}`);
+
+    saveWorkspace(activeProjectId, collectWorkspace());
+    const { index, project } = createProject(projectIndex, file.name.replace(/\.json$/i, ""), workspace);
+    setProjectIndex(index);
+    applyWorkspace(loadWorkspace(project.id));
+  };
+
   // 📝 Export to Markdown
   const handleSaveAsMarkdown = () => {
     const activeBlocks = activeTrain === "main" 
@@ -425,19 +1354,37 @@ Instructions:
     URL.revokeObjectURL(url);
   };
 
+  // Outputs, provenance, settings and coverage of trains that no longer exist
+  const dropTrainData = (trainIds) => {
+    if (trainIds.length === 0) return;
+    const without = (prev) => {
+      const next = { ...prev };
+      trainIds.forEach(id => delete next[id]);
+      return next;
+    };
+    setTrainOutputs(without);
+    setTrainProvenance(without);
+    setTrainSettings(without);
+    setTrainCoverage(without);
+  };
+
   // 🗑️ Remove a block from the main chain
   const handleRemoveMainBlock = (idToRemove) => {
+    undoStack.record(`Remove ${findBlock(idToRemove)?.type || "block"}`);
     setExplanationChain(prev => prev.filter(b => b.id !== idToRemove));
     
-    // Clean up any branches associated with this block
-    if (parallelTrains[idToRemove]) {
+    // Clean up every branch below this block, not just its own
+    const branchKeys = collectBranchKeys(idToRemove);
+    if (branchKeys.length) {
       setParallelTrains(prev => {
-        const { [idToRemove]: _, ...rest } = prev;
-        return rest;
+        const next = { ...prev };
+        branchKeys.forEach(key => delete next[key]);
+        return next;
       });
+      dropTrainData(branchKeys);
       
       // Reset active train if necessary
-      if (activeTrain === idToRemove || parallelTrains[idToRemove]?.some(b => b.id === activeTrain)) {
+      if (branchKeys.includes(activeTrain)) {
         setActiveTrain("main");
       }
     }
@@ -445,20 +1392,90 @@ Instructions:
 
   // 🗑️ Remove a block from a branch
   const handleRemoveBranchBlock = (parentId, idToRemove) => {
+    undoStack.record(`Remove ${findBlock(idToRemove)?.type || "block"}`);
+    const branchKeys = collectBranchKeys(idToRemove);
     setParallelTrains(prev => {
       const branch = prev[parentId] || [];
-      return {
+      const next = {
         ...prev,
         [parentId]: branch.filter(b => b.id !== idToRemove)
       };
+      branchKeys.forEach(key => delete next[key]);
+      return next;
     });
+    dropTrainData(branchKeys);
     
     // Reset active train if necessary
-    if (activeTrain === idToRemove) {
+    if (activeTrain === idToRemove || branchKeys.includes(activeTrain)) {
       setActiveTrain(parentId);
     }
   };
 
+  // 🗑️ Remove a block wherever it lives in the tree
+  const handleRemoveBlock = (id) => {
+    const trainId = findTrainOf(id);
+    if (trainId === "main") handleRemoveMainBlock(id);
+    else if (trainId !== null) handleRemoveBranchBlock(trainId, id);
+  };
+
+  // 📑 Copy a block together with every branch below it, right after the original
+  const handleDuplicateBranch = (id) => {
+    const trainId = findTrainOf(id);
+    const block = findBlock(id);
+    if (!block || trainId === null) return;
+
+    const stamp = Date.now();
+    let counter = 0;
+    const idMap = {};
+    const copyId = (oldId) => {
+      idMap[oldId] = `copy-${stamp}-${counter++}`;
+      return idMap[oldId];
+    };
+
+    const nextTrains = { ...parallelTrains };
+    const copySubtree = (blockId) => {
+      if (!parallelTrains[blockId]) return;
+      nextTrains[idMap[blockId]] = parallelTrains[blockId].map(b => ({ ...b, id: copyId(b.id) }));
+      parallelTrains[blockId].forEach(b => copySubtree(b.id));
+    };
+    const copy = { ...block, id: copyId(block.id), type: `${block.type} (copy)` };
+    copySubtree(block.id);
+
+    const trainBlocks = getTrainBlocks(trainId);
+    const index = trainBlocks.findIndex(b => b.id === id);
+    const nextBlocks = [...trainBlocks.slice(0, index + 1), copy, ...trainBlocks.slice(index + 1)];
+
+    undoStack.record(`Duplicate ${block.type}`);
+    if (trainId === "main") {
+      setExplanationChain(nextBlocks);
+    } else {
+      nextTrains[trainId] = nextBlocks;
+    }
+    setParallelTrains(nextTrains);
+  };
+
+  const handleRenameBlock = (id) => {
+    const block = findBlock(id);
+    if (!block) return;
+    const type = window.prompt("Rename block:", block.type);
+    if (type && type.trim() && type.trim() !== block.type) {
+      handleUpdateBlock(id, { type: type.trim() });
+    }
+  };
+
+  // 🌳 Reparent from the tree: the block moves to the end of the target train
+  const handleReparentBlock = (blockId, targetTrain) => {
+    if (findTrainOf(blockId) === targetTrain) return;
+    moveBlockToTrain(blockId, targetTrain, null);
+  };
+
+  // Show an insertion bar on a block when another train's block is dragged over it
+  const showsDropIndicator = (blockId, trainId) =>
+    Boolean(dragState) &&
+    dragState.overId === blockId &&
+    dragState.activeId !== blockId &&
+    findTrainOf(dragState.activeId) !== trainId;
+
   // 🔄 Render branch blocks
   const renderBranch = (parentId) => {
     const branchBlocks = parallelTrains[parentId] || [];
@@ -479,32 +1496,42 @@ Instructions:
             </span>
           )}
         </div>
-        <div className="flex gap-4 overflow-x-auto pb-2">
-          <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
-            <SortableContext 
-              items={branchBlocks.map(b => b.id)}
-              strategy={horizontalListSortingStrategy}
-            >
-              {branchBlocks.map(block => (
-                <div key={block.id}>
-                  <SortableBlock
-                    id={block.id}
-                    icon={block.icon}
-                    type={block.type}
-                    description={block.description}
-                    fullText={block.fullText}
-                    onRemove={() => handleRemoveBranchBlock(parentId, block.id)}
-                    onGrow={handleGrowBlock}
-                    onActivate={setActiveTrain}
-                    isActive={activeTrain === block.id}
-                  />
-                  {/* Render nested branches */}
-                  {renderBranch(block.id)}
-                </div>
-              ))}
-            </SortableContext>
-          </DndContext>
-        </div>
+        <TrainDropZone trainId={parentId} isDragging={Boolean(dragState)}>
+          <SortableContext 
+            items={branchBlocks.map(b => b.id)}
+            strategy={horizontalListSortingStrategy}
+          >
+            {branchBlocks.map(block => (
+              <div key={block.id}>
+                <SortableBlock
+                  id={block.id}
+                  icon={block.icon}
+                  type={block.type}
+                  description={block.description}
+                  fullText={block.fullText}
+                  instructions={block.instructions}
+                  blendedFrom={block.blendedFrom}
+                  onUpdate={handleUpdateBlock}
+                  onToggleSelect={handleToggleSelect}
+                  onUnblend={handleUnblend}
+                  selectionMode={selectionMode}
+                  isSelected={blendSelection.blockIds.includes(block.id)}
+                  onHover={setHoveredBlockIds}
+                  isHighlighted={hoveredBlockIds.includes(block.id)}
+                  onRemove={() => handleRemoveBranchBlock(parentId, block.id)}
+                  onGrow={handleGrowBlock}
+                  onActivate={setActiveTrain}
+                  isActive={activeTrain === block.id}
+                  coverage={coverageOf(parentId, block.id)}
+                  collaborators={collaboration.others.filter(peer => peer.blockId === block.id)}
+                  showDropIndicator={showsDropIndicator(block.id, parentId)}
+                />
+                {/* Render nested branches */}
+                {renderBranch(block.id)}
+              </div>
+            ))}
+          </SortableContext>
+        </TrainDropZone>
       </div>
     );
   };
@@ -529,18 +1556,76 @@ Instructions:
           <h3 className="text-lg font-semibold text-blue-700 mb-2">Working with Blocks</h3>
           <div className="space-y-2 text-gray-600">
             <p><strong>Add blocks:</strong> Click on block types in the tray to add them to your active chain</p>
-            <p><strong>Rearrange blocks:</strong> Drag and drop to reorder</p>
+            <p><strong>Rearrange blocks:</strong> Drag and drop to reorder, or drag a block into another train (main chain or any branch) to move it there along with its own branches</p>
             <p><strong>Create branches:</strong> Click the "Branch" button on any block to create a branch</p>
-            <p><strong>Blend blocks:</strong> Drag one block onto another and confirm to blend them</p>
+            <p><strong>Blend blocks:</strong> Click "Blend Blocks", select two or more blocks in the same train, preview the blended text and apply it. Click ✂️ on a blended block to split it back into its parts</p>
             <p><strong>Activate a branch:</strong> Double-click any block to make it the active target for new blocks</p>
+            <p><strong>Graph view:</strong> Switch to "🕸️ Graph" to see the prompt, main chain and every branch as a node-link graph. Drag to pan, scroll to zoom, click a node to activate its train, and use "Export SVG" to save the whole graph for slides</p>
+            <p><strong>Structure tree:</strong> Click ▸/▾ to collapse or expand a subtree, drag a node onto another to move it into that node's branch, and right-click a node to rename, delete, duplicate its branch or generate it. Click the tree and use the arrow keys to move around, Enter to activate. 📄 marks trains that already have an output</p>
+            <p><strong>Template library:</strong> Click "Manage templates" to edit, reorder or delete your custom block types, or import and export them as a template pack to share with your team</p>
+            <p><strong>Edit blocks:</strong> Click ✏️ on a block to change its icon, type, description or blended text, and to add instructions such as "use a cooking analogy" that are passed to the generator</p>
+            <p><strong>Generation settings:</strong> Open "Generation Settings" to set the audience or reading level, tone, approximate length and output language for the project. Any train can override them; leave a field empty to inherit. Generating and blending both use the active train's settings, and each history entry remembers the settings it was made with</p>
+            <p><strong>Undo mistakes:</strong> Press Ctrl+Z (Cmd+Z on Mac) to undo and Ctrl+Shift+Z to redo any structural edit, including blends and removals</p>
           </div>
         </section>
         
+        <section>
+          <h3 className="text-lg font-semibold text-blue-700 mb-2">Generating Every Train</h3>
+          <p className="text-gray-600">
+            Click "Generate All Trains" to generate the main chain and every branch in one go.
+            Each train's structure is shown next to its output so you can compare them, and hovering a sentence in an output highlights the blocks it came from.
+          </p>
+        </section>
+
         <section>
           <h3 className="text-lg font-semibold text-blue-700 mb-2">Comparing Explanations</h3>
           <p className="text-gray-600">
             After generating multiple explanations, use the History tab to compare different versions side by side.
             Click "Compare Left" and "Compare Right" to select which explanations to compare.
+            With "Highlight differences" on, inserted words are shown in green and deleted words in red, inline or side by side.
+          </p>
+        </section>
+
+        <section>
+          <h3 className="text-lg font-semibold text-blue-700 mb-2">Judging Explanations</h3>
+          <p className="text-gray-600">
+            With two explanations selected for comparison, click "Judge" to have the model score both against the rubric (accuracy, clarity, engagement and structure fit by default) and pick a winner.
+            Each score comes with a short justification, the verdict is recorded on both history entries, and the history table shows each entry's wins, losses and ties.
+            Click the rubric to change the criteria or their weights.
+          </p>
+        </section>
+
+        <section>
+          <h3 className="text-lg font-semibold text-blue-700 mb-2">Readability Metrics</h3>
+          <p className="text-gray-600">
+            Every explanation is scored for Flesch reading ease and grade level, word and sentence counts, average sentence length and jargon density.
+            The scores appear under the output and as columns in the history table; click a column heading to sort by it.
+            Click "Jargon list" to edit the words that count as jargon for this project.
+          </p>
+        </section>
+
+        <section>
+          <h3 className="text-lg font-semibold text-blue-700 mb-2">Live Sessions</h3>
+          <p className="text-gray-600">
+            Click "Start new session" and share the code, or enter a teammate's code and click "Join", to build the same tree together.
+            The chain, branches, custom blocks and outputs stay in sync; when two people change the same train at once, the change that reaches the server last wins.
+            Each collaborator's colored badge shows on the block they are pointing at, and the session panel lists which train everyone is on. Switching projects leaves the session.
+          </p>
+        </section>
+
+        <section>
+          <h3 className="text-lg font-semibold text-blue-700 mb-2">Stopping and Retries</h3>
+          <p className="text-gray-600">
+            Click "Stop Generating" to cancel a running generation or batch, or "Cancel" next to a blend preview; the previous output is kept.
+            If the model times out or is briefly unavailable, the request is retried a couple of times and the retry is shown above the output.
+          </p>
+        </section>
+
+        <section>
+          <h3 className="text-lg font-semibold text-blue-700 mb-2">Structure Coverage</h3>
+          <p className="text-gray-600">
+            Click "Check coverage" under an output to see whether each block's intent made it in. Blocks are marked ✅ present, ⚠️ weak or ❌ missing, in the panel and on the blocks themselves.
+            "Regenerate with emphasis" generates the train again with the weak and missing blocks flagged for extra weight, then checks it again.
           </p>
         </section>
       </div>
@@ -575,114 +1660,283 @@ Instructions:
         </div>
       </div>
 
+      {/* 🎛️ Audience, tone, length and language */}
+      <GenerationSettingsPanel
+        projectSettings={generationSettings}
+        trainOverrides={trainSettings[activeTrain] || {}}
+        trainName={getTrainName(activeTrain)}
+        onChangeProject={handleChangeProjectSetting}
+        onChangeTrain={handleChangeTrainSetting}
+        onResetTrain={handleResetTrainSettings}
+      />
+
+      {/* ↩️ Undo / Redo */}
+      <UndoHistoryPanel
+        past={undoStack.past}
+        future={undoStack.future}
+        canUndo={undoStack.canUndo}
+        canRedo={undoStack.canRedo}
+        onUndo={undoStack.undo}
+        onRedo={undoStack.redo}
+      />
+
       {/* 🧩 Block Tray */}
       <div className="bg-white p-4 rounded-xl border shadow-sm mb-6">
         <h3 className="text-sm font-semibold text-gray-700 mb-3">Available Blocks</h3>
-        <div className="flex gap-3 overflow-x-auto pb-2">
-          {blockTemplates.map((block, index) => (
-            <button
-              key={index}
-              onClick={() => {
-                const newBlock = { 
-                  ...block, 
-                  id: `${block.type.replace(/\s+/g, '-')}-${Date.now()}` 
-                };
-                
-                if (activeTrain === "main") {
-                  setExplanationChain(prev => [...prev, newBlock]);
-                } else {
-                  setParallelTrains(prev => {
-                    const currentBranch = prev[activeTrain] || [];
-                    return {
-                      ...prev,
-                      [activeTrain]: [...currentBranch, newBlock]
-                    };
-                  });
-                }
-              }}
-              className="px-4 py-2 bg-white border rounded-lg shadow-sm hover:shadow hover:border-blue-200 transition-all duration-150 text-sm whitespace-nowrap flex items-center gap-1.5"
-            >
-              <span className="text-lg">{block.icon}</span> 
-              <span>{block.type}</span>
-            </button>
-          ))}
-        </div>
+        {groupByCategory(blockTemplates).map(group => (
+          <div key={group.category} className="mb-2 last:mb-0">
+            <div className="text-xs uppercase tracking-wide text-gray-400 mb-1">{group.category}</div>
+            <div className="flex gap-3 overflow-x-auto pb-2">
+              {group.templates.map((block, index) => (
+                <button
+                  key={block.id || index}
+                  onClick={() => {
+                    undoStack.record(`Add ${block.type}`);
+                    addBlockToActiveTrain(instantiateTemplate(block));
+                  }}
+                  title={block.description}
+                  className="px-4 py-2 bg-white border rounded-lg shadow-sm hover:shadow hover:border-blue-200 transition-all duration-150 text-sm whitespace-nowrap flex items-center gap-1.5"
+                >
+                  <span className="text-lg">{block.icon}</span> 
+                  <span>{block.type}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
       </div>
 
-      {/* ➕ Custom Block */}
-      <div className="bg-white p-4 rounded-xl border shadow-sm mb-6">
-        <h3 className="text-sm font-semibold text-gray-700 mb-3">Create a Custom Block</h3>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-3">
-          <input
-            value={customName}
-            onChange={(e) => setCustomName(e.target.value)}
-            placeholder="Block name (e.g. Counterexample)"
-            className="border p-2 rounded focus:ring-1 focus:ring-blue-400 focus:border-blue-400 outline-none transition"
-          />
-          <input
-            value={customDesc}
-            onChange={(e) => setCustomDesc(e.target.value)}
-            placeholder="Description: what should this block do?"
-            className="border p-2 rounded focus:ring-1 focus:ring-blue-400 focus:border-blue-400 outline-none transition"
-          />
-        </div>
-        <button
-          onClick={handleAddCustom}
-          disabled={!customName || !customDesc}
-          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed"
-        >
-          Add Custom Block
-        </button>
-      </div>
+      {/* ➕ Custom Block & template library */}
+      <TemplateManager
+        templates={customBlocks}
+        onCreate={handleAddCustom}
+        onUpdate={handleUpdateTemplate}
+        onDelete={handleDeleteTemplate}
+        onMove={handleMoveTemplate}
+        onImportPack={handleImportTemplatePack}
+        onExportPack={handleExportTemplatePack}
+      />
 
-      {/* 🚂 Main Explanation Chain */}
-      <div className="bg-white p-4 rounded-xl border shadow-sm mb-6">
-        <h3 className="text-sm font-semibold text-gray-700 mb-3">Main Chain</h3>
-        <div className="flex gap-4 overflow-x-auto pb-2">
-          {explanationChain.length === 0 ? (
-            <div className="text-gray-400 text-sm italic p-4 border border-dashed rounded-lg w-full text-center">
-              Add blocks from the tray above to build your explanation structure
-            </div>
-          ) : (
-            <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
-              <SortableContext
-                items={explanationChain.map(b => b.id)}
-                strategy={horizontalListSortingStrategy}
-              >
-                {explanationChain.map(block => (
-                  <div key={block.id}>
-                    <SortableBlock
-                      id={block.id}
-                      icon={block.icon}
-                      type={block.type}
-                      description={block.description}
-                      fullText={block.fullText}
-                      onRemove={handleRemoveMainBlock}
-                      onGrow={handleGrowBlock}
-                      onActivate={setActiveTrain}
-                      isActive={activeTrain === block.id}
-                    />
-                  </div>
-                ))}
-              </SortableContext>
-            </DndContext>
-          )}
-        </div>
+      {/* 🧬 Multi-select blending */}
+      <BlendPanel
+        selectionMode={selectionMode}
+        selectedBlocks={selectedBlendBlocks}
+        preview={blendPreview}
+        onToggleSelectionMode={() => {
+          setSelectionMode(!selectionMode);
+          setBlendSelection({ trainId: null, blockIds: [] });
+          setBlendPreview(null);
+        }}
+        onPreview={handlePreviewBlend}
+        onCancelPreview={handleCancelBlend}
+        retryNotice={retryNotices.blend}
+        onChangePreviewText={(text) => setBlendPreview(prev => ({ ...prev, text }))}
+        onApply={handleApplyBlend}
+        onDiscardPreview={() => setBlendPreview(null)}
+      />
+
+      {/* 🔀 Switch between the block editor and the graph canvas */}
+      <div className="flex justify-end gap-1 mb-3">
+        {[["list", "🧱 Blocks"], ["graph", "🕸️ Graph"]].map(([view, label]) => (
+          <button
+            key={view}
+            onClick={() => setStructureView(view)}
+            className={`text-xs px-3 py-1.5 rounded transition-colors duration-150
+              ${structureView === view ? 'bg-blue-600 text-white' : 'bg-white border text-gray-600 hover:bg-gray-50'}`}
+          >
+            {label}
+          </button>
+        ))}
       </div>
+
+      {structureView === "graph" ? (
+        <GraphCanvas
+          prompt={prompt}
+          explanationChain={explanationChain}
+          parallelTrains={parallelTrains}
+          activeTrain={activeTrain}
+          trainOutputs={trainOutputs}
+          highlightedBlockIds={hoveredBlockIds}
+          onSelectTrain={setActiveTrain}
+          onHoverBlock={setHoveredBlockIds}
+        />
+      ) : (
+        // One drag context spans every train so blocks can move between them
+        <DndContext
+          sensors={sensors}
+          collisionDetection={blockFirstCollision}
+          onDragStart={handleDragStart}
+          onDragOver={handleDragOver}
+          onDragEnd={handleDragEnd}
+          onDragCancel={() => setDragState(null)}
+        >
+          {/* 🚂 Main Explanation Chain */}
+          <div className="bg-white p-4 rounded-xl border shadow-sm mb-6">
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">Main Chain</h3>
+            <TrainDropZone trainId="main" isDragging={Boolean(dragState)}>
+              {explanationChain.length === 0 ? (
+                <div className="text-gray-400 text-sm italic p-4 border border-dashed rounded-lg w-full text-center">
+                  Add blocks from the tray above to build your explanation structure
+                </div>
+              ) : (
+                <SortableContext
+                  items={explanationChain.map(b => b.id)}
+                  strategy={horizontalListSortingStrategy}
+                >
+                  {explanationChain.map(block => (
+                    <div key={block.id}>
+                      <SortableBlock
+                        id={block.id}
+                        icon={block.icon}
+                        type={block.type}
+                        description={block.description}
+                        fullText={block.fullText}
+                        instructions={block.instructions}
+                        blendedFrom={block.blendedFrom}
+                        onUpdate={handleUpdateBlock}
+                        onToggleSelect={handleToggleSelect}
+                        onUnblend={handleUnblend}
+                        selectionMode={selectionMode}
+                        isSelected={blendSelection.blockIds.includes(block.id)}
+                        onHover={setHoveredBlockIds}
+                        isHighlighted={hoveredBlockIds.includes(block.id)}
+                        onRemove={handleRemoveMainBlock}
+                        onGrow={handleGrowBlock}
+                        onActivate={setActiveTrain}
+                        isActive={activeTrain === block.id}
+                        coverage={coverageOf("main", block.id)}
+                        collaborators={collaboration.others.filter(peer => peer.blockId === block.id)}
+                        showDropIndicator={showsDropIndicator(block.id, "main")}
+                      />
+                    </div>
+                  ))}
+                </SortableContext>
+              )}
+            </TrainDropZone>
+          </div>
       
-      {/* 🌳 Branches */}
-      {explanationChain.map(block => renderBranch(block.id))}
+          {/* 🌳 Branches */}
+          {explanationChain.map(block => renderBranch(block.id))}
+        </DndContext>
+      )}
     </>
   );
 
+  // 📏 Rescore every history entry whenever the jargon list changes
+  const handleChangeJargonList = (list) => {
+    setJargonList(list);
+    setExplanationHistory(prev => prev.map(entry => ({
+      ...entry,
+      metrics: computeMetrics(entry.explanation, list)
+    })));
+  };
+
+  // ⚖️ Ask the judge to compare the two selected entries and record the verdict on both
+  const handleJudgePair = async () => {
+    const [left, right] = selectedExplanations;
+    if (!left || !right) return;
+    if (left.id === right.id) {
+      alert("Pick two different explanations to judge.");
+      return;
+    }
+    const leftPrompt = left.prompt ?? prompt;
+    if ((right.prompt ?? prompt) !== leftPrompt) {
+      alert("These explanations answer different prompts. Pick two written for the same prompt to judge them.");
+      return;
+    }
+
+    setJudging(true);
+    try {
+      // Entries from before blocks were stored fall back to the train's current structure
+      const evaluation = await evaluateExplanations({
+        prompt: leftPrompt,
+        explanations: [left, right].map(entry => ({
+          id: entry.id,
+          text: entry.explanation,
+          blocks: entry.blocks || getTrainBlocks(entry.trainId).map(blockForPrompt)
+        })),
+        rubric
+      });
+      const next = recordVerdict(explanationHistory, evaluation, left.id, right.id);
+      setExplanationHistory(next);
+      setSelectedExplanations(prev => prev.map(entry => entry && (next.find(h => h.id === entry.id) || entry)));
+    } catch (e) {
+      console.error("❌ Judge error:", e);
+      alert(`Could not judge these explanations: ${e.message}`);
+    } finally {
+      setJudging(false);
+    }
+  };
+
+  // Entries from before metrics existed are scored on the fly
+  const metricsFor = (entry) => entry.metrics || computeMetrics(entry.explanation, jargonList);
+
+  const toggleHistorySort = (key) =>
+    setHistorySort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === "desc" ? "asc" : "desc"
+    }));
+
+  const sortedHistory = explanationHistory
+    .map((entry, index) => ({ entry, index, metrics: metricsFor(entry) }))
+    .sort((a, b) => {
+      const valueOf = (row) => (historySort.key === "timestamp" ? row.index : row.metrics[historySort.key]);
+      const difference = valueOf(a) - valueOf(b);
+      return historySort.direction === "asc" ? difference : -difference;
+    });
+
+  const sortArrow = (key) =>
+    historySort.key === key ? (historySort.direction === "asc" ? " ▲" : " ▼") : "";
+
+  // Text shown in the output panel: the live stream for this train, else its saved output
+  const isStreamingActiveTrain = streamingOutput?.trainId === activeTrain;
+  const displayedOutput = isStreamingActiveTrain ? streamingOutput.text : trainOutputs[activeTrain];
+  const activeTrainBlocks = activeTrain === "main" ? explanationChain : parallelTrains[activeTrain] || [];
+  const latestActiveEntry = [...explanationHistory].reverse().find(entry => entry.trainId === activeTrain);
+  const showsCachedOutput = !isStreamingActiveTrain && latestActiveEntry?.cached && latestActiveEntry.explanation === displayedOutput;
+
+  // 🧭 Output split into spans that know which blocks produced them
+  const outputSegments = isStreamingActiveTrain || !displayedOutput
+    ? [{ text: displayedOutput || "", blockIds: [] }]
+    : segmentOutput(displayedOutput, trainProvenance[activeTrain]);
+  const hasProvenance = outputSegments.some(segment => segment.blockIds.length > 0);
+
+  const batchTrains = Object.entries(batchStatus).map(([trainId, status]) => ({
+    trainId,
+    name: getTrainName(trainId),
+    blocks: getTrainBlocks(trainId),
+    output: status.status === "done" ? trainOutputs[trainId] : null,
+    retry: retryNotices[trainId],
+    ...status
+  }));
+
   // Render the explanation output and history
   const renderOutputAndHistory = () => (
     <>
+      {/* ⚡ Results of "Generate All" */}
+      {batchTrains.length > 0 && (
+        <BatchResultsGrid
+          trains={batchTrains}
+          activeTrain={activeTrain}
+          running={batchRunning}
+          onSelectTrain={setActiveTrain}
+          onClose={() => setBatchStatus({})}
+        />
+      )}
+
       {/* Explanation Output */}
-      {trainOutputs[activeTrain] && (
+      {(displayedOutput || isStreamingActiveTrain) && (
         <div className="bg-white p-6 rounded-xl border shadow-sm mb-8">
           <h2 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
             <span className="text-xl">🧠</span> Explanation
+            {showsCachedOutput && (
+              <span
+                className="text-xs font-normal bg-gray-100 text-gray-500 px-2 py-0.5 rounded-full"
+                title={`Served from the server cache (first generated ${new Date(latestActiveEntry.cachedAt).toLocaleString()})`}
+              >
+                💾 cached
+              </span>
+            )}
           </h2>
           <div
             className="whitespace-pre-wrap text-gray-700 leading-relaxed p-4 bg-gray-50 rounded-lg border cursor-text"
@@ -698,6 +1952,7 @@ Instructions:
                     description: selection
                   };
                   
+                  undoStack.record("Add highlighted text as block");
                   if (activeTrain === "main") {
                     setExplanationChain(prev => [...prev, newBlock]);
                   } else {
@@ -716,15 +1971,82 @@ Instructions:
               }
             }}
           >
-            {trainOutputs[activeTrain]}
+            {outputSegments.map((segment, i) => (
+              segment.blockIds.length === 0 ? (
+                <span key={i}>{segment.text}</span>
+              ) : (
+                <span
+                  key={i}
+                  onMouseEnter={() => setHoveredBlockIds(segment.blockIds)}
+                  onMouseLeave={() => setHoveredBlockIds([])}
+                  className={`rounded-sm transition-colors duration-150 ${
+                    segment.blockIds.some(id => hoveredBlockIds.includes(id))
+                      ? 'bg-yellow-200'
+                      : 'hover:bg-yellow-100'
+                  }`}
+                >
+                  {segment.text}
+                </span>
+              )
+            ))}
+            {isStreamingActiveTrain && (
+              <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-gray-400 animate-pulse" />
+            )}
           </div>
+          {retryNotices[activeTrain] && (
+            <div className="mt-2 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded px-3 py-2">
+              {describeRetry(retryNotices[activeTrain])}
+            </div>
+          )}
+
+          {/* Blocks of this train; hover one to see where it shows up */}
+          {hasProvenance && (
+            <div className="flex flex-wrap gap-2 mt-3">
+              {activeTrainBlocks.map(block => (
+                <span
+                  key={block.id}
+                  onMouseEnter={() => setHoveredBlockIds([block.id])}
+                  onMouseLeave={() => setHoveredBlockIds([])}
+                  className={`text-xs px-2 py-1 rounded-full border cursor-default transition-colors duration-150 ${
+                    hoveredBlockIds.includes(block.id)
+                      ? 'bg-yellow-100 border-yellow-300 text-yellow-800'
+                      : 'bg-white text-gray-600'
+                  } ${outputSegments.some(seg => seg.blockIds.includes(block.id)) ? '' : 'opacity-50 line-through'}`}
+                  title={outputSegments.some(seg => seg.blockIds.includes(block.id)) ? block.description : "Not traced to any part of the output"}
+                >
+                  {block.icon} {block.type}
+                </span>
+              ))}
+            </div>
+          )}
+
+          {/* 🔎 Did every block make it in? */}
+          {displayedOutput && !isStreamingActiveTrain && activeTrainBlocks.length > 0 && (
+            <CoveragePanel
+              blocks={activeTrainBlocks}
+              coverage={trainCoverage[activeTrain]}
+              checking={coverageChecking === activeTrain}
+              busy={loading || batchRunning}
+              onCheck={() => handleCheckCoverage(activeTrain)}
+              onRegenerate={handleRegenerateWithEmphasis}
+            />
+          )}
+
+          {/* 📏 Readability of the finished output */}
+          {displayedOutput && !isStreamingActiveTrain && (
+            <ReadabilityMetrics
+              metrics={computeMetrics(displayedOutput, jargonList)}
+              jargonList={jargonList}
+              onChangeJargonList={handleChangeJargonList}
+            />
+          )}
 
           <div className="flex gap-4 mt-6">
             <button
               onClick={handleSaveAsJson}
               className="bg-blue-100 text-blue-700 px-3 py-1.5 rounded hover:bg-blue-200 transition-colors duration-150 text-sm flex items-center gap-1.5"
             >
-              <span>📄</span> Save as JSON
+              <span>📄</span> Save Workspace as JSON
             </button>
             <button
               onClick={handleSaveAsMarkdown}
@@ -785,8 +2107,37 @@ Instructions:
                 ))}
               </div>
               
-              {/* Side-by-side comparison view */}
               {selectedExplanations[0] && selectedExplanations[1] && (
+                <label className="mt-3 flex items-center gap-2 text-sm text-gray-600 cursor-pointer w-fit">
+                  <input
+                    type="checkbox"
+                    checked={showDiff}
+                    onChange={(e) => setShowDiff(e.target.checked)}
+                  />
+                  Highlight differences
+                </label>
+              )}
+
+              {/* ⚖️ LLM judge */}
+              {selectedExplanations[0] && selectedExplanations[1] && (
+                <JudgePanel
+                  left={selectedExplanations[0]}
+                  right={selectedExplanations[1]}
+                  rubric={rubric}
+                  judging={judging}
+                  onJudge={handleJudgePair}
+                  onChangeRubric={setRubric}
+                  onResetRubric={() => setRubric(emptyWorkspace().rubric)}
+                />
+              )}
+
+              {/* Diff view */}
+              {selectedExplanations[0] && selectedExplanations[1] && showDiff && (
+                <ExplanationDiff left={selectedExplanations[0]} right={selectedExplanations[1]} />
+              )}
+
+              {/* Side-by-side comparison view */}
+              {selectedExplanations[0] && selectedExplanations[1] && !showDiff && (
                 <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
                   {selectedExplanations.map((expl, idx) => (
                     <div key={idx} className="bg-white p-4 rounded border shadow-sm max-h-96 overflow-auto">
@@ -807,17 +2158,28 @@ Instructions:
           )}
           
           {/* History table */}
-          <div className="overflow-hidden rounded-lg border">
+          <div className="overflow-x-auto rounded-lg border">
             <table className="w-full text-sm">
               <thead className="bg-gray-50 text-gray-700">
                 <tr>
-                  <th className="px-4 py-3 text-left font-medium">Date</th>
+                  <th className="px-4 py-3 text-left font-medium">
+                    <button onClick={() => toggleHistorySort("timestamp")} className="font-medium hover:text-blue-600">
+                      Date{sortArrow("timestamp")}
+                    </button>
+                  </th>
                   <th className="px-4 py-3 text-left font-medium">Source</th>
+                  {HISTORY_METRIC_COLUMNS.map(column => (
+                    <th key={column.key} className="px-3 py-3 text-right font-medium whitespace-nowrap">
+                      <button onClick={() => toggleHistorySort(column.key)} className="font-medium hover:text-blue-600">
+                        {column.label}{sortArrow(column.key)}
+                      </button>
+                    </th>
+                  ))}
                   <th className="px-4 py-3 text-left font-medium">Actions</th>
                 </tr>
               </thead>
               <tbody className="divide-y">
-                {explanationHistory.slice().reverse().map((history) => (
+                {sortedHistory.map(({ entry: history, metrics }) => (
                   <tr key={history.id} className="hover:bg-gray-50 transition-colors duration-150">
                     <td className="px-4 py-3">
                       {new Date(history.timestamp).toLocaleString(undefined, { 
@@ -827,7 +2189,30 @@ Instructions:
                         minute: '2-digit' 
                       })}
                     </td>
-                    <td className="px-4 py-3">{history.trainName}</td>
+                    <td className="px-4 py-3">
+                      {history.trainName}
+                      {history.template && (
+                        <div className="text-xs text-gray-400">
+                          📜 {history.template.name} v{history.template.version}
+                        </div>
+                      )}
+                      {history.settings && describeSettings(history.settings) && (
+                        <div className="text-xs text-gray-400">🎛️ {describeSettings(history.settings)}</div>
+                      )}
+                      {history.cached && (
+                        <div className="text-xs text-gray-400" title="Served from the server cache">💾 cached</div>
+                      )}
+                      {history.judgements?.length > 0 && (
+                        <div className="text-xs text-amber-600" title="Head-to-head verdicts">
+                          ⚖️ {tallyJudgements(history).win}W · {tallyJudgements(history).loss}L · {tallyJudgements(history).tie}T
+                        </div>
+                      )}
+                    </td>
+                    {HISTORY_METRIC_COLUMNS.map(column => (
+                      <td key={column.key} className="px-3 py-3 text-right tabular-nums text-gray-600">
+                        {metrics[column.key]}
+                      </td>
+                    ))}
                     <td className="px-4 py-3 space-x-2">
                       <button 
                         onClick={() => {
@@ -878,6 +2263,27 @@ Instructions:
       <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
         {/* Left Column - Input Section */}
         <div className="md:col-span-1">
+          {/* 📂 Project Switcher */}
+          <ProjectManager
+            projects={projectIndex.projects}
+            activeProjectId={activeProjectId}
+            lastSavedAt={lastSavedAt}
+            onSwitch={handleSwitchProject}
+            onCreate={handleCreateProject}
+            onRename={handleRenameProject}
+            onDuplicate={handleDuplicateProject}
+            onDelete={handleDeleteProject}
+            onImport={handleImportJson}
+            onExport={handleSaveAsJson}
+            onSaveToServer={handleSaveToServer}
+            onOpenFromServer={handleOpenFromServer}
+            onListServerProjects={handleListServerProjects}
+            onDeleteServerProject={handleDeleteServerProject}
+          />
+
+          {/* 🤝 Live collaboration */}
+          <CollaborationPanel collaboration={collaboration} describePresence={describePresence} />
+
           {/* 📝 Prompt Input */}
           <div className="bg-white p-4 rounded-xl border shadow-sm mb-6">
             <label className="block text-sm font-medium mb-2 text-gray-700">
@@ -891,7 +2297,7 @@ Instructions:
             />
             <button
               onClick={generateExplanation}
-              disabled={loading || !prompt || (activeTrain === "main" ? explanationChain.length === 0 : (parallelTrains[activeTrain] || []).length === 0)}
+              disabled={loading || batchRunning || !prompt || (activeTrain === "main" ? explanationChain.length === 0 : (parallelTrains[activeTrain] || []).length === 0)}
               className="w-full bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
             >
               {loading ? (
@@ -909,6 +2315,32 @@ Instructions:
                 </>
               )}
             </button>
+            <button
+              onClick={generateAllTrains}
+              disabled={loading || batchRunning || !prompt || (explanationChain.length === 0 && Object.keys(parallelTrains).length === 0)}
+              className="w-full mt-2 bg-white border border-green-600 text-green-700 px-4 py-2 rounded hover:bg-green-50 transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+              title="Generate the main chain and every branch"
+            >
+              {batchRunning
+                ? `⚡ Generating ${Object.values(batchStatus).filter(t => ["done", "error", "cancelled"].includes(t.status)).length}/${Object.keys(batchStatus).length}...`
+                : "⚡ Generate All Trains"}
+            </button>
+            {(loading || batchRunning) && (
+              <button
+                onClick={handleCancelGeneration}
+                className="w-full mt-2 bg-red-50 text-red-600 px-4 py-2 rounded hover:bg-red-100 transition-colors duration-150 text-sm"
+              >
+                ⏹ Stop Generating
+              </button>
+            )}
+            <label className="flex items-center gap-2 mt-2 text-xs text-gray-500" title="Identical requests are normally answered from the server cache">
+              <input
+                type="checkbox"
+                checked={skipCache}
+                onChange={(e) => setSkipCache(e.target.checked)}
+              />
+              Skip cache (always ask the model again)
+            </label>
           </div>
           
           {/* Navigation Tabs */}
@@ -925,7 +2357,7 @@ Instructions:
                 onClick={() => setActiveTab("output")}
                 className={`flex-1 py-3 text-sm font-medium transition-colors duration-150 
                   ${activeTab === "output" ? "text-blue-700 border-b-2 border-blue-500 bg-blue-50" : "text-gray-600 hover:text-blue-600"}`}
-                disabled={!trainOutputs[activeTrain]}
+                disabled={!displayedOutput && !isStreamingActiveTrain && Object.keys(batchStatus).length === 0}
               >
                 Output & History
               </button>
@@ -947,6 +2379,17 @@ Instructions:
   findBlock={findBlock}
   setActiveTab={setActiveTab} 
   trainOutputs={trainOutputs} 
+  highlightedBlockIds={hoveredBlockIds}
+  onHoverBlock={setHoveredBlockIds}
+  onMoveBlock={handleReparentBlock}
+  onRenameBlock={handleRenameBlock}
+  onDeleteBlock={handleRemoveBlock}
+  onDuplicateBranch={handleDuplicateBranch}
+  onGenerateTrain={(trainId) => {
+    setActiveTrain(trainId);
+    generateTrain(trainId);
+  }}
+  canGenerate={Boolean(prompt) && !loading && !batchRunning}
 />
           </div>
         </div>
@@ -0,0 +1,91 @@
+import React from 'react';
+import { describeRetry } from './requestRetry';
+
+const statusBadges = {
+  queued: { label: "Queued", className: "bg-gray-100 text-gray-500" },
+  running: { label: "Generating…", className: "bg-blue-100 text-blue-700 animate-pulse" },
+  done: { label: "Done", className: "bg-green-100 text-green-700" },
+  error: { label: "Failed", className: "bg-red-100 text-red-600" },
+  cancelled: { label: "Cancelled", className: "bg-gray-100 text-gray-500" }
+};
+
+const isFinished = (train) => ["done", "error", "cancelled"].includes(train.status);
+
+function BatchResultsGrid({ trains, activeTrain, running, onSelectTrain, onClose }) {
+  const finished = trains.filter(isFinished).length;
+  const failed = trains.filter(t => t.status === "error").length;
+
+  return (
+    <div className="bg-white p-6 rounded-xl border shadow-sm mb-8">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <span className="text-xl">⚡</span> All Trains
+        </h2>
+        {!running && (
+          <button
+            onClick={onClose}
+            className="text-xs text-gray-500 hover:text-gray-700"
+          >
+            ✕ Close
+          </button>
+        )}
+      </div>
+
+      {/* Progress */}
+      <div className="mb-4">
+        <div className="flex justify-between text-xs text-gray-500 mb-1">
+          <span>{finished} of {trains.length} trains finished</span>
+          {failed > 0 && <span className="text-red-600">{failed} failed</span>}
+        </div>
+        <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+          <div
+            className={`h-full transition-all duration-300 ${failed ? 'bg-yellow-400' : 'bg-green-500'}`}
+            style={{ width: `${trains.length ? (finished / trains.length) * 100 : 0}%` }}
+          />
+        </div>
+      </div>
+
+      {/* Structure next to output for every train */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        {trains.map(train => {
+          const badge = statusBadges[train.status] || statusBadges.queued;
+          return (
+            <div
+              key={train.trainId}
+              onClick={() => onSelectTrain(train.trainId)}
+              className={`p-4 rounded-lg border cursor-pointer transition-all duration-150 hover:shadow
+                ${activeTrain === train.trainId ? 'ring-2 ring-blue-400 border-blue-400' : ''}`}
+            >
+              <div className="flex justify-between items-center mb-2">
+                <div className="font-semibold text-sm text-gray-700 truncate">{train.name}</div>
+                <span className={`text-xs px-2 py-0.5 rounded-full ${badge.className}`}>{badge.label}</span>
+              </div>
+
+              <div className="flex flex-wrap gap-1 mb-3">
+                {train.blocks.map(block => (
+                  <span key={block.id} className="text-xs bg-gray-50 border px-1.5 py-0.5 rounded" title={block.description}>
+                    {block.icon} {block.type}
+                  </span>
+                ))}
+              </div>
+
+              {train.status === "running" && train.retry && (
+                <div className="text-xs text-amber-700 mb-2">{describeRetry(train.retry)}</div>
+              )}
+
+              {train.status === "error" ? (
+                <div className="text-xs text-red-600">{train.error || "Something went wrong."}</div>
+              ) : (
+                <div className="text-sm text-gray-700 whitespace-pre-wrap bg-gray-50 p-3 rounded max-h-48 overflow-auto">
+                  {train.output || <span className="text-gray-400 italic">No output yet</span>}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default BatchResultsGrid;
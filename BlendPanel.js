@@ -0,0 +1,96 @@
+import React from 'react';
+import { describeRetry } from './requestRetry';
+
+function BlendPanel({
+  selectionMode,
+  selectedBlocks,
+  preview,
+  onToggleSelectionMode,
+  onPreview,
+  onCancelPreview,
+  retryNotice,
+  onChangePreviewText,
+  onApply,
+  onDiscardPreview
+}) {
+  return (
+    <div className="bg-white p-3 rounded-lg border shadow-sm mb-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={onToggleSelectionMode}
+          className={`text-xs px-3 py-1.5 rounded transition-colors duration-150
+            ${selectionMode ? 'bg-purple-600 text-white hover:bg-purple-700' : 'bg-purple-50 text-purple-700 hover:bg-purple-100'}`}
+        >
+          🧬 {selectionMode ? "Done Selecting" : "Blend Blocks"}
+        </button>
+
+        {selectionMode && (
+          <>
+            <span className="text-xs text-gray-500">
+              {selectedBlocks.length === 0
+                ? "Click blocks in one train to select them"
+                : `${selectedBlocks.length} selected: ${selectedBlocks.map(b => b.type).join(" + ")}`}
+            </span>
+            <button
+              onClick={onPreview}
+              disabled={selectedBlocks.length < 2 || preview?.loading}
+              className="ml-auto text-xs bg-purple-100 text-purple-700 px-3 py-1.5 rounded hover:bg-purple-200 transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {preview?.loading ? "Blending..." : "Preview Blend"}
+            </button>
+            {preview?.loading && (
+              <button
+                onClick={onCancelPreview}
+                className="text-xs bg-red-50 text-red-600 px-3 py-1.5 rounded hover:bg-red-100 transition-colors duration-150"
+              >
+                ⏹ Cancel
+              </button>
+            )}
+          </>
+        )}
+      </div>
+
+      {preview?.loading && retryNotice && (
+        <div className="mt-2 text-xs text-amber-700">{describeRetry(retryNotice)}</div>
+      )}
+
+      {/* Preview of the blended text before it replaces the selected blocks */}
+      {preview && !preview.loading && (
+        <div className="mt-3 pt-3 border-t">
+          <div className="text-xs font-medium text-gray-600 mb-1">
+            Preview: {preview.blocks.map(b => b.type).join(" + ")}
+          </div>
+          <textarea
+            value={preview.text}
+            onChange={(e) => onChangePreviewText(e.target.value)}
+            rows={5}
+            className="w-full border p-2 rounded text-sm focus:ring-1 focus:ring-purple-400 focus:border-purple-400 outline-none transition"
+          />
+          <div className="flex gap-2 mt-2">
+            <button
+              onClick={onApply}
+              disabled={!preview.text.trim()}
+              className="text-xs bg-purple-600 text-white px-3 py-1.5 rounded hover:bg-purple-700 transition-colors duration-150 disabled:opacity-50"
+            >
+              Apply Blend
+            </button>
+            <button
+              onClick={onPreview}
+              className="text-xs bg-purple-50 text-purple-700 px-3 py-1.5 rounded hover:bg-purple-100 transition-colors duration-150"
+            >
+              Regenerate
+            </button>
+            <button
+              onClick={onDiscardPreview}
+              className="text-xs bg-gray-100 text-gray-600 px-3 py-1.5 rounded hover:bg-gray-200 transition-colors duration-150"
+            >
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BlendPanel;
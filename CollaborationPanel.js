@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+
+const fieldClass = "border p-1.5 rounded text-sm focus:ring-1 focus:ring-blue-400 focus:border-blue-400 outline-none transition";
+
+const statusLabels = {
+  connecting: "Connecting…",
+  connected: "Live",
+  reconnecting: "Reconnecting…"
+};
+
+const newRoomCode = () => Math.random().toString(36).slice(2, 8);
+
+// Colored initial for a collaborator; also used on blocks they are looking at
+export function PeerBadge({ peer, size = "w-6 h-6 text-xs" }) {
+  return (
+    <span
+      className={`${size} inline-flex items-center justify-center rounded-full text-white font-semibold shrink-0`}
+      style={{ backgroundColor: peer.color }}
+      title={peer.name}
+    >
+      {peer.name.charAt(0).toUpperCase()}
+    </span>
+  );
+}
+
+function CollaborationPanel({ collaboration, describePresence }) {
+  const [name, setName] = useState("");
+  const [roomCode, setRoomCode] = useState("");
+  const { status, room, peers, clientId, error, notice, join, leave } = collaboration;
+
+  const handleJoin = (code) => {
+    const trimmed = code.trim();
+    if (!trimmed) return;
+    setRoomCode(trimmed);
+    join(trimmed, name.trim() || "Anonymous");
+  };
+
+  if (status === "offline") {
+    return (
+      <div className="bg-white p-3 rounded-lg border shadow-sm mb-6">
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">🤝 Live Session</h4>
+        <div className="grid grid-cols-2 gap-2 mb-2">
+          <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Your name" className={fieldClass} />
+          <input
+            value={roomCode}
+            onChange={(e) => setRoomCode(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleJoin(roomCode)}
+            placeholder="Session code"
+            className={fieldClass}
+          />
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => handleJoin(newRoomCode())}
+            className="text-xs bg-blue-600 text-white px-3 py-1.5 rounded hover:bg-blue-700 transition-colors duration-150"
+          >
+            Start new session
+          </button>
+          <button
+            onClick={() => handleJoin(roomCode)}
+            disabled={!roomCode.trim()}
+            className="text-xs bg-blue-50 text-blue-600 px-3 py-1.5 rounded hover:bg-blue-100 transition-colors duration-150 disabled:opacity-50"
+          >
+            Join
+          </button>
+        </div>
+        {error && <div className="text-xs text-red-600 mt-2">{error}</div>}
+        <p className="text-[11px] text-gray-400 mt-2">
+          Joining a session that is already running replaces your chain, branches, custom blocks and outputs with the session's.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white p-3 rounded-lg border shadow-sm mb-6">
+      <div className="flex items-center gap-2 mb-2">
+        <h4 className="text-sm font-semibold text-gray-700">🤝 Live Session</h4>
+        <code className="text-xs bg-gray-100 px-1.5 py-0.5 rounded">{room}</code>
+        <button
+          onClick={() => navigator.clipboard?.writeText(room)}
+          className="text-xs text-blue-600 hover:underline"
+          title="Copy the code to share it"
+        >
+          Copy
+        </button>
+        <span className={`text-xs ${status === "connected" ? "text-green-600" : "text-amber-600"}`}>
+          ● {statusLabels[status]}
+        </span>
+        <button onClick={leave} className="ml-auto text-xs text-gray-500 hover:text-red-600">
+          Leave
+        </button>
+      </div>
+
+      {error && <div className="text-xs text-red-600 mb-2">{error}</div>}
+      {notice && <div className="text-xs text-gray-500 mb-2">{notice}</div>}
+
+      <ul className="space-y-1">
+        {peers.map(peer => (
+          <li key={peer.clientId} className="flex items-center gap-2 text-xs text-gray-600">
+            <PeerBadge peer={peer} size="w-5 h-5 text-[10px]" />
+            <span className="font-medium text-gray-700">
+              {peer.name}{peer.clientId === clientId && " (you)"}
+            </span>
+            <span className="text-gray-400 truncate">{describePresence(peer)}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default CollaborationPanel;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { COVERAGE_BADGES } from './coverageApi';
+
+function CoveragePanel({ blocks, coverage, checking, busy, onCheck, onRegenerate }) {
+  const resultFor = (blockId) => coverage?.results.find(r => r.blockId === blockId);
+  const needsWork = blocks.filter(block => ["weak", "missing"].includes(resultFor(block.id)?.status));
+  const counts = Object.keys(COVERAGE_BADGES).map(status => [
+    status,
+    coverage ? coverage.results.filter(r => r.status === status).length : 0
+  ]);
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <h3 className="text-sm font-semibold text-gray-700">🔎 Structure coverage</h3>
+        {coverage && (
+          <span className="text-xs text-gray-500">
+            {counts.map(([status, count]) => `${count} ${COVERAGE_BADGES[status].label.toLowerCase()}`).join(" · ")}
+          </span>
+        )}
+        <div className="ml-auto flex gap-2">
+          <button
+            onClick={onCheck}
+            disabled={checking || busy}
+            className="text-xs bg-blue-50 text-blue-600 px-3 py-1.5 rounded hover:bg-blue-100 transition-colors duration-150 disabled:opacity-50"
+          >
+            {checking ? "Checking..." : coverage ? "Check again" : "Check coverage"}
+          </button>
+          {needsWork.length > 0 && (
+            <button
+              onClick={() => onRegenerate(needsWork.map(block => block.id))}
+              disabled={checking || busy}
+              className="text-xs bg-amber-500 text-white px-3 py-1.5 rounded hover:bg-amber-600 transition-colors duration-150 disabled:opacity-50"
+              title={`Regenerate with extra weight on: ${needsWork.map(block => block.type).join(", ")}`}
+            >
+              🔁 Regenerate emphasizing {needsWork.length} block{needsWork.length === 1 ? "" : "s"}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {coverage && (
+        <ul className="space-y-1">
+          {blocks.map(block => {
+            const result = resultFor(block.id);
+            const badge = result && COVERAGE_BADGES[result.status];
+            return (
+              <li key={block.id} className="flex items-start gap-2 text-xs">
+                <span className={`px-2 py-0.5 rounded-full border whitespace-nowrap ${badge ? badge.className : 'bg-gray-50 text-gray-400'}`}>
+                  {badge ? `${badge.icon} ${badge.label}` : "Not checked"}
+                </span>
+                <span className="font-medium text-gray-700 whitespace-nowrap">{block.icon} {block.type}</span>
+                {result?.note && <span className="text-gray-500">{result.note}</span>}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default CoveragePanel;
@@ -0,0 +1,83 @@
+import React, { useMemo, useState } from 'react';
+import { diffText, summarizeDiff } from './textDiff';
+
+const partStyles = {
+  equal: "",
+  insert: "bg-green-100 text-green-800 rounded-sm",
+  delete: "bg-red-100 text-red-700 line-through rounded-sm"
+};
+
+function ExplanationDiff({ left, right }) {
+  const [view, setView] = useState("inline"); // "inline" or "side"
+  const [granularity, setGranularity] = useState("word"); // "word" or "sentence"
+
+  const parts = useMemo(
+    () => diffText(left.explanation, right.explanation, granularity),
+    [left.explanation, right.explanation, granularity]
+  );
+  const summary = useMemo(
+    () => summarizeDiff(parts, left.explanation, right.explanation),
+    [parts, left.explanation, right.explanation]
+  );
+
+  const renderParts = (visibleTypes) =>
+    parts
+      .filter(part => visibleTypes.includes(part.type))
+      .map((part, i) => (
+        <span key={i} className={partStyles[part.type]}>{part.text}</span>
+      ));
+
+  const toggleClass = (isOn) =>
+    `px-2 py-1 text-xs rounded transition-colors duration-150 ${isOn ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 border hover:bg-gray-100'}`;
+
+  const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+        {/* Summary */}
+        <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+          <span><strong>{summary.changePercent}%</strong> changed</span>
+          <span className="text-green-700">+{summary.insertedWords} words</span>
+          <span className="text-red-600">−{summary.deletedWords} words</span>
+          <span title={`${signed(summary.charDelta)} characters`}>
+            Length {signed(summary.wordDelta)} words
+          </span>
+        </div>
+
+        {/* View controls */}
+        <div className="flex gap-1">
+          <button onClick={() => setView("inline")} className={toggleClass(view === "inline")}>Inline</button>
+          <button onClick={() => setView("side")} className={toggleClass(view === "side")}>Side by side</button>
+          <span className="w-2" />
+          <button onClick={() => setGranularity("word")} className={toggleClass(granularity === "word")}>Words</button>
+          <button onClick={() => setGranularity("sentence")} className={toggleClass(granularity === "sentence")}>Sentences</button>
+        </div>
+      </div>
+
+      {view === "inline" ? (
+        <div className="bg-white p-4 rounded border shadow-sm max-h-96 overflow-auto text-sm whitespace-pre-wrap text-gray-700 leading-relaxed">
+          {renderParts(["equal", "delete", "insert"])}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[[left, ["equal", "delete"]], [right, ["equal", "insert"]]].map(([entry, types], idx) => (
+            <div key={idx} className="bg-white p-4 rounded border shadow-sm max-h-96 overflow-auto">
+              <div className="font-semibold mb-2 text-sm text-gray-700 flex items-center justify-between">
+                <div>{entry.trainName}</div>
+                <div className="text-xs text-gray-500">
+                  {new Date(entry.timestamp).toLocaleString()}
+                </div>
+              </div>
+              <div className="text-sm whitespace-pre-wrap text-gray-700 bg-gray-50 p-3 rounded leading-relaxed">
+                {renderParts(types)}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExplanationDiff;
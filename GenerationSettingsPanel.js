@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { SETTING_FIELDS, describeSettings, hasOverrides, resolveSettings } from './generationSettings';
+
+const fieldClass = "w-full border p-1.5 rounded text-sm focus:ring-1 focus:ring-blue-400 focus:border-blue-400 outline-none transition";
+
+function SettingsFields({ idPrefix, values, placeholders, onChange }) {
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      {SETTING_FIELDS.map(field => (
+        <label key={field.key} className="text-xs text-gray-600">
+          {field.label}
+          <input
+            type={field.type || "text"}
+            min={field.type === "number" ? 1 : undefined}
+            value={values[field.key] ?? ""}
+            onChange={(e) => onChange(field.key, e.target.value)}
+            placeholder={placeholders[field.key] || field.placeholder}
+            list={field.suggestions ? `${idPrefix}-${field.key}` : undefined}
+            className={`${fieldClass} mt-0.5`}
+          />
+          {field.suggestions && (
+            <datalist id={`${idPrefix}-${field.key}`}>
+              {field.suggestions.map(option => <option key={option} value={option} />)}
+            </datalist>
+          )}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+function GenerationSettingsPanel({
+  projectSettings,
+  trainOverrides,
+  trainName,
+  onChangeProject,
+  onChangeTrain,
+  onResetTrain
+}) {
+  const [open, setOpen] = useState(false);
+  const effective = resolveSettings(projectSettings, trainOverrides);
+  const overridden = hasOverrides(trainOverrides);
+
+  // Train fields show what they would inherit from the project
+  const inherited = Object.fromEntries(
+    SETTING_FIELDS.map(({ key }) => [key, projectSettings[key] ? `Project: ${projectSettings[key]}` : "Template default"])
+  );
+
+  return (
+    <div className="bg-white p-3 rounded-lg border shadow-sm mb-6">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-2 w-full text-left"
+      >
+        <span className="text-sm font-semibold text-gray-700">🎛️ Generation Settings</span>
+        <span className="text-xs text-gray-500 truncate">
+          {describeSettings(effective) || "Template defaults"}
+          {overridden && <span className="ml-1 text-purple-600">(overridden for this train)</span>}
+        </span>
+        <span className="ml-auto text-xs text-gray-400">{open ? "▾" : "▸"}</span>
+      </button>
+
+      {open && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3 pt-3 border-t">
+          <div>
+            <h4 className="text-xs font-medium text-gray-700 mb-2">Project defaults</h4>
+            <SettingsFields
+              idPrefix="project-settings"
+              values={projectSettings}
+              placeholders={{}}
+              onChange={onChangeProject}
+            />
+          </div>
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-xs font-medium text-gray-700">Override for {trainName}</h4>
+              <button
+                onClick={onResetTrain}
+                disabled={!overridden}
+                className="text-xs text-blue-600 hover:underline disabled:opacity-40 disabled:no-underline"
+              >
+                Reset
+              </button>
+            </div>
+            <SettingsFields
+              idPrefix="train-settings"
+              values={trainOverrides}
+              placeholders={inherited}
+              onChange={onChangeTrain}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GenerationSettingsPanel;
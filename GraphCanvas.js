@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { layoutExplanationTree, NODE_WIDTH, NODE_HEIGHT } from './graphLayout';
+
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 3;
+const FONT = "ui-sans-serif, system-ui, sans-serif";
+
+const clampZoom = (k) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, k));
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+function GraphCanvas({
+  prompt,
+  explanationChain,
+  parallelTrains,
+  activeTrain,
+  trainOutputs,
+  highlightedBlockIds = [],
+  onSelectTrain,
+  onHoverBlock = () => {}
+}) {
+  const [view, setView] = useState({ x: 0, y: 0, k: 1 });
+  const containerRef = useRef(null);
+  const graphRef = useRef(null);
+  const panRef = useRef(null); // { pointerX, pointerY, x, y } while panning
+
+  const layout = layoutExplanationTree({ prompt, explanationChain, parallelTrains });
+  const layoutRef = useRef(layout);
+  layoutRef.current = layout;
+
+  // Zoom around a point given in container coordinates
+  const zoomAt = useCallback((factor, px, py) =>
+    setView(prev => {
+      const k = clampZoom(prev.k * factor);
+      return {
+        k,
+        x: px - ((px - prev.x) * k) / prev.k,
+        y: py - ((py - prev.y) * k) / prev.k
+      };
+    }), []);
+
+  const zoomFromCentre = (factor) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    zoomAt(factor, rect.width / 2, rect.height / 2);
+  };
+
+  // Scale and centre the whole graph inside the canvas; stable, so it reads the latest layout from a ref
+  const fitToView = useCallback(() => {
+    const rect = containerRef.current?.getBoundingClientRect();
+    if (!rect) return;
+    const { width, height } = layoutRef.current;
+    const k = clampZoom(Math.min(rect.width / width, rect.height / height, 1));
+    setView({
+      k,
+      x: (rect.width - width * k) / 2,
+      y: (rect.height - height * k) / 2
+    });
+  }, []);
+
+  // Only fit on first show; after that the view is the user's
+  useEffect(() => {
+    fitToView();
+  }, [fitToView]);
+
+  // Wheel zoom needs a non-passive listener so the page doesn't scroll
+  useEffect(() => {
+    const container = containerRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = container.getBoundingClientRect();
+      zoomAt(e.deltaY < 0 ? 1.1 : 1 / 1.1, e.clientX - rect.left, e.clientY - rect.top);
+    };
+    container.addEventListener("wheel", onWheel, { passive: false });
+    return () => container.removeEventListener("wheel", onWheel);
+  }, [zoomAt]);
+
+  // 🖐️ Drag the background to pan
+  const handlePointerDown = (e) => {
+    if (e.button !== 0 || e.target.closest("[data-node]")) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    panRef.current = { pointerX: e.clientX, pointerY: e.clientY, x: view.x, y: view.y };
+  };
+
+  const handlePointerMove = (e) => {
+    const pan = panRef.current;
+    if (!pan) return;
+    setView(prev => ({
+      ...prev,
+      x: pan.x + e.clientX - pan.pointerX,
+      y: pan.y + e.clientY - pan.pointerY
+    }));
+  };
+
+  const handlePointerUp = () => {
+    panRef.current = null;
+  };
+
+  // 🖼️ Export the whole graph (not just the visible part) as a standalone SVG
+  const handleExportSvg = () => {
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+    svg.setAttribute("width", layout.width);
+    svg.setAttribute("height", layout.height);
+    svg.setAttribute("viewBox", `0 0 ${layout.width} ${layout.height}`);
+    svg.setAttribute("font-family", FONT);
+
+    const background = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+    background.setAttribute("width", "100%");
+    background.setAttribute("height", "100%");
+    background.setAttribute("fill", "#ffffff");
+    svg.appendChild(background);
+    svg.appendChild(graphRef.current.cloneNode(true)).removeAttribute("transform");
+
+    const blob = new Blob([new XMLSerializer().serializeToString(svg)], { type: "image/svg+xml" });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `explanation-graph-${Date.now()}.svg`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const nodeColors = (node) => {
+    if (activeTrain === node.id) return { fill: "#dbeafe", stroke: "#3b82f6" };
+    if (highlightedBlockIds.includes(node.id)) return { fill: "#fef9c3", stroke: "#facc15" };
+    if (node.kind === "prompt") return { fill: "#eff6ff", stroke: "#93c5fd" };
+    if (node.block.blendedFrom) return { fill: "#faf5ff", stroke: "#c084fc" };
+    return { fill: "#ffffff", stroke: "#d1d5db" };
+  };
+
+  const nodeSubtitle = (node) => {
+    const branchSize = (node.kind === "prompt" ? explanationChain : parallelTrains[node.id] || []).length;
+    const parts = [];
+    if (node.kind === "prompt") parts.push(`Main chain (${branchSize})`);
+    else if (branchSize > 0) parts.push(`Branch (${branchSize})`);
+    if (trainOutputs[node.id]) parts.push("📄 output");
+    return parts.join(" · ");
+  };
+
+  const zoomButtonClass = "text-xs bg-gray-50 px-2 py-1 rounded hover:bg-gray-100 transition-colors duration-150";
+
+  return (
+    <div className="bg-white rounded-xl border shadow-sm mb-6 overflow-hidden">
+      <div className="flex items-center gap-2 px-4 py-2 border-b bg-gray-50">
+        <h3 className="text-sm font-semibold text-gray-700">Structure Graph</h3>
+        <span className="text-xs text-gray-400">Drag to pan, scroll to zoom, click a node to activate its train</span>
+        <div className="ml-auto flex gap-1">
+          <button onClick={() => zoomFromCentre(1 / 1.25)} className={zoomButtonClass} title="Zoom out">−</button>
+          <span className="text-xs text-gray-500 w-10 text-center self-center">{Math.round(view.k * 100)}%</span>
+          <button onClick={() => zoomFromCentre(1.25)} className={zoomButtonClass} title="Zoom in">+</button>
+          <button onClick={fitToView} className={zoomButtonClass}>Fit</button>
+          <button
+            onClick={handleExportSvg}
+            className="text-xs bg-green-50 text-green-600 px-2 py-1 rounded hover:bg-green-100 transition-colors duration-150"
+          >
+            🖼️ Export SVG
+          </button>
+        </div>
+      </div>
+
+      <div
+        ref={containerRef}
+        className="h-[480px] bg-gray-50 cursor-grab active:cursor-grabbing touch-none select-none"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <svg width="100%" height="100%">
+          <g ref={graphRef} transform={`translate(${view.x} ${view.y}) scale(${view.k})`}>
+            {layout.edges.map(edge => (
+              <path
+                key={`${edge.from}->${edge.to}`}
+                d={edge.path}
+                fill="none"
+                stroke={activeTrain === edge.from ? "#3b82f6" : "#9ca3af"}
+                strokeWidth={activeTrain === edge.from ? 2 : 1.25}
+              />
+            ))}
+
+            {layout.nodes.map(node => {
+              const colors = nodeColors(node);
+              return (
+                <g
+                  key={node.id}
+                  data-node={node.id}
+                  transform={`translate(${node.x} ${node.y})`}
+                  style={{ cursor: "pointer" }}
+                  onClick={() => onSelectTrain(node.id)}
+                  onMouseEnter={() => node.kind === "block" && onHoverBlock([node.id])}
+                  onMouseLeave={() => node.kind === "block" && onHoverBlock([])}
+                >
+                  <title>{node.kind === "prompt" ? prompt : node.block.description}</title>
+                  <rect
+                    width={NODE_WIDTH}
+                    height={NODE_HEIGHT}
+                    rx={8}
+                    fill={colors.fill}
+                    stroke={colors.stroke}
+                    strokeWidth={activeTrain === node.id ? 2 : 1}
+                  />
+                  <text x={10} y={19} fontSize={12} fontWeight={600} fill="#1f2937" fontFamily={FONT}>
+                    {truncate(node.label, 24)}
+                  </text>
+                  <text x={10} y={35} fontSize={10} fill="#6b7280" fontFamily={FONT}>
+                    {nodeSubtitle(node)}
+                  </text>
+                </g>
+              );
+            })}
+          </g>
+        </svg>
+      </div>
+    </div>
+  );
+}
+
+export default GraphCanvas;
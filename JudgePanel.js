@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+
+const fieldClass = "border p-1.5 rounded text-sm focus:ring-1 focus:ring-blue-400 focus:border-blue-400 outline-none transition";
+
+// Edit the criteria the judge scores against
+function RubricEditor({ rubric, onChange }) {
+  const update = (index, changes) =>
+    onChange(rubric.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion)));
+
+  return (
+    <div className="space-y-2 mb-3">
+      {rubric.map((criterion, index) => (
+        <div key={index} className="flex gap-2 items-center">
+          <input
+            value={criterion.label}
+            onChange={(e) => update(index, { label: e.target.value })}
+            placeholder="Criterion"
+            className={`${fieldClass} w-36`}
+          />
+          <input
+            value={criterion.description}
+            onChange={(e) => update(index, { description: e.target.value })}
+            placeholder="What it measures"
+            className={`${fieldClass} flex-1`}
+          />
+          <input
+            type="number"
+            min={0.5}
+            step={0.5}
+            value={criterion.weight ?? 1}
+            onChange={(e) => update(index, { weight: Number(e.target.value) || 1 })}
+            className={`${fieldClass} w-16`}
+            title="Weight"
+          />
+          <button
+            onClick={() => onChange(rubric.filter((_, i) => i !== index))}
+            disabled={rubric.length === 1}
+            className="text-xs bg-red-50 text-red-500 px-2 py-1 rounded hover:bg-red-100 disabled:opacity-30"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={() => onChange([...rubric, { id: "", label: "", description: "", weight: 1 }])}
+        className="text-xs text-blue-600 hover:underline"
+      >
+        + Add criterion
+      </button>
+    </div>
+  );
+}
+
+function JudgePanel({ left, right, rubric, judging, onJudge, onChangeRubric, onResetRubric }) {
+  const [editingRubric, setEditingRubric] = useState(false);
+
+  // Latest verdict recorded between these two entries
+  const judgement = (left.judgements || []).filter(j => j.opponentId === right.id).slice(-1)[0];
+  const opponentJudgement = judgement && (right.judgements || []).find(j => j.id === judgement.id);
+  const rubricReady = rubric.length > 0 && rubric.every(c => c.label.trim());
+
+  const winnerLabel = !judgement
+    ? null
+    : judgement.outcome === "tie"
+      ? "🤝 Tie"
+      : `🏆 Explanation ${judgement.outcome === "win" ? 1 : 2} wins`;
+
+  return (
+    <div className="mt-4 bg-white p-4 rounded border shadow-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <h4 className="font-semibold text-sm text-gray-700">⚖️ Head-to-head judge</h4>
+        <button
+          onClick={() => setEditingRubric(!editingRubric)}
+          className="text-xs text-blue-600 hover:underline"
+        >
+          {editingRubric ? "Hide rubric" : `Rubric: ${rubric.map(c => c.label).join(", ")}`}
+        </button>
+        <button
+          onClick={onJudge}
+          disabled={judging || !rubricReady}
+          className="ml-auto text-xs bg-amber-500 text-white px-3 py-1.5 rounded hover:bg-amber-600 transition-colors duration-150 disabled:opacity-50"
+        >
+          {judging ? "Judging..." : judgement ? "Judge again" : "Judge"}
+        </button>
+      </div>
+
+      {editingRubric && (
+        <>
+          <RubricEditor rubric={rubric} onChange={onChangeRubric} />
+          <button onClick={onResetRubric} className="text-xs text-gray-500 hover:underline mb-3">
+            Reset to default rubric
+          </button>
+        </>
+      )}
+
+      {judgement && opponentJudgement && (
+        <div>
+          <div className="text-sm mb-2">
+            <span className="font-semibold text-gray-800">{winnerLabel}</span>
+            <span className="text-gray-600"> — {judgement.reason}</span>
+          </div>
+          <table className="w-full text-xs border">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="px-2 py-1.5 text-left font-medium">Criterion</th>
+                <th className="px-2 py-1.5 text-left font-medium">Explanation 1</th>
+                <th className="px-2 py-1.5 text-left font-medium">Explanation 2</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {judgement.rubric.map((criterion, i) => (
+                <tr key={criterion.id}>
+                  <td className="px-2 py-1.5 font-medium text-gray-700">{criterion.label}</td>
+                  {[judgement, opponentJudgement].map((side, s) => (
+                    <td key={s} className="px-2 py-1.5 align-top">
+                      <span className="font-semibold">{side.scores[i]?.score ?? "–"}</span>
+                      <span className="text-gray-400">/10</span>
+                      {side.scores[i]?.justification && (
+                        <div className="text-gray-500">{side.scores[i].justification}</div>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr className="bg-gray-50 font-semibold">
+                <td className="px-2 py-1.5">Weighted total</td>
+                <td className="px-2 py-1.5">{judgement.total}</td>
+                <td className="px-2 py-1.5">{opponentJudgement.total}</td>
+              </tr>
+            </tbody>
+          </table>
+          <div className="text-[11px] text-gray-400 mt-1">
+            Judged {new Date(judgement.at).toLocaleString()} by {judgement.model}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default JudgePanel;
@@ -0,0 +1,221 @@
+import React, { useState, useRef } from 'react';
+
+function ProjectManager({
+  projects,
+  activeProjectId,
+  lastSavedAt,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onImport,
+  onExport,
+  onSaveToServer,
+  onOpenFromServer,
+  onListServerProjects,
+  onDeleteServerProject
+}) {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draftName, setDraftName] = useState("");
+  const [serverProjects, setServerProjects] = useState(null);
+  const [serverBusy, setServerBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const activeProject = projects.find(p => p.id === activeProjectId);
+
+  const startRename = () => {
+    setDraftName(activeProject?.name || "");
+    setIsRenaming(true);
+  };
+
+  // Run a server action while showing a busy state
+  const withServer = async (action) => {
+    setServerBusy(true);
+    try {
+      return await action();
+    } finally {
+      setServerBusy(false);
+    }
+  };
+
+  const refreshServerProjects = () => withServer(async () => {
+    const list = await onListServerProjects();
+    if (list) setServerProjects(list);
+  });
+
+  const commitRename = () => {
+    const name = draftName.trim();
+    if (name && activeProject) onRename(activeProject.id, name);
+    setIsRenaming(false);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-xl border shadow-sm mb-6">
+      <div className="flex justify-between items-center mb-2">
+        <label className="block text-sm font-medium text-gray-700">Project</label>
+        {lastSavedAt && (
+          <span className="text-xs text-gray-400">
+            Saved {new Date(lastSavedAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}
+          </span>
+        )}
+      </div>
+
+      {isRenaming ? (
+        <input
+          autoFocus
+          value={draftName}
+          onChange={(e) => setDraftName(e.target.value)}
+          onBlur={commitRename}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") commitRename();
+            if (e.key === "Escape") setIsRenaming(false);
+          }}
+          className="border p-2 w-full rounded text-sm focus:ring-1 focus:ring-blue-400 focus:border-blue-400 outline-none transition mb-3"
+        />
+      ) : (
+        <select
+          value={activeProjectId || ""}
+          onChange={(e) => onSwitch(e.target.value)}
+          className="w-full p-2 border rounded text-sm focus:ring-1 focus:ring-blue-400 outline-none mb-3"
+        >
+          {projects.map(project => (
+            <option key={project.id} value={project.id}>
+              {project.name}
+            </option>
+          ))}
+        </select>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => onCreate()}
+          className="text-xs bg-blue-50 text-blue-600 px-2 py-1 rounded hover:bg-blue-100 transition-colors duration-150"
+        >
+          ➕ New
+        </button>
+        <button
+          onClick={startRename}
+          disabled={!activeProject}
+          className="text-xs bg-gray-50 text-gray-600 px-2 py-1 rounded hover:bg-gray-100 transition-colors duration-150 disabled:opacity-50"
+        >
+          ✏️ Rename
+        </button>
+        <button
+          onClick={() => onDuplicate(activeProjectId)}
+          disabled={!activeProject}
+          className="text-xs bg-gray-50 text-gray-600 px-2 py-1 rounded hover:bg-gray-100 transition-colors duration-150 disabled:opacity-50"
+        >
+          📑 Duplicate
+        </button>
+        <button
+          onClick={() => {
+            if (window.confirm(`🗑️ Delete project "${activeProject?.name}"? This cannot be undone.`)) {
+              onDelete(activeProjectId);
+            }
+          }}
+          disabled={!activeProject || projects.length < 2}
+          className="text-xs bg-red-50 text-red-500 px-2 py-1 rounded hover:bg-red-100 transition-colors duration-150 disabled:opacity-50"
+          title={projects.length < 2 ? "Keep at least one project" : "Delete this project"}
+        >
+          ✕ Delete
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mt-2 pt-2 border-t">
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="text-xs bg-green-50 text-green-600 px-2 py-1 rounded hover:bg-green-100 transition-colors duration-150"
+          title="Load a workspace JSON file as a new project"
+        >
+          📥 Import JSON
+        </button>
+        <button
+          onClick={onExport}
+          className="text-xs bg-green-50 text-green-600 px-2 py-1 rounded hover:bg-green-100 transition-colors duration-150"
+          title="Download the whole workspace as JSON"
+        >
+          📤 Export JSON
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) onImport(file);
+            // Allow importing the same file twice in a row
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      {/* ☁️ Shared server storage */}
+      <div className="mt-2 pt-2 border-t">
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            onClick={() => withServer(onSaveToServer)}
+            disabled={serverBusy || !activeProject}
+            className="text-xs bg-blue-50 text-blue-600 px-2 py-1 rounded hover:bg-blue-100 transition-colors duration-150 disabled:opacity-50"
+          >
+            ☁️ Save to Server
+          </button>
+          <button
+            onClick={() => (serverProjects ? setServerProjects(null) : refreshServerProjects())}
+            disabled={serverBusy}
+            className="text-xs bg-blue-50 text-blue-600 px-2 py-1 rounded hover:bg-blue-100 transition-colors duration-150 disabled:opacity-50"
+          >
+            {serverProjects ? "Hide Server Projects" : "☁️ Open from Server"}
+          </button>
+          {activeProject?.remote && (
+            <span className="text-xs text-gray-400" title="Server revision this project was last synced with">
+              rev {activeProject.remote.revision}
+            </span>
+          )}
+        </div>
+
+        {serverProjects && (
+          <ul className="mt-2 max-h-40 overflow-y-auto divide-y border rounded text-xs">
+            {serverProjects.length === 0 && (
+              <li className="px-2 py-2 text-gray-400 italic">No projects on the server yet</li>
+            )}
+            {serverProjects.map(project => (
+              <li key={project.id} className="flex items-center justify-between px-2 py-1.5 hover:bg-gray-50">
+                <span className="truncate" title={`Revision ${project.revision}`}>{project.name}</span>
+                <span className="flex gap-1 flex-shrink-0">
+                  <button
+                    onClick={() => withServer(async () => {
+                      await onOpenFromServer(project.id);
+                      setServerProjects(null);
+                    })}
+                    disabled={serverBusy}
+                    className="bg-blue-50 text-blue-600 px-2 py-0.5 rounded hover:bg-blue-100 disabled:opacity-50"
+                  >
+                    Open
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (!window.confirm(`🗑️ Delete "${project.name}" from the server for everyone?`)) return;
+                      withServer(async () => {
+                        if (await onDeleteServerProject(project)) {
+                          setServerProjects(prev => prev.filter(p => p.id !== project.id));
+                        }
+                      });
+                    }}
+                    disabled={serverBusy}
+                    className="bg-red-50 text-red-500 px-2 py-0.5 rounded hover:bg-red-100 disabled:opacity-50"
+                  >
+                    ✕
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ProjectManager;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { describeReadingEase, parseJargonList } from './readability';
+
+function Metric({ label, value, title }) {
+  return (
+    <div className="bg-gray-50 border rounded-lg px-3 py-2" title={title}>
+      <div className="text-[11px] uppercase tracking-wide text-gray-400">{label}</div>
+      <div className="text-sm font-semibold text-gray-700">{value}</div>
+    </div>
+  );
+}
+
+function ReadabilityMetrics({ metrics, jargonList, onChangeJargonList }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+
+  const startEditing = () => {
+    setDraft(jargonList.join("\n"));
+    setEditing(true);
+  };
+
+  const saveJargon = () => {
+    onChangeJargonList(parseJargonList(draft));
+    setEditing(false);
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-gray-700">📏 Readability</h3>
+        <button onClick={editing ? () => setEditing(false) : startEditing} className="text-xs text-blue-600 hover:underline">
+          {editing ? "Cancel" : `Jargon list (${jargonList.length})`}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-2">
+        <Metric
+          label="Reading ease"
+          value={`${metrics.readingEase} · ${describeReadingEase(metrics.readingEase)}`}
+          title="Flesch reading ease: higher is easier (60–70 is plain English)"
+        />
+        <Metric label="Grade level" value={metrics.gradeLevel} title="Flesch–Kincaid grade level" />
+        <Metric label="Words" value={metrics.words} />
+        <Metric label="Sentences" value={metrics.sentences} />
+        <Metric label="Avg sentence" value={`${metrics.avgSentenceLength} words`} />
+        <Metric
+          label="Jargon"
+          value={`${metrics.jargonDensity}% (${metrics.jargonCount})`}
+          title="Share of words that match the jargon list"
+        />
+      </div>
+
+      {editing && (
+        <div className="mt-3">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={6}
+            placeholder="One term or phrase per line"
+            className="w-full border p-2 rounded text-sm focus:ring-1 focus:ring-blue-400 focus:border-blue-400 outline-none transition"
+          />
+          <div className="flex items-center gap-2 mt-1">
+            <button
+              onClick={saveJargon}
+              className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors duration-150"
+            >
+              Save
+            </button>
+            <span className="text-xs text-gray-400">Saving rescores every history entry</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReadabilityMetrics;
@@ -0,0 +1,228 @@
+import React, { useState, useRef } from 'react';
+import { DEFAULT_CATEGORY } from './templatePacks';
+
+const emptyDraft = () => ({
+  icon: "🔧",
+  type: "",
+  category: DEFAULT_CATEGORY,
+  description: "",
+  instructions: ""
+});
+
+const fieldClass = "border p-2 rounded text-sm focus:ring-1 focus:ring-blue-400 focus:border-blue-400 outline-none transition";
+
+// Shared form for creating and editing a template
+function TemplateForm({ draft, setDraft, categories }) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+      <div className="flex gap-2">
+        <input
+          value={draft.icon}
+          onChange={(e) => setDraft({ ...draft, icon: e.target.value })}
+          className={`${fieldClass} w-14 text-center`}
+          title="Icon (any emoji)"
+        />
+        <input
+          value={draft.type}
+          onChange={(e) => setDraft({ ...draft, type: e.target.value })}
+          placeholder="Block name (e.g. Counterexample)"
+          className={`${fieldClass} flex-1`}
+        />
+      </div>
+      <input
+        value={draft.category}
+        onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+        placeholder="Category (e.g. Rhetorical moves)"
+        list="template-categories"
+        className={fieldClass}
+      />
+      <datalist id="template-categories">
+        {categories.map(category => <option key={category} value={category} />)}
+      </datalist>
+      <input
+        value={draft.description}
+        onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+        placeholder="Description: what should this block do?"
+        className={fieldClass}
+      />
+      <input
+        value={draft.instructions}
+        onChange={(e) => setDraft({ ...draft, instructions: e.target.value })}
+        placeholder="Default instructions (optional)"
+        className={fieldClass}
+      />
+    </div>
+  );
+}
+
+function TemplateManager({ templates, onCreate, onUpdate, onDelete, onMove, onImportPack, onExportPack }) {
+  const [draft, setDraft] = useState(emptyDraft);
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState(null);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const categories = [...new Set([DEFAULT_CATEGORY, ...templates.map(t => t.category || DEFAULT_CATEGORY)])];
+
+  const cleanDraft = (d) => ({
+    icon: d.icon.trim() || "🔧",
+    type: d.type.trim(),
+    category: d.category.trim() || DEFAULT_CATEGORY,
+    description: d.description.trim(),
+    instructions: d.instructions.trim()
+  });
+
+  const isValid = (d) => d.type.trim() && d.description.trim();
+
+  const handleCreate = () => {
+    if (!isValid(draft)) return;
+    onCreate(cleanDraft(draft));
+    setDraft(emptyDraft());
+  };
+
+  const startEditing = (template) => {
+    setEditingId(template.id);
+    setEditDraft({ ...emptyDraft(), ...template, instructions: template.instructions || "" });
+  };
+
+  const saveEditing = () => {
+    if (!isValid(editDraft)) return;
+    onUpdate(editingId, cleanDraft(editDraft));
+    setEditingId(null);
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-xl border shadow-sm mb-6">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-sm font-semibold text-gray-700">Create a Custom Block</h3>
+        <button
+          onClick={() => setShowLibrary(!showLibrary)}
+          className="text-xs text-blue-600 hover:underline"
+        >
+          {showLibrary ? "Hide template library" : `Manage templates (${templates.length})`}
+        </button>
+      </div>
+
+      <div className="mb-3">
+        <TemplateForm draft={draft} setDraft={setDraft} categories={categories} />
+      </div>
+      <button
+        onClick={handleCreate}
+        disabled={!isValid(draft)}
+        className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Add Custom Block
+      </button>
+
+      {/* 🧰 Template library */}
+      {showLibrary && (
+        <div className="mt-4 pt-4 border-t">
+          <div className="flex flex-wrap gap-2 mb-3">
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="text-xs bg-green-50 text-green-600 px-2 py-1 rounded hover:bg-green-100 transition-colors duration-150"
+            >
+              📥 Import Pack
+            </button>
+            <button
+              onClick={onExportPack}
+              disabled={templates.length === 0}
+              className="text-xs bg-green-50 text-green-600 px-2 py-1 rounded hover:bg-green-100 transition-colors duration-150 disabled:opacity-50"
+            >
+              📤 Export Pack
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                if (file) onImportPack(file);
+                e.target.value = "";
+              }}
+            />
+          </div>
+
+          {templates.length === 0 ? (
+            <div className="text-xs text-gray-400 italic">No custom templates yet</div>
+          ) : (
+            <ul className="divide-y border rounded">
+              {templates.map((template, index) => (
+                <li key={template.id} className="p-2 text-sm">
+                  {editingId === template.id ? (
+                    <div className="space-y-2">
+                      <TemplateForm draft={editDraft} setDraft={setEditDraft} categories={categories} />
+                      <div className="flex gap-2">
+                        <button
+                          onClick={saveEditing}
+                          disabled={!isValid(editDraft)}
+                          className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 transition-colors duration-150 disabled:opacity-50"
+                        >
+                          Save
+                        </button>
+                        <button
+                          onClick={() => setEditingId(null)}
+                          className="text-xs bg-gray-100 text-gray-600 px-3 py-1 rounded hover:bg-gray-200 transition-colors duration-150"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="flex items-center gap-2">
+                      <span className="text-lg">{template.icon}</span>
+                      <div className="flex-1 min-w-0">
+                        <div className="font-medium text-gray-800 truncate">
+                          {template.type}
+                          <span className="ml-2 text-xs font-normal text-gray-400">{template.category || DEFAULT_CATEGORY}</span>
+                        </div>
+                        <div className="text-xs text-gray-500 truncate">{template.description}</div>
+                        {template.instructions && (
+                          <div className="text-xs text-purple-600 italic truncate">📌 {template.instructions}</div>
+                        )}
+                      </div>
+                      <div className="flex gap-1 flex-shrink-0">
+                        <button
+                          onClick={() => onMove(template.id, -1)}
+                          disabled={index === 0}
+                          className="text-xs bg-gray-50 px-1.5 py-1 rounded hover:bg-gray-100 disabled:opacity-30"
+                          title="Move up"
+                        >
+                          ▲
+                        </button>
+                        <button
+                          onClick={() => onMove(template.id, 1)}
+                          disabled={index === templates.length - 1}
+                          className="text-xs bg-gray-50 px-1.5 py-1 rounded hover:bg-gray-100 disabled:opacity-30"
+                          title="Move down"
+                        >
+                          ▼
+                        </button>
+                        <button
+                          onClick={() => startEditing(template)}
+                          className="text-xs bg-blue-50 text-blue-600 px-2 py-1 rounded hover:bg-blue-100"
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          onClick={() => onDelete(template.id)}
+                          className="text-xs bg-red-50 text-red-500 px-2 py-1 rounded hover:bg-red-100"
+                          title="Delete template (placed blocks are kept)"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TemplateManager;
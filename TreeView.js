@@ -1,114 +1,366 @@
-import React from 'react';
-
-function TreeView({ 
-  prompt, 
-  explanationChain, 
-  parallelTrains, 
-  activeTrain, 
-  setActiveTrain,
-  findBlock,
-  setActiveTab,
-  trainOutputs
-}) {
-  // Helper function to handle clicking on a train
-  const handleTrainClick = (trainId) => {
-    setActiveTrain(trainId);
-    
-    // If this train has an explanation, switch to output tab
-    if (trainOutputs[trainId]) {
-      setActiveTab("output");
-    }
-  };
-
-  // Helper function to render branch nodes
-  const renderBranchNodes = (parentId, level = 1) => {
-    const branchBlocks = parallelTrains[parentId] || [];
-    if (branchBlocks.length === 0) return null;
-    
-    return (
-      <ul className="pl-4 border-l border-gray-200 space-y-1">
-        {branchBlocks.map(block => (
-          <li key={block.id}>
-            <button
-              onClick={() => handleTrainClick(block.id)}
-              className={`flex items-center text-xs py-1 px-2 rounded-md transition-colors 
-                ${activeTrain === block.id 
-                  ? 'bg-blue-100 text-blue-700 font-medium' 
-                  : 'text-gray-600 hover:bg-gray-100'}`}
-            >
-              <span className="mr-1">{block.icon}</span>
-              <span className="truncate max-w-[140px]">{block.type}</span>
-            </button>
-            {/* Recursively render nested branches */}
-            {renderBranchNodes(block.id, level + 1)}
-          </li>
-        ))}
-      </ul>
-    );
-  };
-
-  return (
-    <div className="bg-white rounded-xl border shadow-sm overflow-hidden mb-6">
-      <div className="px-3 py-2 bg-gray-50 border-b">
-        <h3 className="text-sm font-medium text-gray-700">Explanation Structure</h3>
-      </div>
-      <div className="p-2 max-h-[300px] overflow-y-auto">
-        {/* Root node (prompt) */}
-        <div className="mb-2">
-          <div className="flex items-center text-sm font-medium text-gray-700 px-2 py-1">
-            <span className="mr-1">🔍</span>
-            <span className="truncate">{prompt || "No prompt yet"}</span>
-          </div>
-        </div>
-        
-        {/* Main chain */}
-        <div className="space-y-1 pl-2">
-          <button
-            onClick={() => handleTrainClick("main")}
-            className={`flex items-center text-xs py-1 px-2 rounded-md w-full transition-colors
-              ${activeTrain === "main" 
-                ? 'bg-blue-100 text-blue-700 font-medium' 
-                : 'text-gray-600 hover:bg-gray-100'}`}
-          >
-            <span className="mr-1">📝</span>
-            <span>Main Chain</span>
-            <span className="ml-1 text-xs text-gray-400">({explanationChain.length})</span>
-          </button>
-          
-          {/* Render main blocks with their branches */}
-          <ul className="pl-4 space-y-1 border-l border-gray-200">
-            {explanationChain.map(block => (
-              <li key={block.id}>
-                <button
-                  onClick={() => handleTrainClick(block.id)}
-                  className={`flex items-center text-xs py-1 px-2 rounded-md transition-colors 
-                    ${activeTrain === block.id 
-                      ? 'bg-blue-100 text-blue-700 font-medium' 
-                      : 'text-gray-600 hover:bg-gray-100'}`}
-                >
-                  <span className="mr-1">{block.icon}</span>
-                  <span className="truncate max-w-[140px]">{block.type}</span>
-                  {parallelTrains[block.id]?.length > 0 && (
-                    <span className="ml-1 text-xs text-gray-400">
-                      ({parallelTrains[block.id].length})
-                    </span>
-                  )}
-                </button>
-                {/* Render branches */}
-                {renderBranchNodes(block.id)}
-              </li>
-            ))}
-          </ul>
-          
-          {explanationChain.length === 0 && (
-            <div className="text-xs text-gray-400 italic py-2 px-4">
-              Add blocks to start building your explanation
-            </div>
-          )}
-        </div>
-      </div>
-    </div>
-  );
-}
-
-export default TreeView;
\ No newline at end of file
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  DndContext,
+  PointerSensor,
+  useDraggable,
+  useDroppable,
+  useSensor,
+  useSensors
+} from '@dnd-kit/core';
+
+// One row of the tree: a drop target for reparenting and, for blocks, draggable
+function TreeNode({
+  nodeId,
+  icon,
+  label,
+  count,
+  hasOutput,
+  hasChildren,
+  isCollapsed,
+  isActive,
+  isFocused,
+  isHighlighted,
+  draggable,
+  onToggleCollapse,
+  onClick,
+  onContextMenu,
+  hoverProps = {}
+}) {
+  const { attributes, listeners, setNodeRef: setDragRef, isDragging } = useDraggable({
+    id: nodeId,
+    disabled: !draggable
+  });
+  const { setNodeRef: setDropRef, isOver } = useDroppable({ id: nodeId });
+
+  return (
+    <div
+      ref={setDropRef}
+      id={`tree-node-${nodeId}`}
+      role="treeitem"
+      aria-selected={isActive}
+      aria-expanded={hasChildren ? !isCollapsed : undefined}
+      className={`flex items-center rounded-md ${isOver && !isDragging ? 'ring-2 ring-green-400 bg-green-50' : ''}
+        ${isFocused ? 'ring-1 ring-blue-400' : ''}`}
+    >
+      <button
+        onClick={onToggleCollapse}
+        tabIndex={-1}
+        className={`w-4 text-[10px] text-gray-400 hover:text-gray-600 flex-shrink-0 ${hasChildren ? '' : 'invisible'}`}
+        title={isCollapsed ? "Expand" : "Collapse"}
+      >
+        {isCollapsed ? "▸" : "▾"}
+      </button>
+      <button
+        ref={setDragRef}
+        {...attributes}
+        {...listeners}
+        tabIndex={-1}
+        onClick={onClick}
+        onContextMenu={onContextMenu}
+        {...hoverProps}
+        className={`flex items-center text-xs py-1 px-2 rounded-md transition-colors
+          ${isActive
+            ? 'bg-blue-100 text-blue-700 font-medium'
+            : 'text-gray-600 hover:bg-gray-100'}
+          ${isHighlighted ? 'ring-1 ring-yellow-300 bg-yellow-50' : ''}
+          ${isDragging ? 'opacity-50' : ''}`}
+      >
+        <span className="mr-1">{icon}</span>
+        <span className="truncate max-w-[140px]">{label}</span>
+        {count > 0 && (
+          <span className="ml-1 text-xs text-gray-400">({count})</span>
+        )}
+        {hasOutput && (
+          <span className="ml-1 text-[10px] bg-green-100 text-green-700 px-1 rounded" title="This train has an output">
+            📄
+          </span>
+        )}
+      </button>
+    </div>
+  );
+}
+
+function TreeView({
+  prompt,
+  explanationChain,
+  parallelTrains,
+  activeTrain,
+  setActiveTrain,
+  findBlock,
+  setActiveTab,
+  trainOutputs,
+  highlightedBlockIds = [],
+  onHoverBlock = () => {},
+  onMoveBlock = () => {},
+  onRenameBlock = () => {},
+  onDeleteBlock = () => {},
+  onDuplicateBranch = () => {},
+  onGenerateTrain = () => {},
+  canGenerate = true
+}) {
+  const [collapsed, setCollapsed] = useState([]); // node ids whose subtree is hidden
+  const [focusedId, setFocusedId] = useState(null);
+  const [menu, setMenu] = useState(null); // { nodeId, x, y }
+  const treeRef = useRef(null);
+
+  // A small drag distance keeps plain clicks working as clicks
+  const sensors = useSensors(useSensor(PointerSensor, { activationConstraint: { distance: 5 } }));
+
+  // Helper function to handle clicking on a train
+  const handleTrainClick = (trainId) => {
+    setActiveTrain(trainId);
+    setFocusedId(trainId);
+
+    // If this train has an explanation, switch to output tab
+    if (trainOutputs[trainId]) {
+      setActiveTab("output");
+    }
+  };
+
+  const childrenOf = (nodeId) => (nodeId === "main" ? explanationChain : parallelTrains[nodeId] || []);
+  const hasChildren = (nodeId) => childrenOf(nodeId).length > 0;
+  const isCollapsed = (nodeId) => collapsed.includes(nodeId);
+
+  const toggleCollapse = (nodeId) =>
+    setCollapsed(prev => (prev.includes(nodeId) ? prev.filter(id => id !== nodeId) : [...prev, nodeId]));
+
+  // Visible nodes in display order, each with its parent, for keyboard navigation
+  const visibleNodes = [];
+  const collectVisible = (nodeId, parentId) => {
+    visibleNodes.push({ nodeId, parentId });
+    if (isCollapsed(nodeId)) return;
+    childrenOf(nodeId).forEach(block => collectVisible(block.id, nodeId));
+  };
+  collectVisible("main", null);
+
+  // Forget nodes that no longer exist
+  useEffect(() => {
+    if (focusedId && focusedId !== "main" && !findBlock(focusedId)) setFocusedId(null);
+    if (menu && menu.nodeId !== "main" && !findBlock(menu.nodeId)) setMenu(null);
+  }, [focusedId, menu, findBlock]);
+
+  // Close the context menu on any outside click or Escape
+  useEffect(() => {
+    if (!menu) return;
+    const close = () => setMenu(null);
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") setMenu(null);
+    };
+    window.addEventListener("mousedown", close);
+    window.addEventListener("keydown", onKeyDown);
+    return () => {
+      window.removeEventListener("mousedown", close);
+      window.removeEventListener("keydown", onKeyDown);
+    };
+  }, [menu]);
+
+  const openMenu = (nodeId, x, y) => {
+    setFocusedId(nodeId);
+    setMenu({ nodeId, x, y });
+  };
+
+  // ⌨️ Arrow keys move through visible nodes; Right/Left expand, collapse or step in/out
+  const handleKeyDown = (e) => {
+    if (visibleNodes.length === 0) return;
+    const index = visibleNodes.findIndex(n => n.nodeId === focusedId);
+    const current = visibleNodes[index];
+
+    const focus = (nodeId) => {
+      setFocusedId(nodeId);
+      document.getElementById(`tree-node-${nodeId}`)?.scrollIntoView({ block: "nearest" });
+    };
+
+    switch (e.key) {
+      case "ArrowDown":
+        focus(visibleNodes[Math.min(index + 1, visibleNodes.length - 1)].nodeId);
+        break;
+      case "ArrowUp":
+        focus(visibleNodes[Math.max(index - 1, 0)].nodeId);
+        break;
+      case "Home":
+        focus(visibleNodes[0].nodeId);
+        break;
+      case "End":
+        focus(visibleNodes[visibleNodes.length - 1].nodeId);
+        break;
+      case "ArrowRight":
+        if (!current || !hasChildren(current.nodeId)) break;
+        if (isCollapsed(current.nodeId)) toggleCollapse(current.nodeId);
+        else focus(childrenOf(current.nodeId)[0].id);
+        break;
+      case "ArrowLeft":
+        if (!current) break;
+        if (hasChildren(current.nodeId) && !isCollapsed(current.nodeId)) toggleCollapse(current.nodeId);
+        else if (current.parentId) focus(current.parentId);
+        break;
+      case "Enter":
+      case " ":
+        if (current) handleTrainClick(current.nodeId);
+        break;
+      case "ContextMenu":
+      case "F10": {
+        if (!current || (e.key === "F10" && !e.shiftKey)) return;
+        const rect = document.getElementById(`tree-node-${current.nodeId}`)?.getBoundingClientRect();
+        if (rect) openMenu(current.nodeId, rect.left + 24, rect.bottom);
+        break;
+      }
+      case "Delete":
+        if (current && current.nodeId !== "main") onDeleteBlock(current.nodeId);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
+  // Dropping a node on another makes it part of that node's branch (or the main chain)
+  const handleDragEnd = ({ active, over }) => {
+    if (!over || active.id === over.id) return;
+    onMoveBlock(active.id, over.id);
+  };
+
+  // Hover handlers that link a node to its spans in the output
+  const hoverProps = (blockId) => ({
+    onMouseEnter: () => onHoverBlock([blockId]),
+    onMouseLeave: () => onHoverBlock([])
+  });
+
+  const nodeProps = (nodeId) => ({
+    nodeId,
+    hasOutput: Boolean(trainOutputs[nodeId]),
+    hasChildren: hasChildren(nodeId),
+    isCollapsed: isCollapsed(nodeId),
+    isActive: activeTrain === nodeId,
+    isFocused: focusedId === nodeId,
+    onToggleCollapse: () => toggleCollapse(nodeId),
+    onClick: () => handleTrainClick(nodeId),
+    onContextMenu: (e) => {
+      e.preventDefault();
+      openMenu(nodeId, e.clientX, e.clientY);
+    }
+  });
+
+  // Helper function to render branch nodes
+  const renderBranchNodes = (parentId) => {
+    const branchBlocks = parallelTrains[parentId] || [];
+    if (branchBlocks.length === 0 || isCollapsed(parentId)) return null;
+
+    return (
+      <ul className="pl-4 border-l border-gray-200 space-y-1" role="group">
+        {branchBlocks.map(block => (
+          <li key={block.id}>
+            <TreeNode
+              {...nodeProps(block.id)}
+              icon={block.icon}
+              label={block.type}
+              count={parallelTrains[block.id]?.length || 0}
+              isHighlighted={highlightedBlockIds.includes(block.id)}
+              hoverProps={hoverProps(block.id)}
+              draggable
+            />
+            {/* Recursively render nested branches */}
+            {renderBranchNodes(block.id)}
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  const menuItem = (label, action, disabled = false) => (
+    <button
+      onClick={() => {
+        setMenu(null);
+        action();
+        treeRef.current?.focus();
+      }}
+      disabled={disabled}
+      className="block w-full text-left text-xs px-3 py-1.5 hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent"
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="bg-white rounded-xl border shadow-sm overflow-hidden mb-6">
+      <div className="px-3 py-2 bg-gray-50 border-b">
+        <h3 className="text-sm font-medium text-gray-700">Explanation Structure</h3>
+      </div>
+      <div
+        ref={treeRef}
+        role="tree"
+        tabIndex={0}
+        aria-activedescendant={focusedId ? `tree-node-${focusedId}` : undefined}
+        onKeyDown={handleKeyDown}
+        onFocus={() => !focusedId && setFocusedId(activeTrain)}
+        className="p-2 max-h-[300px] overflow-y-auto outline-none focus:ring-1 focus:ring-blue-200"
+      >
+        {/* Root node (prompt) */}
+        <div className="mb-2">
+          <div className="flex items-center text-sm font-medium text-gray-700 px-2 py-1">
+            <span className="mr-1">🔍</span>
+            <span className="truncate">{prompt || "No prompt yet"}</span>
+          </div>
+        </div>
+
+        <DndContext sensors={sensors} onDragEnd={handleDragEnd}>
+          {/* Main chain */}
+          <div className="space-y-1 pl-2">
+            <TreeNode
+              {...nodeProps("main")}
+              icon="📝"
+              label="Main Chain"
+              count={explanationChain.length}
+            />
+
+            {/* Render main blocks with their branches */}
+            {!isCollapsed("main") && (
+              <ul className="pl-4 space-y-1 border-l border-gray-200" role="group">
+                {explanationChain.map(block => (
+                  <li key={block.id}>
+                    <TreeNode
+                      {...nodeProps(block.id)}
+                      icon={block.icon}
+                      label={block.type}
+                      count={parallelTrains[block.id]?.length || 0}
+                      isHighlighted={highlightedBlockIds.includes(block.id)}
+                      hoverProps={hoverProps(block.id)}
+                      draggable
+                    />
+                    {/* Render branches */}
+                    {renderBranchNodes(block.id)}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {explanationChain.length === 0 && (
+              <div className="text-xs text-gray-400 italic py-2 px-4">
+                Add blocks to start building your explanation
+              </div>
+            )}
+          </div>
+        </DndContext>
+      </div>
+
+      {/* Context menu */}
+      {menu && (
+        <div
+          className="fixed z-50 bg-white border rounded-md shadow-lg py-1 min-w-[160px]"
+          style={{ left: menu.x, top: menu.y }}
+          onMouseDown={(e) => e.stopPropagation()}
+        >
+          {menuItem("⚡ Generate", () => onGenerateTrain(menu.nodeId), !canGenerate || !hasChildren(menu.nodeId))}
+          {menu.nodeId !== "main" && (
+            <>
+              {menuItem("✏️ Rename", () => onRenameBlock(menu.nodeId))}
+              {menuItem("📑 Duplicate branch", () => onDuplicateBranch(menu.nodeId))}
+              {menuItem("🗑️ Delete", () => onDeleteBlock(menu.nodeId))}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TreeView;
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+
+// How many past actions to list
+const VISIBLE_ACTIONS = 8;
+
+function UndoHistoryPanel({ past, future, canUndo, canRedo, onUndo, onRedo }) {
+  const [expanded, setExpanded] = useState(false);
+
+  const formatTime = (at) =>
+    new Date(at).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+  return (
+    <div className="bg-white p-3 rounded-lg border shadow-sm mb-6">
+      <div className="flex items-center gap-2">
+        <button
+          onClick={onUndo}
+          disabled={!canUndo}
+          title="Undo (Ctrl+Z)"
+          className="text-xs bg-gray-50 text-gray-700 px-2 py-1 rounded hover:bg-gray-100 transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          ↩️ Undo
+        </button>
+        <button
+          onClick={onRedo}
+          disabled={!canRedo}
+          title="Redo (Ctrl+Shift+Z)"
+          className="text-xs bg-gray-50 text-gray-700 px-2 py-1 rounded hover:bg-gray-100 transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          ↪️ Redo
+        </button>
+        <span className="text-xs text-gray-500 truncate">
+          {canUndo ? `Last: ${past[past.length - 1].label}` : "No changes yet"}
+        </span>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          disabled={!canUndo && !canRedo}
+          className="ml-auto text-xs text-blue-600 hover:underline disabled:opacity-50 disabled:no-underline"
+        >
+          {expanded ? "Hide actions" : "Recent actions"}
+        </button>
+      </div>
+
+      {expanded && (
+        <ul className="mt-2 border-t pt-2 space-y-1 text-xs">
+          {/* Undone actions that can still be redone, next redo closest to the present */}
+          {future.map((entry, i) => (
+            <li key={`future-${i}`} className="flex justify-between text-gray-400 line-through">
+              <span className="truncate">{entry.label}</span>
+              <span>{formatTime(entry.at)}</span>
+            </li>
+          ))}
+          {past.slice(-VISIBLE_ACTIONS).reverse().map((entry, i) => (
+            <li key={`past-${i}`} className={`flex justify-between ${i === 0 ? 'text-gray-800 font-medium' : 'text-gray-600'}`}>
+              <span className="truncate">{entry.label}</span>
+              <span className="text-gray-400">{formatTime(entry.at)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default UndoHistoryPanel;
@@ -0,0 +1,20 @@
+// 🌐 Where the client finds the Express API
+//
+// Set REACT_APP_API_URL at build time to point the app at another host or a
+// proxy path, e.g. https://explainer.internal or /explainer. Production builds
+// default to the same origin, which is what the server's FRONTEND_DIR mode
+// serves; the development server defaults to the API on localhost:5000.
+
+const DEFAULT_API_URL = process.env.NODE_ENV === "production" ? "" : "http://localhost:5000";
+
+export const API_BASE_URL = (process.env.REACT_APP_API_URL ?? DEFAULT_API_URL).replace(/\/+$/, "");
+
+// apiUrl("/api/explain") -> "<API_BASE_URL>/api/explain"
+export const apiUrl = (path) => `${API_BASE_URL}${path}`;
+
+// WebSocket address for an API path, on the same host as the HTTP API
+export const socketUrl = (path) => {
+  const url = new URL(apiUrl(path), window.location.href);
+  url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  return url.toString();
+};
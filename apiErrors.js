@@ -0,0 +1,36 @@
+// 🚨 Turn the server's typed error responses into messages that say what to do
+//
+// The model routes answer failures with { error, code, retryAfter? }; see
+// llmErrors.js on the server for the codes.
+
+const ACTIONS = {
+  invalid_request: (error) => error,
+  payload_too_large: () => "The request is too large. Remove some blocks or shorten their text and try again.",
+  rate_limited: (error, retryAfter) =>
+    `You're sending requests too quickly. Wait ${retryAfter ? `${retryAfter} seconds` : "a moment"} and try again.`,
+  upstream_timeout: () => "The model took too long to answer. Try again, or ask for a shorter explanation.",
+  quota_exceeded: () => "The server's model quota is used up. Ask whoever runs the server to check the API key's billing.",
+  upstream_rate_limited: (error, retryAfter) =>
+    `The model provider is busy. Wait ${retryAfter ? `${retryAfter} seconds` : "a minute"} and try again.`,
+  content_filtered: () => "The model provider's content filter blocked this request. Rephrase the prompt or blocks and try again.",
+  invalid_key: () => "The model provider rejected the server's API key. Check LLM_API_KEY or OPENAI_API_KEY in the server's .env.",
+  client_timeout: () => "The server stopped responding. Check that it is still running and try again.",
+  unreadable_response: (error) => `${error} Try again; a different answer usually parses.`
+};
+
+export class ApiError extends Error {
+  constructor({ error, code, retryAfter }, status) {
+    const action = ACTIONS[code];
+    super(action ? action(error, retryAfter) : error || `Request failed with status ${status}.`);
+    this.name = "ApiError";
+    this.code = code || null;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Build the error for a failed response from its JSON body (if it has one)
+export const readApiError = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  return new ApiError(data, response.status);
+};
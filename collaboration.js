@@ -0,0 +1,267 @@
+// 🤝 Real-time collaboration over WebSockets (/api/collab)
+//
+// Clients join a room by code and share one explanation tree. The room state
+// is split into units that are replaced whole:
+//   ["explanationChain"], ["customBlocks"],
+//   ["parallelTrains", branchId], ["trainOutputs", trainId], ["trainProvenance", trainId]
+// The server is the single sequencer: every accepted update gets the next
+// room version and is broadcast to everyone, the sender included, in that
+// order. Two edits to the same unit resolve to whichever reached the server
+// last; edits to different units never conflict.
+//
+// Client -> server
+//   { type: "join", room, name, snapshot }   snapshot seeds a room nobody is in yet
+//   { type: "update", path, value, opId }   value null removes a keyed unit
+//   { type: "presence", activeTrain, blockId }
+// Server -> client
+//   { type: "welcome", clientId, color, version, state, seeded }
+//   { type: "update", path, value, version, clientId, opId }
+//   { type: "presence", peers: [{ clientId, name, color, activeTrain, blockId }] }
+//   { type: "error", error }
+
+import crypto from "crypto";
+import { WebSocketServer } from "ws";
+
+const ROOM_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_ROOMS = 200;
+const MAX_PEERS = 20;
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+// Limits on what one room may hold, so a client cannot grow the server's memory without bound
+const MAX_KEYS_PER_UNIT = 500;
+const MAX_ROOM_BYTES = 8 * 1024 * 1024;
+const HEARTBEAT_MS = 30 * 1000;
+
+const COLORS = ["#2563eb", "#db2777", "#059669", "#d97706", "#7c3aed", "#0891b2", "#dc2626", "#65a30d"];
+
+// Unit name -> [path length, check for its value]
+const UNITS = {
+  explanationChain: [1, Array.isArray],
+  customBlocks: [1, Array.isArray],
+  parallelTrains: [2, (value) => value === null || Array.isArray(value)],
+  trainOutputs: [2, (value) => value === null || typeof value === "string"],
+  trainProvenance: [2, (value) => value === null || Array.isArray(value)],
+};
+
+// Keys that would reach Object.prototype through a plain object
+const RESERVED_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+export const emptyRoomState = () => ({
+  explanationChain: [],
+  customBlocks: [],
+  parallelTrains: {},
+  trainOutputs: {},
+  trainProvenance: {},
+});
+
+// Returns an error message, or null for a well-formed update
+export const validateUpdate = (path, value) => {
+  if (!Array.isArray(path) || !path.every(part => typeof part === "string" && part.length > 0 && part.length <= 200)) {
+    return "An update needs a path of names.";
+  }
+  const unit = Object.hasOwn(UNITS, path[0]) && UNITS[path[0]];
+  if (!unit || unit[0] !== path.length) return `"${path.join("/")}" cannot be shared.`;
+  if (path.length === 2 && RESERVED_KEYS.has(path[1])) return `"${path[1]}" cannot be used as a key.`;
+  if (!unit[1](value)) return `"${path.join("/")}" got a value of the wrong kind.`;
+  return null;
+};
+
+export const applyUpdate = (state, [unit, key], value) => {
+  if (key === undefined) {
+    state[unit] = value;
+  } else if (value === null) {
+    delete state[unit][key];
+  } else {
+    state[unit][key] = value;
+  }
+};
+
+const sizeOf = (value) => (value === null ? 0 : Buffer.byteLength(JSON.stringify(value)));
+
+// Rooms track the size of every unit to enforce MAX_ROOM_BYTES
+const createRoom = () => ({ state: emptyRoomState(), version: 0, peers: new Map(), sizes: new Map(), bytes: 0 });
+
+// Returns an error message when an update would take the room past its limits
+const checkRoomLimits = (room, path, value) => {
+  const [unit, key] = path;
+  if (
+    key !== undefined &&
+    value !== null &&
+    !Object.hasOwn(room.state[unit], key) &&
+    Object.keys(room.state[unit]).length >= MAX_KEYS_PER_UNIT
+  ) {
+    return `"${unit}" is limited to ${MAX_KEYS_PER_UNIT} entries.`;
+  }
+  if (room.bytes - (room.sizes.get(path.join("/")) || 0) + sizeOf(value) > MAX_ROOM_BYTES) {
+    return `A room's shared state is limited to ${MAX_ROOM_BYTES / (1024 * 1024)} MB.`;
+  }
+  return null;
+};
+
+const applyToRoom = (room, path, value) => {
+  const id = path.join("/");
+  const bytes = sizeOf(value);
+  room.bytes += bytes - (room.sizes.get(id) || 0);
+  if (value === null) room.sizes.delete(id);
+  else room.sizes.set(id, bytes);
+  applyUpdate(room.state, path, value);
+};
+
+// Take the parts of a client's workspace that are shared, ignoring anything malformed or over the limits
+const seedRoom = (room, snapshot) => {
+  if (!isPlainObject(snapshot)) return;
+  const offer = (path, value) => {
+    if (!validateUpdate(path, value) && !checkRoomLimits(room, path, value)) applyToRoom(room, path, value);
+  };
+  for (const [unit, [length]] of Object.entries(UNITS)) {
+    if (length === 1) {
+      offer([unit], snapshot[unit]);
+    } else if (isPlainObject(snapshot[unit])) {
+      for (const [key, value] of Object.entries(snapshot[unit])) offer([unit, key], value);
+    }
+  }
+};
+
+export function attachCollaboration(httpServer, { path = "/api/collab" } = {}) {
+  const wss = new WebSocketServer({ server: httpServer, path, maxPayload: MAX_MESSAGE_BYTES });
+  const rooms = new Map(); // room -> { state, version, peers: Map<socket, peer>, sizes, bytes }
+
+  const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  };
+
+  const broadcast = (room, message) => {
+    room.peers.forEach((_, socket) => send(socket, message));
+  };
+
+  const broadcastPresence = (room) =>
+    broadcast(room, {
+      type: "presence",
+      peers: [...room.peers.values()].map(({ clientId, name, color, activeTrain, blockId }) =>
+        ({ clientId, name, color, activeTrain, blockId })),
+    });
+
+  const pickColor = (room) => {
+    const used = new Set([...room.peers.values()].map(peer => peer.color));
+    return COLORS.find(color => !used.has(color)) || COLORS[room.peers.size % COLORS.length];
+  };
+
+  // A room lives while someone is in it
+  const leave = (socket) => {
+    const roomId = socket.roomId;
+    const room = rooms.get(roomId);
+    if (!room) return;
+    room.peers.delete(socket);
+    socket.roomId = null;
+    if (room.peers.size === 0) rooms.delete(roomId);
+    else broadcastPresence(room);
+  };
+
+  const handlers = {
+    join(socket, { room: roomId, name, snapshot }) {
+      if (typeof roomId !== "string" || !ROOM_PATTERN.test(roomId)) {
+        return send(socket, { type: "error", error: "Room codes use letters, numbers, - and _ (up to 64)." });
+      }
+      if (socket.roomId) leave(socket);
+
+      let room = rooms.get(roomId);
+      const seeded = !room;
+      if (seeded) {
+        if (rooms.size >= MAX_ROOMS) {
+          return send(socket, { type: "error", error: "The server has too many open rooms. Try again later." });
+        }
+        room = createRoom();
+        seedRoom(room, snapshot);
+        rooms.set(roomId, room);
+      }
+      if (room.peers.size >= MAX_PEERS) {
+        return send(socket, { type: "error", error: `Room "${roomId}" is full.` });
+      }
+
+      const peer = {
+        clientId: crypto.randomUUID(),
+        name: typeof name === "string" && name.trim() ? name.trim().slice(0, 40) : "Anonymous",
+        color: pickColor(room),
+        activeTrain: null,
+        blockId: null,
+      };
+      room.peers.set(socket, peer);
+      socket.roomId = roomId;
+
+      send(socket, {
+        type: "welcome",
+        clientId: peer.clientId,
+        color: peer.color,
+        version: room.version,
+        state: room.state,
+        seeded,
+      });
+      broadcastPresence(room);
+    },
+
+    update(socket, { path: unitPath, value, opId }) {
+      const room = rooms.get(socket.roomId);
+      if (!room) return send(socket, { type: "error", error: "Join a room first." });
+      const error = validateUpdate(unitPath, value) || checkRoomLimits(room, unitPath, value);
+      if (error) return send(socket, { type: "error", error });
+
+      applyToRoom(room, unitPath, value);
+      room.version += 1;
+      broadcast(room, {
+        type: "update",
+        path: unitPath,
+        value,
+        version: room.version,
+        clientId: room.peers.get(socket).clientId,
+        opId,
+      });
+    },
+
+    presence(socket, { activeTrain, blockId }) {
+      const room = rooms.get(socket.roomId);
+      if (!room) return;
+      const peer = room.peers.get(socket);
+      peer.activeTrain = typeof activeTrain === "string" ? activeTrain.slice(0, 200) : null;
+      peer.blockId = typeof blockId === "string" ? blockId.slice(0, 200) : null;
+      broadcastPresence(room);
+    },
+
+    leave(socket) {
+      leave(socket);
+    },
+  };
+
+  wss.on("connection", (socket) => {
+    socket.isAlive = true;
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        return send(socket, { type: "error", error: "Messages must be JSON." });
+      }
+      const handler = isPlainObject(message) && Object.hasOwn(handlers, message.type) && handlers[message.type];
+      if (!handler) return send(socket, { type: "error", error: "Unknown message type." });
+      handler(socket, message);
+    });
+
+    socket.on("close", () => leave(socket));
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_MS);
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+}
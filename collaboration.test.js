@@ -0,0 +1,205 @@
+// End-to-end checks of the collaboration rooms on a running server.js.
+
+import { describe, test, expect, beforeAll, afterAll } from "vitest";
+import WebSocket from "ws";
+import { startServer } from "./testServer.js";
+
+const chain = [{ id: "b1", type: "Hook", description: "Grab attention" }];
+
+let server;
+beforeAll(async () => {
+  server = await startServer();
+}, 20000);
+afterAll(() => server?.stop());
+
+const sockets = [];
+afterAll(() => sockets.forEach(socket => socket.close()));
+
+// A connected client whose messages queue up until a test takes them
+const connect = async () => {
+  const socket = new WebSocket(`${server.url.replace("http", "ws")}/api/collab`);
+  sockets.push(socket);
+  const queue = [];
+  const waiting = [];
+  socket.on("message", (data) => {
+    const message = JSON.parse(data.toString());
+    const index = waiting.findIndex(w => w.type === message.type);
+    if (index === -1) queue.push(message);
+    else waiting.splice(index, 1)[0].resolve(message);
+  });
+  await new Promise((resolve, reject) => {
+    socket.once("open", resolve);
+    socket.once("error", reject);
+  });
+
+  return {
+    send: (message) => socket.send(JSON.stringify(message)),
+    // The next message of a type, in the order the server sent them
+    next: (type) => {
+      const index = queue.findIndex(m => m.type === type);
+      if (index !== -1) return Promise.resolve(queue.splice(index, 1)[0]);
+      return new Promise(resolve => waiting.push({ type, resolve }));
+    },
+  };
+};
+
+const join = async (room, name, snapshot) => {
+  const client = await connect();
+  client.send({ type: "join", room, name, snapshot });
+  const welcome = await client.next("welcome");
+  return Object.assign(client, { welcome });
+};
+
+describe("collaboration rooms", () => {
+  test("the first client seeds the room and later ones get its state", async () => {
+    const alice = await join("seeding", "Alice", {
+      explanationChain: chain,
+      parallelTrains: { b1: [], broken: "not a branch" },
+      trainOutputs: { main: "Because." },
+      rubric: ["not shared"],
+    });
+    expect(alice.welcome).toMatchObject({ seeded: true, version: 0 });
+    expect(alice.welcome.state).toEqual({
+      explanationChain: chain,
+      customBlocks: [],
+      parallelTrains: { b1: [] },
+      trainOutputs: { main: "Because." },
+      trainProvenance: {},
+    });
+
+    const bob = await join("seeding", "Bob", { explanationChain: [] });
+    expect(bob.welcome.seeded).toBe(false);
+    expect(bob.welcome.state).toEqual(alice.welcome.state);
+    expect(bob.welcome.clientId).not.toBe(alice.welcome.clientId);
+
+    const { peers } = await bob.next("presence");
+    expect(peers.map(p => p.name)).toEqual(["Alice", "Bob"]);
+  });
+
+  test("echoes every update to its sender with the sender's id and opId", async () => {
+    const alice = await join("echo", "Alice");
+    alice.send({ type: "update", path: ["trainOutputs", "main"], value: "Hello.", opId: "op-1" });
+
+    expect(await alice.next("update")).toEqual({
+      type: "update",
+      path: ["trainOutputs", "main"],
+      value: "Hello.",
+      version: 1,
+      clientId: alice.welcome.clientId,
+      opId: "op-1",
+    });
+  });
+
+  test("sequences updates so every client sees the same order", async () => {
+    const alice = await join("sequence", "Alice");
+    const bob = await join("sequence", "Bob");
+
+    alice.send({ type: "update", path: ["explanationChain"], value: chain, opId: "a1" });
+    bob.send({ type: "update", path: ["parallelTrains", "b1"], value: [], opId: "b1" });
+    alice.send({ type: "update", path: ["trainOutputs", "b1"], value: "Branch.", opId: "a2" });
+
+    const seen = async (client) => {
+      const updates = [await client.next("update"), await client.next("update"), await client.next("update")];
+      return updates.map(({ version, opId }) => [version, opId]);
+    };
+    const [seenByAlice, seenByBob] = await Promise.all([seen(alice), seen(bob)]);
+    expect(seenByAlice.map(([version]) => version)).toEqual([1, 2, 3]);
+    expect(seenByBob).toEqual(seenByAlice);
+    // One client's own updates keep the order it sent them in
+    expect(seenByAlice.map(([, opId]) => opId).filter(opId => opId !== "b1")).toEqual(["a1", "a2"]);
+  });
+
+  test("the last edit to reach the server wins", async () => {
+    const alice = await join("last-write", "Alice");
+    const bob = await join("last-write", "Bob");
+
+    alice.send({ type: "update", path: ["trainOutputs", "main"], value: "Alice's", opId: "a" });
+    await bob.next("update");
+    bob.send({ type: "update", path: ["trainOutputs", "main"], value: "Bob's", opId: "b" });
+    await alice.next("update");
+    expect(await alice.next("update")).toMatchObject({ value: "Bob's", version: 2 });
+
+    bob.send({ type: "update", path: ["trainOutputs", "gone"], value: "Soon removed.", opId: "c" });
+    bob.send({ type: "update", path: ["trainOutputs", "gone"], value: null, opId: "d" });
+    for (const opId of ["b", "c", "d"]) expect(await bob.next("update")).toMatchObject({ opId });
+
+    const carol = await join("last-write", "Carol");
+    expect(carol.welcome.version).toBe(4);
+    expect(carol.welcome.state.trainOutputs).toEqual({ main: "Bob's" });
+  });
+
+  test("refuses malformed messages and updates", async () => {
+    const client = await connect();
+    client.send({ type: "update", path: ["explanationChain"], value: [] });
+    expect((await client.next("error")).error).toBe("Join a room first.");
+
+    client.send({ type: "join", room: "no spaces allowed" });
+    expect((await client.next("error")).error).toMatch(/Room codes/);
+
+    client.send({ type: "join", room: "validation" });
+    await client.next("welcome");
+
+    const cases = [
+      [{ type: "update", path: ["rubric"], value: [] }, `"rubric" cannot be shared.`],
+      [{ type: "update", path: ["explanationChain", "extra"], value: [] }, `"explanationChain/extra" cannot be shared.`],
+      [{ type: "update", path: ["explanationChain"], value: "text" }, `"explanationChain" got a value of the wrong kind.`],
+      [{ type: "update", path: ["trainOutputs", "main"], value: 42 }, `"trainOutputs/main" got a value of the wrong kind.`],
+      [{ type: "update", path: "explanationChain", value: [] }, "An update needs a path of names."],
+      [{ type: "shout" }, "Unknown message type."],
+    ];
+    for (const [message, error] of cases) {
+      client.send(message);
+      expect((await client.next("error")).error).toBe(error);
+    }
+
+    const observer = await join("validation", "Observer");
+    expect(observer.welcome.version).toBe(0);
+  });
+
+  test("refuses keys that would reach Object.prototype", async () => {
+    const alice = await join("reserved", "Alice", {
+      parallelTrains: JSON.parse('{"__proto__": [], "b1": []}'),
+      trainOutputs: JSON.parse('{"constructor": "x", "main": "Kept."}'),
+    });
+    expect(alice.welcome.state.parallelTrains).toEqual({ b1: [] });
+    expect(Object.keys(alice.welcome.state.trainOutputs)).toEqual(["main"]);
+
+    for (const [unit, key] of [["parallelTrains", "__proto__"], ["trainOutputs", "constructor"], ["trainProvenance", "prototype"]]) {
+      alice.send({ type: "update", path: [unit, key], value: unit === "trainOutputs" ? "x" : [] });
+      expect((await alice.next("error")).error).toBe(`"${key}" cannot be used as a key.`);
+    }
+
+    const bob = await join("reserved", "Bob");
+    expect(bob.welcome.version).toBe(0);
+    expect(bob.welcome.state.trainOutputs).toEqual({ main: "Kept." });
+  });
+
+  test("limits how many entries and bytes a room holds", async () => {
+    const alice = await join("limits", "Alice");
+    for (let i = 0; i < 500; i++) {
+      alice.send({ type: "update", path: ["trainOutputs", `t${i}`], value: "" });
+    }
+    alice.send({ type: "update", path: ["trainOutputs", "one-too-many"], value: "" });
+    expect((await alice.next("error")).error).toBe(`"trainOutputs" is limited to 500 entries.`);
+    // Replacing or removing existing entries is still fine
+    alice.send({ type: "update", path: ["trainOutputs", "t0"], value: null, opId: "remove" });
+    let update;
+    do update = await alice.next("update"); while (update.opId !== "remove");
+    expect(update.version).toBe(501);
+
+    const big = "x".repeat(1000 * 1000);
+    for (let i = 0; i < 9; i++) alice.send({ type: "update", path: ["parallelTrains", `big${i}`], value: [big] });
+    expect((await alice.next("error")).error).toBe("A room's shared state is limited to 8 MB.");
+  });
+
+  test("refuses joining a full room with an error", async () => {
+    for (let i = 0; i < 20; i++) await join("crowded", `Peer ${i}`);
+    const late = await connect();
+    late.send({ type: "join", room: "crowded", name: "Late" });
+    expect((await late.next("error")).error).toBe(`Room "crowded" is full.`);
+
+    // The refused client can still join somewhere else
+    late.send({ type: "join", room: "quiet", name: "Late" });
+    expect((await late.next("welcome")).seeded).toBe(true);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, test, expect } from "vitest";
+import { runWithConcurrency } from "./concurrency";
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe("runWithConcurrency", () => {
+  test("never has more than `limit` workers in flight and keeps results in item order", async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await runWithConcurrency([30, 10, 20, 0, 5], 2, async (delay, index) => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      inFlight -= 1;
+      return `${index}:${delay}`;
+    });
+
+    expect(peak).toBe(2);
+    expect(results).toEqual(["0:30", "1:10", "2:20", "3:0", "4:5"]);
+  });
+
+  test("handles fewer items than the limit and no items at all", async () => {
+    expect(await runWithConcurrency([1], 4, async (n) => n * 2)).toEqual([2]);
+    expect(await runWithConcurrency([], 4, async () => { throw new Error("never called"); })).toEqual([]);
+  });
+
+  test("rejects with the first worker error", async () => {
+    const started = [];
+    const run = runWithConcurrency(["a", "b", "c"], 1, async (item) => {
+      started.push(item);
+      await tick();
+      if (item === "b") throw new Error("b failed");
+      return item;
+    });
+
+    await expect(run).rejects.toThrow("b failed");
+    expect(started).toEqual(["a", "b"]);
+  });
+});
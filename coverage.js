@@ -0,0 +1,45 @@
+// 🔎 Structure coverage: did each block's purpose make it into the output?
+//
+// The checker sees the blocks numbered like the generation prompt's structure
+// hints and answers per block with "present", "weak" or "missing":
+//   [{ blockId, status, note }]
+
+import { JudgeResponseError, readJudgeJson } from "./evaluation.js";
+
+export const COVERAGE_STATUSES = ["present", "weak", "missing"];
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+export const parseCoverage = (raw, blocks) => {
+  const data = readJudgeJson(raw);
+  if (!Array.isArray(data.blocks)) throw new JudgeResponseError("The coverage check returned no blocks.");
+
+  return blocks.map((block, i) => {
+    const entry = data.blocks.find(b => isPlainObject(b) && Number(b.block) === i + 1);
+    const status = entry && String(entry.status).toLowerCase().trim();
+    if (!COVERAGE_STATUSES.includes(status)) {
+      throw new JudgeResponseError(`The coverage check gave no usable status for block ${i + 1}.`);
+    }
+    return {
+      blockId: String(block.id),
+      status,
+      note: typeof entry.note === "string" ? entry.note.trim() : "",
+    };
+  });
+};
+
+// -> { coverage: [{ blockId, status, note }], model, template }
+export async function checkCoverage(llm, prompts, { prompt, blocks, output }, { signal } = {}) {
+  const { messages, template } = prompts.render("coverage", undefined, {
+    prompt,
+    blocks,
+    vars: { output },
+  });
+  const completion = await llm.complete(messages, { signal });
+
+  return {
+    coverage: parseCoverage(completion.output, blocks),
+    model: completion.model,
+    template,
+  };
+}
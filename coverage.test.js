@@ -0,0 +1,20 @@
+import { test, expect } from "vitest";
+import { parseCoverage } from "./coverage.js";
+import { JudgeResponseError } from "./evaluation.js";
+
+const blocks = [{ id: "hook" }, { id: 7 }];
+
+test("maps numbered answers back to block ids", () => {
+  const raw = '```json\n{"blocks": [{"block": 2, "status": "Missing ", "note": " Not there. "}, {"block": "1", "status": "present"}]}\n```';
+  expect(parseCoverage(raw, blocks)).toEqual([
+    { blockId: "hook", status: "present", note: "" },
+    { blockId: "7", status: "missing", note: "Not there." },
+  ]);
+});
+
+test("rejects answers without blocks or with an unknown status", () => {
+  expect(() => parseCoverage('{"results": []}', blocks)).toThrow(JudgeResponseError);
+  expect(() => parseCoverage('{"blocks": [{"block": 1, "status": "present"}]}', blocks)).toThrow(/block 2/);
+  expect(() => parseCoverage('{"blocks": [{"block": 1, "status": "great"}, {"block": 2, "status": "weak"}]}', blocks))
+    .toThrow(/block 1/);
+});
@@ -0,0 +1,25 @@
+// 🔎 Client for the server's structure coverage check (/api/coverage)
+
+import { readApiError } from './apiErrors';
+import { apiUrl } from './apiConfig';
+
+const COVERAGE_URL = apiUrl("/api/coverage");
+
+// Resolves with [{ blockId, status: "present" | "weak" | "missing", note }]
+export const checkCoverage = async ({ prompt, blocks, output }) => {
+  const response = await fetch(COVERAGE_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ prompt, blocks, output })
+  });
+
+  if (!response.ok) throw await readApiError(response);
+  const data = await response.json();
+  return data.coverage;
+};
+
+export const COVERAGE_BADGES = {
+  present: { icon: "✅", label: "Present", className: "bg-green-50 text-green-700 border-green-200" },
+  weak: { icon: "⚠️", label: "Weak", className: "bg-amber-50 text-amber-700 border-amber-200" },
+  missing: { icon: "❌", label: "Missing", className: "bg-red-50 text-red-700 border-red-200" }
+};
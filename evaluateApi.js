@@ -0,0 +1,50 @@
+// ⚖️ Client for the server's rubric judge (/api/evaluate) and helpers for recording its verdicts
+
+import { readApiError } from './apiErrors';
+import { apiUrl } from './apiConfig';
+
+const EVALUATE_URL = apiUrl("/api/evaluate");
+
+// explanations: [{ id, text, blocks? }]; rubric: [{ id, label, description, weight }]
+export const evaluateExplanations = async ({ prompt, explanations, rubric }) => {
+  const response = await fetch(EVALUATE_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ prompt, explanations, rubric })
+  });
+
+  if (!response.ok) throw await readApiError(response);
+  return response.json();
+};
+
+// Add the head-to-head result to both history entries as a `judgements` record
+export const recordVerdict = (history, evaluation, leftId, rightId) => {
+  const at = new Date().toISOString();
+  const resultOf = (id) => evaluation.results.find(r => r.id === id);
+
+  const judgementFor = (id, opponentId) => ({
+    id: `judgement-${Date.parse(at)}-${leftId}-${rightId}`,
+    at,
+    opponentId,
+    outcome: evaluation.verdict.winner === "tie" ? "tie" : evaluation.verdict.winner === id ? "win" : "loss",
+    reason: evaluation.verdict.reason,
+    total: resultOf(id).total,
+    opponentTotal: resultOf(opponentId).total,
+    scores: resultOf(id).scores,
+    rubric: evaluation.rubric.map(({ id: criterion, label }) => ({ id: criterion, label })),
+    model: evaluation.model
+  });
+
+  return history.map(entry => {
+    if (entry.id === leftId) return { ...entry, judgements: [...(entry.judgements || []), judgementFor(leftId, rightId)] };
+    if (entry.id === rightId) return { ...entry, judgements: [...(entry.judgements || []), judgementFor(rightId, leftId)] };
+    return entry;
+  });
+};
+
+// Win / loss / tie counts for an entry, e.g. for the history table
+export const tallyJudgements = (entry) =>
+  (entry.judgements || []).reduce(
+    (tally, judgement) => ({ ...tally, [judgement.outcome]: tally[judgement.outcome] + 1 }),
+    { win: 0, loss: 0, tie: 0 }
+  );
@@ -0,0 +1,154 @@
+// ⚖️ Rubric-based judging of explanations by the LLM
+//
+// Candidates are shown to the judge as "A", "B", ... (never by id) and scored
+// 1–10 on every rubric criterion. The judge answers in JSON, which is checked
+// and turned into:
+//   { results: [{ id, scores: [{ criterion, score, justification }], total }],
+//     ranking: [id, ...], verdict?: { winner: id | "tie", reason } }
+// `total` is the weighted mean of the criterion scores; a verdict is only
+// given for exactly two candidates.
+
+import { describeBlock } from "./promptTemplates.js";
+import { DEFAULT_RUBRIC } from "./rubric.js";
+
+export const MAX_CANDIDATES = 6;
+const MAX_CRITERIA = 10;
+
+export class JudgeResponseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "JudgeResponseError";
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const candidateLabel = (index) => String.fromCharCode(65 + index);
+
+// Returns { rubric } with ids, labels and weights filled in, or { error }
+export const normalizeRubric = (rubric) => {
+  if (rubric === undefined) return { rubric: DEFAULT_RUBRIC.map(c => ({ ...c, weight: 1 })) };
+  if (!Array.isArray(rubric) || rubric.length === 0 || rubric.length > MAX_CRITERIA) {
+    return { error: `The rubric must list between 1 and ${MAX_CRITERIA} criteria.` };
+  }
+
+  const normalized = [];
+  for (const criterion of rubric) {
+    if (!isPlainObject(criterion) || typeof criterion.label !== "string" || !criterion.label.trim()) {
+      return { error: "Every rubric criterion needs a label." };
+    }
+    const id = String(criterion.id || criterion.label).trim().toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    if (normalized.some(c => c.id === id)) return { error: `Rubric criterion "${id}" appears twice.` };
+    const weight = criterion.weight === undefined ? 1 : Number(criterion.weight);
+    if (!Number.isFinite(weight) || weight <= 0) return { error: `Criterion "${id}" needs a positive weight.` };
+
+    normalized.push({
+      id,
+      label: criterion.label.trim(),
+      description: typeof criterion.description === "string" ? criterion.description.trim() : "",
+      weight,
+    });
+  }
+  return { rubric: normalized };
+};
+
+// Template values for prompts/evaluate.*.txt
+export const buildJudgeVars = (explanations, rubric) => ({
+  rubric: rubric
+    .map(c => `- ${c.id}: ${c.label}${c.description ? ` — ${c.description}` : ""}`)
+    .join("\n"),
+  candidates: explanations
+    .map((explanation, i) => {
+      const structure = (explanation.blocks || [])
+        .map((block, n) => `[${n + 1}] ${describeBlock(block)}`)
+        .join("\n");
+      return [
+        `Candidate ${candidateLabel(i)}`,
+        structure ? `Intended structure:\n${structure}` : "Intended structure: not given",
+        `Explanation:\n"""\n${explanation.text}\n"""`,
+      ].join("\n");
+    })
+    .join("\n\n"),
+});
+
+// Pull the JSON object out of a judge's answer, tolerating text around it
+export const readJudgeJson = (raw) => {
+  const start = raw.indexOf("{");
+  const end = raw.lastIndexOf("}");
+  if (start === -1 || end <= start) throw new JudgeResponseError("The judge did not return JSON.");
+  try {
+    return JSON.parse(raw.slice(start, end + 1));
+  } catch (e) {
+    throw new JudgeResponseError("The judge returned malformed JSON.");
+  }
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+export const parseJudgement = (raw, explanations, rubric) => {
+  const data = readJudgeJson(raw);
+  if (!Array.isArray(data.results)) throw new JudgeResponseError("The judge's answer has no results.");
+
+  const results = explanations.map((explanation, i) => {
+    const label = candidateLabel(i);
+    const result = data.results.find(r => isPlainObject(r) && String(r.candidate).toUpperCase() === label);
+    if (!result || !isPlainObject(result.scores)) {
+      throw new JudgeResponseError(`The judge did not score candidate ${label}.`);
+    }
+
+    const scores = rubric.map(criterion => {
+      const entry = result.scores[criterion.id];
+      const value = Number(isPlainObject(entry) ? entry.score : entry);
+      return {
+        criterion: criterion.id,
+        score: Number.isFinite(value) ? Math.min(10, Math.max(1, Math.round(value))) : null,
+        justification: isPlainObject(entry) && typeof entry.justification === "string"
+          ? entry.justification.trim()
+          : "",
+      };
+    });
+
+    const scored = scores
+      .map((s, n) => ({ score: s.score, weight: rubric[n].weight }))
+      .filter(s => s.score !== null);
+    const weight = scored.reduce((sum, s) => sum + s.weight, 0);
+    const total = weight === 0 ? 0 : round(scored.reduce((sum, s) => sum + s.score * s.weight, 0) / weight);
+
+    return { id: explanation.id, scores, total };
+  });
+
+  const ranking = [...results].sort((a, b) => b.total - a.total).map(r => r.id);
+
+  if (explanations.length !== 2) return { results, ranking };
+
+  // Head-to-head: trust the judge's pick, else fall back to the totals
+  const [first, second] = results;
+  const pick = isPlainObject(data.verdict) ? String(data.verdict.winner || "").toUpperCase() : "";
+  let winner;
+  if (pick === "A") winner = first.id;
+  else if (pick === "B") winner = second.id;
+  else if (pick === "TIE" || first.total === second.total) winner = "tie";
+  else winner = first.total > second.total ? first.id : second.id;
+
+  const reason = isPlainObject(data.verdict) && typeof data.verdict.reason === "string"
+    ? data.verdict.reason.trim()
+    : "Decided on the rubric totals.";
+
+  return { results, ranking, verdict: { winner, reason } };
+};
+
+// -> { results, ranking, verdict?, rubric, model, template }
+export async function evaluateExplanations(llm, prompts, { prompt, explanations, rubric }, { signal } = {}) {
+  const { messages, template } = prompts.render("evaluate", undefined, {
+    prompt,
+    vars: buildJudgeVars(explanations, rubric),
+  });
+  const completion = await llm.complete(messages, { signal });
+
+  return {
+    ...parseJudgement(completion.output, explanations, rubric),
+    rubric,
+    model: completion.model,
+    template,
+  };
+}
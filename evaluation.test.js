@@ -0,0 +1,74 @@
+import { describe, test, expect } from "vitest";
+import { JudgeResponseError, normalizeRubric, parseJudgement, readJudgeJson } from "./evaluation.js";
+
+const { rubric } = normalizeRubric([
+  { label: "Clarity", weight: 2 },
+  { label: "Accuracy" },
+]);
+const explanations = [{ id: "left", text: "One" }, { id: "right", text: "Two" }];
+
+const judgement = (results, verdict) => JSON.stringify({ results, ...(verdict && { verdict }) });
+const scored = (candidate, clarity, accuracy) => ({
+  candidate,
+  scores: {
+    clarity: { score: clarity, justification: " Clear. " },
+    accuracy: { score: accuracy, justification: "Right." },
+  },
+});
+
+describe("normalizeRubric", () => {
+  test("derives ids from labels and defaults weights to 1", () => {
+    expect(rubric).toEqual([
+      { id: "clarity", label: "Clarity", description: "", weight: 2 },
+      { id: "accuracy", label: "Accuracy", description: "", weight: 1 },
+    ]);
+  });
+
+  test("rejects duplicate ids and bad weights", () => {
+    expect(normalizeRubric([{ label: "A b" }, { label: "a-b" }]).error).toMatch(/appears twice/);
+    expect(normalizeRubric([{ label: "Clarity", weight: 0 }]).error).toMatch(/positive weight/);
+    expect(normalizeRubric([]).error).toBeDefined();
+  });
+});
+
+describe("parseJudgement", () => {
+  test("computes weighted totals, ranking and the judge's verdict", () => {
+    const raw = `Sure! ${judgement([scored("A", 9, 6), scored("B", 6, 9)], { winner: "b", reason: " Better facts. " })}`;
+    const result = parseJudgement(raw, explanations, rubric);
+
+    expect(result.results[0]).toEqual({
+      id: "left",
+      scores: [
+        { criterion: "clarity", score: 9, justification: "Clear." },
+        { criterion: "accuracy", score: 6, justification: "Right." },
+      ],
+      total: 8,
+    });
+    expect(result.results[1].total).toBe(7);
+    expect(result.ranking).toEqual(["left", "right"]);
+    expect(result.verdict).toEqual({ winner: "right", reason: "Better facts." });
+  });
+
+  test("clamps scores and falls back to the totals without a verdict", () => {
+    const result = parseJudgement(judgement([scored("A", 14, 10), scored("B", "3", 0)]), explanations, rubric);
+    expect(result.results.map(r => r.scores.map(s => s.score))).toEqual([[10, 10], [3, 1]]);
+    expect(result.verdict).toEqual({ winner: "left", reason: "Decided on the rubric totals." });
+  });
+
+  test("calls equal totals a tie", () => {
+    const result = parseJudgement(judgement([scored("A", 7, 7), scored("B", 7, 7)]), explanations, rubric);
+    expect(result.verdict.winner).toBe("tie");
+  });
+
+  test("gives no verdict for a single candidate", () => {
+    const result = parseJudgement(judgement([scored("A", 7, 7)]), explanations.slice(0, 1), rubric);
+    expect(result.verdict).toBeUndefined();
+  });
+
+  test("rejects answers that are not JSON or miss a candidate", () => {
+    expect(() => readJudgeJson("no json here")).toThrow(JudgeResponseError);
+    expect(() => readJudgeJson("{ broken")).toThrow(JudgeResponseError);
+    expect(() => parseJudgement(judgement([scored("A", 7, 7)]), explanations, rubric)).toThrow(/candidate B/);
+    expect(() => parseJudgement("{}", explanations, rubric)).toThrow(/no results/);
+  });
+});
@@ -0,0 +1,75 @@
+// 📡 Read a streamed explanation from /api/explain/stream
+//
+// The endpoint answers a POST with Server-Sent Events, which EventSource
+// cannot send, so the body is read and split into events by hand.
+
+import { ApiError, readApiError } from './apiErrors';
+import { apiUrl } from './apiConfig';
+
+const STREAM_URL = apiUrl("/api/explain/stream");
+
+// Split a buffer into complete SSE events; returns the unparsed remainder
+const drainEvents = (buffer, onEvent) => {
+  const parts = buffer.split(/\r?\n\r?\n/);
+  const rest = parts.pop();
+
+  parts.forEach(part => {
+    let event = "message";
+    const dataLines = [];
+    part.split(/\r?\n/).forEach(line => {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) dataLines.push(line.slice(5).trimStart());
+    });
+    if (dataLines.length === 0) return;
+
+    try {
+      onEvent(event, JSON.parse(dataLines.join("\n")));
+    } catch (e) {
+      console.error("❌ Bad stream event:", part, e);
+    }
+  });
+
+  return rest;
+};
+
+// Resolves with the final `done` payload; calls onDelta(textSoFar, chunk) as text arrives.
+// Aborting `signal` cancels the request, which also stops the server's model call.
+export const streamExplanation = async (body, { onDelta, signal } = {}) => {
+  const response = await fetch(STREAM_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok || !response.body) throw await readApiError(response);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let text = "";
+  let result = null;
+  let streamError = null;
+
+  const handleEvent = (event, data) => {
+    if (event === "delta") {
+      text += data.text;
+      if (onDelta) onDelta(text, data.text);
+    } else if (event === "done") {
+      result = data;
+    } else if (event === "error") {
+      streamError = new ApiError({ error: "Generation failed.", ...data }, response.status);
+    }
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer = drainEvents(buffer + decoder.decode(value, { stream: true }), handleEvent);
+  }
+  drainEvents(buffer + decoder.decode() + "\n\n", handleEvent);
+
+  if (streamError) throw streamError;
+  if (!result) throw new Error("The stream ended before the explanation was complete.");
+  return result;
+};
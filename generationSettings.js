@@ -0,0 +1,65 @@
+// 🎛️ Generation settings: audience, tone, length and language
+//
+// A project keeps its defaults in `generationSettings`, and any train can
+// override single fields in `trainSettings[trainId]`. Empty fields fall through
+// to the project, and anything still empty is left to the prompt template's
+// own default on the server.
+
+export const SETTING_FIELDS = [
+  {
+    key: "audience",
+    label: "Audience",
+    placeholder: "e.g. High school students",
+    suggestions: ["Young children", "Middle school students", "High school students", "Undergraduates", "Domain experts"]
+  },
+  {
+    key: "tone",
+    label: "Tone",
+    placeholder: "e.g. Conversational",
+    suggestions: ["Conversational", "Formal", "Playful", "Encouraging", "Neutral"]
+  },
+  {
+    key: "length",
+    label: "Length (words)",
+    placeholder: "e.g. 150",
+    type: "number"
+  },
+  {
+    key: "language",
+    label: "Language",
+    placeholder: "e.g. English",
+    suggestions: ["English", "Spanish", "French", "German", "Chinese", "Japanese"]
+  }
+];
+
+export const emptySettings = () => ({ audience: "", tone: "", length: "", language: "" });
+
+const isSet = (value) => value !== undefined && value !== null && String(value).trim() !== "";
+
+// Effective settings for a train: its overrides, then the project defaults; unset fields are left out
+export const resolveSettings = (projectSettings = {}, trainOverrides = {}) => {
+  const settings = {};
+  SETTING_FIELDS.forEach(({ key }) => {
+    const value = isSet(trainOverrides[key]) ? trainOverrides[key] : projectSettings[key];
+    if (!isSet(value)) return;
+    if (key === "length") {
+      const words = Math.round(Number(value));
+      if (words > 0) settings.length = words;
+    } else {
+      settings[key] = String(value).trim();
+    }
+  });
+  return settings;
+};
+
+export const hasOverrides = (trainOverrides = {}) =>
+  SETTING_FIELDS.some(({ key }) => isSet(trainOverrides[key]));
+
+// Short one-line summary, e.g. "High school students · Playful · ~150 words · French"
+export const describeSettings = (settings = {}) =>
+  [
+    settings.audience,
+    settings.tone,
+    settings.length && `~${settings.length} words`,
+    settings.language
+  ].filter(Boolean).join(" · ");
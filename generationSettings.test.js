@@ -0,0 +1,39 @@
+import { describe, test, expect } from "vitest";
+import { describeSettings, hasOverrides, resolveSettings } from "./generationSettings";
+
+describe("resolveSettings", () => {
+  test("a train's overrides take precedence over the project settings", () => {
+    const project = { audience: "Undergraduates", tone: "Formal", length: "200", language: "English" };
+    const train = { tone: "Playful", language: "French" };
+    expect(resolveSettings(project, train)).toEqual({
+      audience: "Undergraduates",
+      tone: "Playful",
+      length: 200,
+      language: "French",
+    });
+  });
+
+  test("blank overrides fall through to the project and blank project fields are left out", () => {
+    const project = { audience: "Domain experts", tone: "", length: "", language: "" };
+    const train = { audience: "  ", tone: null, length: "0" };
+    expect(resolveSettings(project, train)).toEqual({ audience: "Domain experts" });
+    expect(resolveSettings()).toEqual({});
+  });
+
+  test("rounds lengths to whole words and trims text", () => {
+    expect(resolveSettings({ length: "149.6", tone: " Neutral " })).toEqual({ length: 150, tone: "Neutral" });
+  });
+});
+
+describe("overrides and summaries", () => {
+  test("hasOverrides only counts fields that are filled in", () => {
+    expect(hasOverrides({ tone: "", language: " " })).toBe(false);
+    expect(hasOverrides({ length: 100 })).toBe(true);
+  });
+
+  test("describeSettings joins what is set", () => {
+    expect(describeSettings({ audience: "High school students", tone: "Playful", length: 150, language: "French" }))
+      .toBe("High school students · Playful · ~150 words · French");
+    expect(describeSettings({})).toBe("");
+  });
+});
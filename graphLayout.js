@@ -0,0 +1,70 @@
+// 🕸️ Node-link layout of the explanation tree
+//
+// The prompt is the root, the main chain blocks are its children and every
+// branch hangs off the block it grows from. Depth runs left to right; leaves
+// get successive rows and parents sit centred on their children.
+
+export const NODE_WIDTH = 170;
+export const NODE_HEIGHT = 46;
+const COLUMN_GAP = 60;
+const ROW_GAP = 16;
+const PADDING = 24;
+
+export const ROOT_ID = "main";
+
+// Returns { nodes: [{ id, kind, block, label, x, y }], edges: [{ from, to, path }], width, height }
+export const layoutExplanationTree = ({ prompt, explanationChain, parallelTrains }) => {
+  const nodes = [];
+  const links = [];
+  const visited = new Set();
+  let rows = 0;
+
+  // Places a node and its subtree; returns the node's row position (centre line)
+  const place = (node, depth, children) => {
+    visited.add(node.id);
+    const placed = children
+      .filter(block => !visited.has(block.id))
+      .map(block => {
+        links.push({ from: node.id, to: block.id });
+        return place(
+          { id: block.id, kind: "block", block, label: `${block.icon || ""} ${block.type}`.trim() },
+          depth + 1,
+          parallelTrains[block.id] || []
+        );
+      });
+
+    const row = placed.length > 0
+      ? (placed[0] + placed[placed.length - 1]) / 2
+      : rows++;
+
+    nodes.push({
+      ...node,
+      depth,
+      x: PADDING + depth * (NODE_WIDTH + COLUMN_GAP),
+      y: PADDING + row * (NODE_HEIGHT + ROW_GAP)
+    });
+    return row;
+  };
+
+  place({ id: ROOT_ID, kind: "prompt", label: `🔍 ${prompt || "No prompt yet"}` }, 0, explanationChain);
+
+  const byId = Object.fromEntries(nodes.map(n => [n.id, n]));
+  const edges = links.map(({ from, to }) => {
+    const a = byId[from];
+    const b = byId[to];
+    const x1 = a.x + NODE_WIDTH;
+    const y1 = a.y + NODE_HEIGHT / 2;
+    const x2 = b.x;
+    const y2 = b.y + NODE_HEIGHT / 2;
+    const mid = (x1 + x2) / 2;
+    return { from, to, path: `M ${x1} ${y1} C ${mid} ${y1}, ${mid} ${y2}, ${x2} ${y2}` };
+  });
+
+  const maxDepth = Math.max(...nodes.map(n => n.depth));
+  return {
+    nodes,
+    edges,
+    width: PADDING * 2 + (maxDepth + 1) * NODE_WIDTH + maxDepth * COLUMN_GAP,
+    height: PADDING * 2 + Math.max(rows, 1) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP
+  };
+};
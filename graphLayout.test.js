@@ -0,0 +1,36 @@
+import { describe, test, expect } from "vitest";
+import { NODE_WIDTH, ROOT_ID, layoutExplanationTree } from "./graphLayout";
+
+const block = (id) => ({ id, type: `Type ${id}`, description: "" });
+
+describe("layoutExplanationTree", () => {
+  test("hangs the chain off the prompt and branches off their parent blocks", () => {
+    const { nodes, edges } = layoutExplanationTree({
+      prompt: "Why?",
+      explanationChain: [block("a"), block("b")],
+      parallelTrains: { a: [block("a1"), block("a2")] },
+    });
+    const byId = Object.fromEntries(nodes.map(n => [n.id, n]));
+
+    expect(edges.map(({ from, to }) => `${from}->${to}`)).toEqual([`${ROOT_ID}->a`, "a->a1", "a->a2", `${ROOT_ID}->b`]);
+    expect(byId[ROOT_ID]).toMatchObject({ kind: "prompt", label: "🔍 Why?", depth: 0 });
+    expect(byId.a1.depth).toBe(2);
+    expect(byId.a1.x - byId.a.x).toBeGreaterThan(NODE_WIDTH);
+
+    // Leaves take successive rows; a parent sits between its first and last child
+    expect(byId.a1.y).toBeLessThan(byId.a2.y);
+    expect(byId.a2.y).toBeLessThan(byId.b.y);
+    expect(byId.a.y).toBe((byId.a1.y + byId.a2.y) / 2);
+  });
+
+  test("places a block reachable twice only once", () => {
+    const { nodes, edges } = layoutExplanationTree({
+      prompt: "",
+      explanationChain: [block("a")],
+      parallelTrains: { a: [block("a")] },
+    });
+    expect(nodes.map(n => n.id).sort()).toEqual(["a", ROOT_ID]);
+    expect(edges).toHaveLength(1);
+    expect(nodes.find(n => n.id === ROOT_ID).label).toBe("🔍 No prompt yet");
+  });
+});
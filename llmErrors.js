@@ -0,0 +1,80 @@
+// 🚨 Typed errors for model calls
+//
+// Provider failures are sorted into a small set of codes the client can turn
+// into actionable messages. Every error response from a model route has the
+// shape { error: "<message>", code, retryAfter? } with the status below.
+//   upstream_timeout       504  the provider did not answer in time
+//   quota_exceeded         503  the server's API key has no quota left
+//   upstream_rate_limited  503  the provider is throttling the server
+//   content_filtered       422  the provider's content filter blocked the request
+//   invalid_key            502  the provider rejected the server's API key
+//   upstream_error         502  anything else the provider got wrong
+
+import OpenAI from "openai";
+
+export const LLM_ERRORS = {
+  upstream_timeout: { status: 504, message: "The model took too long to answer." },
+  quota_exceeded: { status: 503, message: "The model provider's quota for this server is used up." },
+  upstream_rate_limited: { status: 503, message: "The model provider is rate limiting this server." },
+  content_filtered: { status: 422, message: "The model provider's content filter blocked this request." },
+  invalid_key: { status: 502, message: "The model provider rejected this server's API key." },
+  upstream_error: { status: 502, message: "The model provider returned an error." },
+};
+
+export class LlmError extends Error {
+  constructor(code, { message, retryAfter, cause } = {}) {
+    super(message || LLM_ERRORS[code].message, cause && { cause });
+    this.name = "LlmError";
+    this.code = code;
+    this.status = LLM_ERRORS[code].status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const retryAfterOf = (err) => {
+  const header = err.headers?.["retry-after"] ?? err.headers?.get?.("retry-after");
+  const seconds = Number(header);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.ceil(seconds) : undefined;
+};
+
+// Sort any error a provider throws into the taxonomy, or null for errors that
+// did not come from the provider at all. Written against the OpenAI SDK's
+// errors (status, code, type), which compatible servers mimic.
+export const classifyLlmError = (err) => {
+  if (err instanceof LlmError) return err;
+
+  const status = err?.status;
+  const code = err?.code || err?.error?.code;
+  const type = err?.type || err?.error?.type;
+
+  if (status === 401 || code === "invalid_api_key") {
+    return new LlmError("invalid_key", { cause: err });
+  }
+  if (code === "insufficient_quota" || type === "insufficient_quota") {
+    return new LlmError("quota_exceeded", { cause: err });
+  }
+  if (status === 429) {
+    return new LlmError("upstream_rate_limited", { retryAfter: retryAfterOf(err), cause: err });
+  }
+  if (code === "content_filter" || code === "content_policy_violation") {
+    return new LlmError("content_filtered", { cause: err });
+  }
+  if (
+    status === 408 ||
+    status === 504 ||
+    err instanceof OpenAI.APIConnectionTimeoutError ||
+    err?.name === "TimeoutError" ||
+    code === "ETIMEDOUT"
+  ) {
+    return new LlmError("upstream_timeout", { cause: err });
+  }
+  if (err instanceof OpenAI.APIError) {
+    return new LlmError("upstream_error", { cause: err });
+  }
+  return null;
+};
+
+// A finished completion can still have been cut off by the content filter
+export const checkFinishReason = (finishReason) => {
+  if (finishReason === "content_filter") throw new LlmError("content_filtered");
+};
@@ -0,0 +1,37 @@
+import { describe, test, expect } from "vitest";
+import { LlmError, checkFinishReason, classifyLlmError } from "./llmErrors.js";
+
+describe("classifyLlmError", () => {
+  test("sorts provider failures into codes and statuses", () => {
+    const cases = [
+      [{ status: 401 }, "invalid_key", 502],
+      [{ status: 429, code: "insufficient_quota" }, "quota_exceeded", 503],
+      [{ status: 429 }, "upstream_rate_limited", 503],
+      [{ status: 400, code: "content_filter" }, "content_filtered", 422],
+      [{ name: "TimeoutError" }, "upstream_timeout", 504],
+      [{ status: 504 }, "upstream_timeout", 504],
+    ];
+    cases.forEach(([err, code, status]) => {
+      expect(classifyLlmError(err)).toMatchObject({ code, status, cause: err });
+    });
+  });
+
+  test("passes on the provider's Retry-After", () => {
+    expect(classifyLlmError({ status: 429, headers: { "retry-after": "2.5" } }).retryAfter).toBe(3);
+    expect(classifyLlmError({ status: 429, headers: new Headers({ "retry-after": "7" }) }).retryAfter).toBe(7);
+    expect(classifyLlmError({ status: 429, headers: { "retry-after": "soon" } }).retryAfter).toBeUndefined();
+  });
+
+  test("leaves errors that did not come from the provider alone", () => {
+    const err = new LlmError("upstream_error");
+    expect(classifyLlmError(err)).toBe(err);
+    expect(classifyLlmError(new TypeError("bug"))).toBeNull();
+  });
+});
+
+describe("checkFinishReason", () => {
+  test("throws content_filtered only for filtered completions", () => {
+    expect(() => checkFinishReason("stop")).not.toThrow();
+    expect(() => checkFinishReason("content_filter")).toThrow(LlmError);
+  });
+});
@@ -0,0 +1,278 @@
+// 🤖 LLM provider layer, configured from the environment
+//
+//   LLM_PROVIDER     openai (default) | openai-compatible | mock
+//   LLM_MODEL        model name (default gpt-3.5-turbo)
+//   LLM_TEMPERATURE  sampling temperature (default: provider default)
+//   LLM_MAX_TOKENS   completion token limit (default: provider default)
+//   LLM_BASE_URL     endpoint for openai-compatible servers, e.g. http://localhost:11434/v1
+//   LLM_API_KEY      key for openai-compatible servers (falls back to OPENAI_API_KEY)
+//   LLM_TIMEOUT_MS   give up on a call that stalls this long (default 60000; 0 waits forever)
+//   LLM_MOCK_DELAY_MS  pause per streamed word for the mock provider, to try out slow answers
+//
+// Every provider exposes the same interface:
+//   complete(messages, { signal })  -> { output, model, finishReason }
+//   stream(messages, { signal })    -> async iterable of { text } chunks, then { finishReason }
+// A response stopped by the provider's content filter throws LlmError("content_filtered").
+
+import crypto from "crypto";
+import OpenAI from "openai";
+import { checkFinishReason, LlmError } from "./llmErrors.js";
+
+const DEFAULT_MODEL = "gpt-3.5-turbo";
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+const parseNumber = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new Error(`${name} must be a number, got "${value}".`);
+  return number;
+};
+
+export function readLlmConfig(env = process.env) {
+  return {
+    provider: (env.LLM_PROVIDER || "openai").toLowerCase(),
+    model: env.LLM_MODEL || DEFAULT_MODEL,
+    temperature: parseNumber(env.LLM_TEMPERATURE, "LLM_TEMPERATURE"),
+    maxTokens: parseNumber(env.LLM_MAX_TOKENS, "LLM_MAX_TOKENS"),
+    baseURL: env.LLM_BASE_URL,
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+    timeoutMs: parseNumber(env.LLM_TIMEOUT_MS, "LLM_TIMEOUT_MS") ?? DEFAULT_TIMEOUT_MS,
+    mockDelayMs: parseNumber(env.LLM_MOCK_DELAY_MS, "LLM_MOCK_DELAY_MS") ?? 0,
+  };
+}
+
+// Works for OpenAI itself and any server that speaks the same chat completions API
+function createOpenAIProvider(config) {
+  if (config.provider === "openai-compatible" && !config.baseURL) {
+    throw new Error("LLM_BASE_URL is required for the openai-compatible provider.");
+  }
+
+  // Retries happen in the browser, where the user can see and cancel them
+  const client = new OpenAI({
+    apiKey: config.apiKey || "not-needed",
+    maxRetries: 0,
+    ...(config.baseURL && { baseURL: config.baseURL }),
+  });
+
+  const params = (messages) => ({
+    model: config.model,
+    messages,
+    ...(config.temperature !== undefined && { temperature: config.temperature }),
+    ...(config.maxTokens !== undefined && { max_tokens: config.maxTokens }),
+  });
+
+  return {
+    name: config.provider,
+    model: config.model,
+
+    async complete(messages, { signal } = {}) {
+      const completion = await client.chat.completions.create(params(messages), { signal });
+      const choice = completion.choices[0];
+      checkFinishReason(choice?.finish_reason);
+      return {
+        output: (choice?.message?.content || "").trim(),
+        model: completion.model || config.model,
+        finishReason: choice?.finish_reason || null,
+      };
+    },
+
+    async *stream(messages, { signal } = {}) {
+      const stream = await client.chat.completions.create(
+        { ...params(messages), stream: true },
+        { signal }
+      );
+
+      let finishReason = null;
+      for await (const chunk of stream) {
+        const choice = chunk.choices[0];
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        if (choice?.delta?.content) yield { text: choice.delta.content };
+      }
+      checkFinishReason(finishReason);
+      yield { finishReason };
+    },
+  };
+}
+
+// Resolves after `ms`, or rejects with an AbortError once the signal fires
+const pause = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException("Aborted", "AbortError"));
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new DOMException("Aborted", "AbortError"));
+    }, { once: true });
+  });
+
+// Deterministic number in [0, n) for one part of a mock answer
+const mockPick = (digest, salt, n) =>
+  parseInt(crypto.createHash("sha256").update(`${digest}:${salt}`).digest("hex").slice(0, 8), 16) % n;
+
+const COVERAGE_STATUSES = ["present", "present", "weak", "missing"];
+
+// The evaluate template asks for scores per candidate ("Candidate A") and rubric line ("- <id>: ...")
+const mockJudgement = (system, user, digest) => {
+  const criteria = [...system.matchAll(/^- ([a-z0-9-]+): /gm)].map(m => m[1]);
+  const candidates = [...user.matchAll(/^Candidate ([A-Z])$/gm)].map(m => m[1]);
+  const results = candidates.map(candidate => ({
+    candidate,
+    scores: Object.fromEntries(criteria.map(id => [
+      id,
+      { score: 4 + mockPick(digest, `${candidate}:${id}`, 7), justification: `Mock score for ${id}.` },
+    ])),
+  }));
+  const judgement = { results };
+  if (candidates.length === 2) {
+    const totals = results.map(r => Object.values(r.scores).reduce((sum, s) => sum + s.score, 0));
+    const winner = totals[0] === totals[1] ? "tie" : totals[0] > totals[1] ? "A" : "B";
+    judgement.verdict = { winner, reason: "Mock verdict from the score totals." };
+  }
+  return JSON.stringify(judgement);
+};
+
+// The coverage template numbers the blocks "[1] ..." before the quoted explanation
+const mockCoverage = (user, digest) => {
+  const structure = user.split('"""')[0];
+  const numbers = [...new Set([...structure.matchAll(/^\[(\d+)\] /gm)].map(m => Number(m[1])))];
+  return JSON.stringify({
+    blocks: numbers.map(block => ({
+      block,
+      status: COVERAGE_STATUSES[mockPick(digest, block, COVERAGE_STATUSES.length)],
+      note: `Mock check of block ${block}.`,
+    })),
+  });
+};
+
+// Deterministic offline provider: the same messages always give the same text.
+// Judge and coverage requests get well-formed JSON, everything else a placeholder explanation.
+function createMockProvider(config) {
+  const model = config.model === DEFAULT_MODEL ? "mock" : config.model;
+
+  const respond = (messages) => {
+    const digest = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(messages))
+      .digest("hex")
+      .slice(0, 8);
+    const contentOf = (role) => messages.filter(m => m.role === role).map(m => m.content).join("\n");
+    const system = contentOf("system");
+    if (system.includes('"results"') && system.includes('"scores"')) {
+      return mockJudgement(system, contentOf("user"), digest);
+    }
+    if (system.includes('"blocks"') && system.includes('"status"')) return mockCoverage(contentOf("user"), digest);
+
+    const request = messages
+      .filter(m => m.role === "user")
+      .map(m => m.content)
+      .join(" ")
+      .replace(/\s+/g, " ")
+      .trim();
+    const words = request.split(" ").slice(0, 40).join(" ");
+
+    let output = `Mock explanation ${digest}: ${words}`;
+    if (config.maxTokens !== undefined) {
+      // Roughly one token per word is close enough for a mock
+      output = output.split(" ").slice(0, config.maxTokens).join(" ");
+    }
+    return output;
+  };
+
+  return {
+    name: "mock",
+    model,
+
+    async complete(messages, { signal } = {}) {
+      const output = respond(messages);
+      if (config.mockDelayMs) await pause(config.mockDelayMs * output.split(" ").length, signal);
+      return { output, model, finishReason: "stop" };
+    },
+
+    async *stream(messages, { signal } = {}) {
+      const words = respond(messages).split(" ");
+      for (let i = 0; i < words.length; i++) {
+        if (signal?.aborted) return;
+        if (config.mockDelayMs) await pause(config.mockDelayMs, signal);
+        yield { text: i === 0 ? words[i] : ` ${words[i]}` };
+      }
+      yield { finishReason: "stop" };
+    },
+  };
+}
+
+// An AbortSignal that fires when `signal` does or when `ms` pass without a reset()
+const createDeadline = (signal, ms) => {
+  const controller = new AbortController();
+  let timer;
+  const deadline = {
+    signal: controller.signal,
+    timedOut: false,
+    reset() {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        deadline.timedOut = true;
+        controller.abort();
+      }, ms);
+    },
+    clear() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", cancel);
+    },
+  };
+  const cancel = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener("abort", cancel, { once: true });
+  deadline.reset();
+  return deadline;
+};
+
+// Give up on calls that stall: a completion must arrive within `ms`, and a
+// stream must deliver its next chunk within `ms` of the last one
+function withTimeout(provider, ms) {
+  if (!ms) return provider;
+
+  return {
+    ...provider,
+
+    async complete(messages, { signal } = {}) {
+      const deadline = createDeadline(signal, ms);
+      try {
+        return await provider.complete(messages, { signal: deadline.signal });
+      } catch (err) {
+        if (deadline.timedOut) throw new LlmError("upstream_timeout", { cause: err });
+        throw err;
+      } finally {
+        deadline.clear();
+      }
+    },
+
+    async *stream(messages, { signal } = {}) {
+      const deadline = createDeadline(signal, ms);
+      try {
+        for await (const chunk of provider.stream(messages, { signal: deadline.signal })) {
+          deadline.reset();
+          yield chunk;
+        }
+        // Providers may end quietly when aborted
+        if (deadline.timedOut) throw new LlmError("upstream_timeout");
+      } catch (err) {
+        if (deadline.timedOut && !(err instanceof LlmError)) throw new LlmError("upstream_timeout", { cause: err });
+        throw err;
+      } finally {
+        deadline.clear();
+      }
+    },
+  };
+}
+
+export function createLlmProvider(config = readLlmConfig()) {
+  switch (config.provider) {
+    case "openai":
+    case "openai-compatible":
+      return withTimeout(createOpenAIProvider(config), config.timeoutMs);
+    case "mock":
+      return withTimeout(createMockProvider(config), config.timeoutMs);
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${config.provider}".`);
+  }
+}
@@ -0,0 +1,86 @@
+import { describe, test, expect } from "vitest";
+import { createLlmProvider, readLlmConfig } from "./llmProviders.js";
+import { loadPromptTemplates } from "./promptTemplates.js";
+import { buildJudgeVars, normalizeRubric } from "./evaluation.js";
+
+const messages = (content) => [
+  { role: "system", content: "You explain things." },
+  { role: "user", content },
+];
+
+const collect = async (chunks) => {
+  let text = "";
+  let finishReason;
+  for await (const chunk of chunks) {
+    if (chunk.text) text += chunk.text;
+    if (chunk.finishReason !== undefined) finishReason = chunk.finishReason;
+  }
+  return { text, finishReason };
+};
+
+describe("readLlmConfig", () => {
+  test("defaults to OpenAI and parses numbers", () => {
+    expect(readLlmConfig({ OPENAI_API_KEY: "k", LLM_TEMPERATURE: "0.2" })).toMatchObject({
+      provider: "openai",
+      model: "gpt-3.5-turbo",
+      temperature: 0.2,
+      apiKey: "k",
+    });
+    expect(() => readLlmConfig({ LLM_MAX_TOKENS: "many" })).toThrow(/LLM_MAX_TOKENS/);
+  });
+});
+
+describe("createLlmProvider", () => {
+  test("refuses unknown providers and openai-compatible without a base URL", () => {
+    expect(() => createLlmProvider(readLlmConfig({ LLM_PROVIDER: "nope" }))).toThrow(/Unknown LLM_PROVIDER/);
+    expect(() => createLlmProvider(readLlmConfig({ LLM_PROVIDER: "openai-compatible", LLM_API_KEY: "k" })))
+      .toThrow(/LLM_BASE_URL/);
+  });
+});
+
+describe("mock provider", () => {
+  const mock = createLlmProvider(readLlmConfig({ LLM_PROVIDER: "mock" }));
+
+  test("answers the same messages with the same text", async () => {
+    const first = await mock.complete(messages("Why is the sky blue?"));
+    expect(first).toMatchObject({ model: "mock", finishReason: "stop" });
+    expect(first.output).toMatch(/^Mock explanation [0-9a-f]{8}: Why is the sky blue\?$/);
+    expect(await mock.complete(messages("Why is the sky blue?"))).toEqual(first);
+    expect((await mock.complete(messages("What is rain?"))).output).not.toBe(first.output);
+  });
+
+  test("streams the same text it completes", async () => {
+    const { output } = await mock.complete(messages("What is rain?"));
+    expect(await collect(mock.stream(messages("What is rain?")))).toEqual({ text: output, finishReason: "stop" });
+  });
+
+  test("stops at LLM_MAX_TOKENS words", async () => {
+    const short = createLlmProvider(readLlmConfig({ LLM_PROVIDER: "mock", LLM_MAX_TOKENS: "3" }));
+    expect((await short.complete(messages("one two three four"))).output.split(" ")).toHaveLength(3);
+  });
+
+  test("answers judge requests with scores for every candidate and criterion", async () => {
+    const { rubric } = normalizeRubric([{ label: "Clarity" }, { label: "Accuracy" }]);
+    const explanations = [{ id: "x", text: "One" }, { id: "y", text: "Two" }];
+    const { messages: judgeMessages } = loadPromptTemplates("./prompts")
+      .render("evaluate", undefined, { prompt: "Why?", vars: buildJudgeVars(explanations, rubric) });
+
+    const judgement = JSON.parse((await mock.complete(judgeMessages)).output);
+    expect(judgement.results.map(r => r.candidate)).toEqual(["A", "B"]);
+    judgement.results.forEach(r => {
+      expect(Object.keys(r.scores)).toEqual(["clarity", "accuracy"]);
+      Object.values(r.scores).forEach(({ score }) => expect(score).toBeGreaterThanOrEqual(1));
+    });
+    expect(["A", "B", "tie"]).toContain(judgement.verdict.winner);
+  });
+
+  test("answers coverage requests with a status for every block", async () => {
+    const blocks = [{ id: "a", type: "Hook", description: "Grab attention" }, { id: "b", type: "Example", description: "Show one" }];
+    const { messages: coverageMessages } = loadPromptTemplates("./prompts")
+      .render("coverage", undefined, { prompt: "Why?", blocks, vars: { output: "[1] Because." } });
+
+    const { blocks: checked } = JSON.parse((await mock.complete(coverageMessages)).output);
+    expect(checked.map(c => c.block)).toEqual([1, 2]);
+    checked.forEach(c => expect(["present", "weak", "missing"]).toContain(c.status));
+  });
+});
@@ -0,0 +1,132 @@
+// 🗂️ File-backed project storage for the Express server
+//
+// Each project lives in its own JSON file: <PROJECTS_DIR>/<id>.json
+//   { id, name, revision, createdAt, updatedAt, workspace }
+// `revision` starts at 1 and increases on every update. Updates and deletes must
+// send the revision they last saw; a mismatch means someone else saved in between.
+
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export class ProjectNotFoundError extends Error {
+  constructor(id) {
+    super(`Project "${id}" not found.`);
+    this.name = "ProjectNotFoundError";
+  }
+}
+
+export class RevisionConflictError extends Error {
+  constructor(current) {
+    super(`Project has changed on the server (now at revision ${current.revision}).`);
+    this.name = "RevisionConflictError";
+    this.current = current;
+  }
+}
+
+const summarize = ({ id, name, revision, createdAt, updatedAt }) =>
+  ({ id, name, revision, createdAt, updatedAt });
+
+// Hand-edited or damaged files may lack timestamps; those sort last
+const updatedAtOf = (project) => typeof project.updatedAt === "string" ? project.updatedAt : "";
+
+export function createProjectStore(dir) {
+  // Serialise read-modify-write cycles per project so concurrent requests
+  // in this process cannot interleave
+  const locks = new Map();
+  const withLock = (id, task) => {
+    const previous = locks.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    locks.set(id, next);
+    next.finally(() => {
+      if (locks.get(id) === next) locks.delete(id);
+    }).catch(() => {});
+    return next;
+  };
+
+  const fileFor = (id) => {
+    if (!ID_PATTERN.test(id)) throw new ProjectNotFoundError(id);
+    return path.join(dir, `${id}.json`);
+  };
+
+  const readProject = async (id) => {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") throw new ProjectNotFoundError(id);
+      throw err;
+    }
+  };
+
+  // Write to a temp file and rename so a crash never leaves half a project
+  const writeProject = async (project) => {
+    await fs.mkdir(dir, { recursive: true });
+    const target = fileFor(project.id);
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(project, null, 2));
+    await fs.rename(temp, target);
+    return project;
+  };
+
+  return {
+    async list() {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+
+      const projects = await Promise.all(
+        files
+          .filter(file => file.endsWith(".json"))
+          .map(file => readProject(file.slice(0, -".json".length)).catch(() => null))
+      );
+
+      return projects
+        .filter(project => project !== null && typeof project === "object")
+        .map(summarize)
+        .sort((a, b) => updatedAtOf(b).localeCompare(updatedAtOf(a)));
+    },
+
+    get: readProject,
+
+    async create({ name, workspace }) {
+      const now = new Date().toISOString();
+      return writeProject({
+        id: crypto.randomUUID(),
+        name: name || "Untitled Project",
+        revision: 1,
+        createdAt: now,
+        updatedAt: now,
+        workspace
+      });
+    },
+
+    update(id, { name, workspace, revision }) {
+      return withLock(id, async () => {
+        const current = await readProject(id);
+        if (current.revision !== revision) throw new RevisionConflictError(current);
+
+        return writeProject({
+          ...current,
+          name: name ?? current.name,
+          workspace: workspace ?? current.workspace,
+          revision: current.revision + 1,
+          updatedAt: new Date().toISOString()
+        });
+      });
+    },
+
+    remove(id, revision) {
+      return withLock(id, async () => {
+        const current = await readProject(id);
+        if (current.revision !== revision) throw new RevisionConflictError(current);
+        await fs.unlink(fileFor(id));
+      });
+    }
+  };
+}
@@ -0,0 +1,78 @@
+import { describe, test, expect, beforeEach, afterEach } from "vitest";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { createProjectStore, ProjectNotFoundError, RevisionConflictError } from "./projectStore.js";
+
+let dir;
+let store;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "project-store-"));
+  store = createProjectStore(dir);
+});
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe("createProjectStore", () => {
+  test("creates projects at revision 1 and lists them without workspaces", async () => {
+    expect(await createProjectStore(path.join(dir, "missing")).list()).toEqual([]);
+
+    const project = await store.create({ name: "Gravity", workspace: { prompt: "Why?" } });
+    expect(project).toMatchObject({ name: "Gravity", revision: 1, workspace: { prompt: "Why?" } });
+    expect(await store.get(project.id)).toEqual(project);
+
+    const [summary] = await store.list();
+    expect(summary).toEqual({
+      id: project.id,
+      name: "Gravity",
+      revision: 1,
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt,
+    });
+  });
+
+  test("updates from the current revision and refuses stale ones", async () => {
+    const project = await store.create({ name: "Gravity", workspace: { prompt: "Why?" } });
+
+    const updated = await store.update(project.id, { workspace: { prompt: "How?" }, revision: 1 });
+    expect(updated).toMatchObject({ name: "Gravity", revision: 2, workspace: { prompt: "How?" } });
+
+    const stale = store.update(project.id, { name: "Renamed", revision: 1 });
+    await expect(stale).rejects.toBeInstanceOf(RevisionConflictError);
+    await expect(stale).rejects.toMatchObject({ current: { revision: 2 } });
+  });
+
+  test("lets only one of two concurrent updates from the same revision win", async () => {
+    const project = await store.create({ name: "Gravity", workspace: {} });
+    const results = await Promise.allSettled([
+      store.update(project.id, { name: "One", revision: 1 }),
+      store.update(project.id, { name: "Two", revision: 1 }),
+    ]);
+
+    expect(results.map(r => r.status)).toEqual(["fulfilled", "rejected"]);
+    expect((await store.get(project.id)).name).toBe("One");
+  });
+
+  test("removes a project only at the expected revision", async () => {
+    const project = await store.create({ name: "Gravity", workspace: {} });
+
+    await expect(store.remove(project.id, 2)).rejects.toBeInstanceOf(RevisionConflictError);
+    await expect(store.remove(project.id)).rejects.toBeInstanceOf(RevisionConflictError);
+    await store.remove(project.id, 1);
+    await expect(store.get(project.id)).rejects.toBeInstanceOf(ProjectNotFoundError);
+  });
+
+  test("lists files without timestamps last and skips ones that are not projects", async () => {
+    const project = await store.create({ name: "Gravity", workspace: {} });
+    await fs.writeFile(path.join(dir, "undated.json"), JSON.stringify({ id: "undated", name: "Undated", revision: 1 }));
+    await fs.writeFile(path.join(dir, "empty.json"), "null");
+    await fs.writeFile(path.join(dir, "broken.json"), "{");
+
+    expect((await store.list()).map(p => p.id)).toEqual([project.id, "undated"]);
+  });
+
+  test("treats ids that are not file-safe as missing", async () => {
+    await expect(store.get("../secrets")).rejects.toBeInstanceOf(ProjectNotFoundError);
+  });
+});
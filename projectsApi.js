@@ -0,0 +1,52 @@
+// ☁️ Client for the server's shared project storage (/api/projects)
+
+import { apiUrl } from './apiConfig';
+
+const PROJECTS_URL = apiUrl("/api/projects");
+
+// Thrown when the server copy moved on since we last loaded or saved it
+export class ProjectConflictError extends Error {
+  constructor(message, current) {
+    super(message);
+    this.name = "ProjectConflictError";
+    this.current = current;
+  }
+}
+
+const request = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers }
+  });
+
+  if (response.status === 204) return null;
+
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 409) {
+    throw new ProjectConflictError(data.error, data.current);
+  }
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}.`);
+  }
+  return data;
+};
+
+export const listServerProjects = async () => (await request(PROJECTS_URL)).projects;
+
+export const fetchServerProject = (id) => request(`${PROJECTS_URL}/${encodeURIComponent(id)}`);
+
+export const createServerProject = (name, workspace) => request(PROJECTS_URL, {
+  method: "POST",
+  body: JSON.stringify({ name, workspace })
+});
+
+export const updateServerProject = (id, revision, { name, workspace }) =>
+  request(`${PROJECTS_URL}/${encodeURIComponent(id)}`, {
+    method: "PUT",
+    body: JSON.stringify({ name, workspace, revision })
+  });
+
+export const deleteServerProject = (id, revision) =>
+  request(`${PROJECTS_URL}/${encodeURIComponent(id)}?revision=${revision}`, {
+    method: "DELETE"
+  });
@@ -0,0 +1,155 @@
+// 📜 Named, versioned prompt templates loaded from files
+//
+// Every *.txt file in the prompts directory holds one version of one template:
+//
+//   name: explain
+//   version: 1
+//   description: What the template is for
+//   provenance: true
+//   default.language: English
+//
+//   --- system
+//   ...system message...
+//   --- user
+//   ...user message...
+//
+// Messages may use {{prompt}}, {{structure}} (numbered hints "[1] ..."),
+// {{blocks}} ("(Type) - ..." lines), {{settings.<key>}} and any extra `vars`
+// the caller passes; anything unknown renders empty. `default.<key>` header lines fill settings the request left
+// empty. Templates with `provenance: true` also get the provenance marker
+// instructions, and their output is mapped back to the blocks.
+
+import fs from "fs";
+import path from "path";
+import { PROVENANCE_INSTRUCTIONS } from "./provenance.js";
+
+export class UnknownTemplateError extends Error {
+  constructor(name, version) {
+    super(version === undefined
+      ? `Prompt template "${name}" not found.`
+      : `Prompt template "${name}" has no version ${version}.`);
+    this.name = "UnknownTemplateError";
+  }
+}
+
+// Text a block contributes to a prompt, including any per-block instructions
+// and a nudge for blocks an earlier attempt left out
+export const describeBlock = (block) => {
+  const purpose = block.fullText || block.description || "";
+  const text = block.instructions ? `${purpose} (Instructions: ${block.instructions})` : purpose;
+  return block.emphasize
+    ? `${text} [Emphasize: an earlier draft left this out or only hinted at it — make it come through clearly.]`
+    : text;
+};
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const fill = (text, values) =>
+  text.replace(PLACEHOLDER, (_, key) => {
+    const value = key.split(".").reduce((obj, part) => (obj == null ? undefined : obj[part]), values);
+    return value == null ? "" : String(value);
+  });
+
+export function parseTemplateFile(text, file = "template") {
+  const header = {};
+  const defaults = {};
+  const sections = {};
+  let current = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    const section = line.match(/^---\s*(system|user)\s*$/);
+    if (section) {
+      current = section[1];
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    } else if (line.trim()) {
+      const [, key, value] = line.match(/^([\w.]+):\s*(.*)$/) || [];
+      if (!key) throw new Error(`${file}: bad header line "${line}".`);
+      if (key.startsWith("default.")) defaults[key.slice("default.".length)] = value.trim();
+      else header[key] = value.trim();
+    }
+  });
+
+  const version = Number(header.version);
+  if (!header.name) throw new Error(`${file}: missing "name".`);
+  if (!Number.isInteger(version) || version < 1) throw new Error(`${file}: "version" must be a positive whole number.`);
+  if (!sections.system || !sections.user) throw new Error(`${file}: needs both a "--- system" and a "--- user" section.`);
+
+  return {
+    name: header.name,
+    version,
+    description: header.description || "",
+    provenance: header.provenance === "true",
+    defaults,
+    system: sections.system.join("\n").trim(),
+    user: sections.user.join("\n").trim(),
+  };
+}
+
+export function loadPromptTemplates(dir) {
+  const templates = new Map(); // name -> versions, oldest first
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith(".txt"))
+    .forEach(file => {
+      const template = parseTemplateFile(fs.readFileSync(path.join(dir, file), "utf8"), file);
+      const versions = templates.get(template.name) || [];
+      if (versions.some(t => t.version === template.version)) {
+        throw new Error(`${file}: "${template.name}" version ${template.version} is defined twice.`);
+      }
+      versions.push(template);
+      versions.sort((a, b) => a.version - b.version);
+      templates.set(template.name, versions);
+    });
+
+  // The latest version unless one is asked for
+  const get = (name, version) => {
+    const versions = templates.get(name);
+    if (!versions) throw new UnknownTemplateError(name);
+    if (version === undefined || version === null) return versions[versions.length - 1];
+    const template = versions.find(t => t.version === Number(version));
+    if (!template) throw new UnknownTemplateError(name, version);
+    return template;
+  };
+
+  return {
+    list() {
+      return [...templates.values()].flatMap(versions =>
+        versions.map(({ name, version, description }) => ({ name, version, description }))
+      );
+    },
+
+    get,
+
+    // -> { messages, template: { name, version }, settings (as applied), blockRefs (block ids in hint order, or null) }
+    render(name, version, { prompt = "", blocks = [], settings = {}, vars = {} }) {
+      const template = get(name, version);
+      const applied = { ...template.defaults };
+      Object.entries(settings).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && String(value).trim() !== "") applied[key] = value;
+      });
+
+      const values = {
+        ...vars,
+        prompt,
+        settings: applied,
+        structure: blocks.map((block, i) => `[${i + 1}] ${describeBlock(block)}`).join("\n"),
+        blocks: blocks.map(block => `(${block.type}) - ${describeBlock(block)}`).join("\n"),
+      };
+
+      return {
+        messages: [
+          {
+            role: "system",
+            content: fill(template.system, values) + (template.provenance ? `\n${PROVENANCE_INSTRUCTIONS}` : ""),
+          },
+          { role: "user", content: fill(template.user, values) },
+        ],
+        template: { name: template.name, version: template.version },
+        settings: applied,
+        blockRefs: template.provenance ? blocks.map(block => String(block.id)) : null,
+      };
+    },
+  };
+}
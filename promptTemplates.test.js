@@ -0,0 +1,89 @@
+import { describe, test, expect, beforeAll, afterAll } from "vitest";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { UnknownTemplateError, describeBlock, loadPromptTemplates, parseTemplateFile } from "./promptTemplates.js";
+import { PROVENANCE_INSTRUCTIONS } from "./provenance.js";
+
+const templateFile = ({ name = "greet", version = 1, provenance = false, user = "Say hi about {{prompt}}" } = {}) =>
+  [
+    `name: ${name}`,
+    `version: ${version}`,
+    "description: A test template",
+    `provenance: ${provenance}`,
+    "default.tone: calm",
+    "",
+    "--- system",
+    "Be {{settings.tone}}.{{unknown}}",
+    "--- user",
+    user,
+  ].join("\n");
+
+describe("parseTemplateFile", () => {
+  test("reads the header and both messages", () => {
+    expect(parseTemplateFile(templateFile())).toEqual({
+      name: "greet",
+      version: 1,
+      description: "A test template",
+      provenance: false,
+      defaults: { tone: "calm" },
+      system: "Be {{settings.tone}}.{{unknown}}",
+      user: "Say hi about {{prompt}}",
+    });
+  });
+
+  test("names the file when it is malformed", () => {
+    expect(() => parseTemplateFile("oops\n--- system\nx\n--- user\ny", "bad.txt")).toThrow(/bad\.txt: bad header line/);
+    expect(() => parseTemplateFile(templateFile({ version: 0 }), "v.txt")).toThrow(/v\.txt: "version"/);
+    expect(() => parseTemplateFile("name: x\nversion: 1\n--- user\ny", "s.txt")).toThrow(/s\.txt: needs both/);
+  });
+});
+
+describe("describeBlock", () => {
+  test("prefers the full text and appends per-block instructions", () => {
+    expect(describeBlock({ description: "Short" })).toBe("Short");
+    expect(describeBlock({ description: "Short", fullText: "Long", instructions: "Be brief" }))
+      .toBe("Long (Instructions: Be brief)");
+  });
+});
+
+describe("loadPromptTemplates", () => {
+  let dir;
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "prompt-templates-"));
+    await fs.writeFile(path.join(dir, "greet.v1.txt"), templateFile());
+    await fs.writeFile(path.join(dir, "greet.v2.txt"), templateFile({ version: 2, provenance: true, user: "{{structure}}" }));
+  });
+  afterAll(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test("renders the latest version unless one is asked for", () => {
+    const prompts = loadPromptTemplates(dir);
+    const blocks = [{ id: 7, type: "Hook", description: "Grab attention" }];
+
+    const latest = prompts.render("greet", undefined, { prompt: "p", blocks, settings: { tone: "warm" } });
+    expect(latest.template).toEqual({ name: "greet", version: 2 });
+    expect(latest.blockRefs).toEqual(["7"]);
+    expect(latest.messages).toEqual([
+      { role: "system", content: `Be warm.\n${PROVENANCE_INSTRUCTIONS}` },
+      { role: "user", content: "[1] Grab attention" },
+    ]);
+
+    const first = prompts.render("greet", "1", { prompt: "the sea", blocks });
+    expect(first.blockRefs).toBeNull();
+    // Header defaults fill the settings the request left empty
+    expect(first.settings).toEqual({ tone: "calm" });
+    expect(first.messages.map(m => m.content)).toEqual(["Be calm.", "Say hi about the sea"]);
+  });
+
+  test("throws UnknownTemplateError for missing names and versions", () => {
+    const prompts = loadPromptTemplates(dir);
+    expect(() => prompts.get("nope")).toThrow(UnknownTemplateError);
+    expect(() => prompts.get("greet", 3)).toThrow(/has no version 3/);
+    expect(prompts.list().map(t => t.version)).toEqual([1, 2]);
+  });
+
+  test("the bundled templates load", () => {
+    const names = loadPromptTemplates("./prompts").list().map(t => t.name);
+    expect(names).toEqual(expect.arrayContaining(["explain", "blend"]));
+  });
+});
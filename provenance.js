@@ -0,0 +1,114 @@
+// 🧭 Output provenance: which parts of an explanation came from which block
+//
+// The model is asked to wrap what it writes in markers naming the numbered
+// structure hints it realises, e.g. "[[1,3]]Gravity pulls like a magnet.[[/]]".
+// The markers are stripped before the text reaches the reader and turned into
+// spans: [{ start, end, blockIds }] with offsets into the cleaned output.
+//
+// Shared by the server (which parses) and the client (which numbers the hints).
+
+export const PROVENANCE_INSTRUCTIONS = `
+Provenance markers:
+- The structure hints are numbered like [1], [2].
+- Wrap every sentence or clause you write in markers naming the hint numbers it realises, e.g. [[2]]...[[/]] or [[1,3]]...[[/]].
+- Every part of the output must be inside exactly one pair of markers. Do not nest markers.
+- Apart from the markers, follow all other instructions exactly.`;
+
+const MARKER = /\[\[\s*(\/|[\d\s,]+)\s*\]\]/g;
+
+// A marker that has started but not finished at the very end of the text
+const PARTIAL_MARKER = /\[(\[[\d\s,/]*(\])?)?$/;
+
+export const stripMarkers = (text) => text.replace(MARKER, "");
+
+// Parse marked-up text into { output, spans }; blockRefs[n - 1] is the id of hint [n]
+export const parseProvenance = (raw, blockRefs = []) => {
+  const spans = [];
+  let output = "";
+  let openIds = null;
+  let openStart = 0;
+  let lastIndex = 0;
+
+  const closeSpan = () => {
+    if (openIds && openIds.length && output.length > openStart) {
+      spans.push({ start: openStart, end: output.length, blockIds: openIds });
+    }
+    openIds = null;
+  };
+
+  for (const match of raw.matchAll(MARKER)) {
+    output += raw.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    closeSpan();
+    if (match[1] !== "/") {
+      openIds = [...new Set(
+        match[1]
+          .split(",")
+          .map(n => blockRefs[Number(n.trim()) - 1])
+          .filter(Boolean)
+      )];
+      openStart = output.length;
+    }
+  }
+  output += raw.slice(lastIndex);
+  closeSpan();
+
+  // Trim the output and shift spans to match
+  const leading = output.length - output.trimStart().length;
+  const trimmed = output.trim();
+  const adjusted = spans
+    .map(span => ({
+      ...span,
+      start: Math.max(0, span.start - leading),
+      end: Math.min(trimmed.length, span.end - leading)
+    }))
+    .filter(span => span.end > span.start);
+
+  return { output: trimmed, spans: adjusted };
+};
+
+// Strips markers from streamed chunks, holding back a marker split across chunks
+export const createMarkerFilter = () => {
+  let raw = "";
+  let emitted = 0;
+
+  return {
+    push(chunk) {
+      raw += chunk;
+      const partial = raw.match(PARTIAL_MARKER);
+      const safe = partial ? raw.slice(0, partial.index) : raw;
+      const visible = stripMarkers(safe);
+      const next = visible.slice(emitted);
+      emitted = visible.length;
+      return next;
+    },
+    flush() {
+      const visible = stripMarkers(raw);
+      const next = visible.slice(emitted);
+      emitted = visible.length;
+      return next;
+    },
+    get raw() {
+      return raw;
+    }
+  };
+};
+
+// Split output text into segments for rendering: [{ text, blockIds }]
+export const segmentOutput = (output, spans = []) => {
+  const segments = [];
+  let cursor = 0;
+
+  [...spans]
+    .sort((a, b) => a.start - b.start)
+    .forEach(span => {
+      if (span.start < cursor) return;
+      if (span.start > cursor) segments.push({ text: output.slice(cursor, span.start), blockIds: [] });
+      segments.push({ text: output.slice(span.start, span.end), blockIds: span.blockIds });
+      cursor = span.end;
+    });
+
+  if (cursor < output.length) segments.push({ text: output.slice(cursor), blockIds: [] });
+  return segments;
+};
@@ -0,0 +1,55 @@
+import { describe, test, expect } from "vitest";
+import { parseProvenance, createMarkerFilter, segmentOutput, stripMarkers } from "./provenance.js";
+
+describe("parseProvenance", () => {
+  test("turns markers into spans over the cleaned output", () => {
+    const raw = "[[1]]Gravity pulls.[[/]] [[2,3]]Like a magnet.[[/]]";
+    const { output, spans } = parseProvenance(raw, ["hook", "analogy", "example"]);
+
+    expect(output).toBe("Gravity pulls. Like a magnet.");
+    expect(spans).toEqual([
+      { start: 0, end: 14, blockIds: ["hook"] },
+      { start: 15, end: 29, blockIds: ["analogy", "example"] },
+    ]);
+  });
+
+  test("drops hint numbers without a block and shifts spans past trimmed whitespace", () => {
+    const { output, spans } = parseProvenance("  [[1,9]]Hello[[/]]  ", ["a"]);
+    expect(output).toBe("Hello");
+    expect(spans).toEqual([{ start: 0, end: 5, blockIds: ["a"] }]);
+  });
+
+  test("leaves unmarked text without spans", () => {
+    expect(parseProvenance("Plain text.", ["a"])).toEqual({ output: "Plain text.", spans: [] });
+  });
+});
+
+describe("createMarkerFilter", () => {
+  test("holds back a marker split across chunks", () => {
+    const filter = createMarkerFilter();
+    const visible = ["[[1]]One ", "two[", "[/]] three[[", "2]]four"].map(chunk => filter.push(chunk));
+
+    expect(visible).toEqual(["One ", "two", " three", "four"]);
+    expect(filter.flush()).toBe("");
+    expect(filter.raw).toBe("[[1]]One two[[/]] three[[2]]four");
+  });
+
+  test("flushes an unfinished bracket at the end as text", () => {
+    const filter = createMarkerFilter();
+    expect(filter.push("Array[")).toBe("Array");
+    expect(filter.flush()).toBe("[");
+  });
+});
+
+test("segmentOutput covers the whole output in order", () => {
+  const segments = segmentOutput("Hello big world", [{ start: 6, end: 9, blockIds: ["b"] }]);
+  expect(segments).toEqual([
+    { text: "Hello ", blockIds: [] },
+    { text: "big", blockIds: ["b"] },
+    { text: " world", blockIds: [] },
+  ]);
+});
+
+test("stripMarkers removes opening and closing markers", () => {
+  expect(stripMarkers("[[ 1, 2 ]]a[[/]]b")).toBe("ab");
+});
@@ -0,0 +1,58 @@
+// 🚦 Per-client rate limiting for the routes that call the model
+//
+// A fixed window per client IP, kept in memory: fine for one server process.
+// Over the limit, requests get 429 { error, code: "rate_limited", retryAfter }
+// and a Retry-After header.
+
+export function readRateLimitConfig(env = process.env) {
+  const perMinute = env.RATE_LIMIT_PER_MINUTE === undefined || env.RATE_LIMIT_PER_MINUTE === ""
+    ? 60
+    : Number(env.RATE_LIMIT_PER_MINUTE);
+  if (!Number.isInteger(perMinute) || perMinute < 0) {
+    throw new Error(`RATE_LIMIT_PER_MINUTE must be a whole number, got "${env.RATE_LIMIT_PER_MINUTE}".`);
+  }
+  return { max: perMinute, windowMs: 60 * 1000 };
+}
+
+// max = 0 turns limiting off
+export function createRateLimiter({ max, windowMs }, { now = Date.now } = {}) {
+  const windows = new Map(); // client -> { start, count }
+
+  // Forget clients whose window is over so the map does not grow forever
+  const sweep = (time) => {
+    for (const [client, window] of windows) {
+      if (time - window.start >= windowMs) windows.delete(client);
+    }
+  };
+  let lastSweep = now();
+
+  return (req, res, next) => {
+    if (max === 0) return next();
+
+    const time = now();
+    if (time - lastSweep >= windowMs) {
+      sweep(time);
+      lastSweep = time;
+    }
+
+    const client = req.ip || req.socket?.remoteAddress || "unknown";
+    let window = windows.get(client);
+    if (!window || time - window.start >= windowMs) {
+      window = { start: time, count: 0 };
+      windows.set(client, window);
+    }
+    window.count += 1;
+
+    res.setHeader("RateLimit-Limit", String(max));
+    res.setHeader("RateLimit-Remaining", String(Math.max(0, max - window.count)));
+    if (window.count <= max) return next();
+
+    const retryAfter = Math.ceil((window.start + windowMs - time) / 1000);
+    res.setHeader("Retry-After", String(retryAfter));
+    res.status(429).json({
+      error: `Too many requests. Try again in ${retryAfter} seconds.`,
+      code: "rate_limited",
+      retryAfter,
+    });
+  };
+}
@@ -0,0 +1,67 @@
+import { describe, test, expect } from "vitest";
+import { createRateLimiter, readRateLimitConfig } from "./rateLimit.js";
+
+const fakeResponse = () => ({
+  headers: {},
+  statusCode: 200,
+  setHeader(name, value) {
+    this.headers[name] = value;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+  },
+});
+
+// Runs one request through the limiter; true when it was let through
+const hit = (limiter, ip = "1.2.3.4") => {
+  const res = fakeResponse();
+  let passed = false;
+  limiter({ ip }, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+};
+
+describe("createRateLimiter", () => {
+  test("lets max requests through per window, then answers 429 with Retry-After", () => {
+    let time = 0;
+    const limiter = createRateLimiter({ max: 2, windowMs: 60000 }, { now: () => time });
+
+    expect(hit(limiter).passed).toBe(true);
+    const second = hit(limiter);
+    expect(second.passed).toBe(true);
+    expect(second.res.headers["RateLimit-Remaining"]).toBe("0");
+
+    time = 15000;
+    const third = hit(limiter);
+    expect(third.passed).toBe(false);
+    expect(third.res.statusCode).toBe(429);
+    expect(third.res.headers["Retry-After"]).toBe("45");
+    expect(third.res.body).toMatchObject({ code: "rate_limited", retryAfter: 45 });
+
+    time = 60000;
+    expect(hit(limiter).passed).toBe(true);
+  });
+
+  test("counts each client separately", () => {
+    const limiter = createRateLimiter({ max: 1, windowMs: 60000 }, { now: () => 0 });
+    expect(hit(limiter, "a").passed).toBe(true);
+    expect(hit(limiter, "b").passed).toBe(true);
+    expect(hit(limiter, "a").passed).toBe(false);
+  });
+
+  test("max 0 turns limiting off", () => {
+    const limiter = createRateLimiter({ max: 0, windowMs: 60000 });
+    for (let i = 0; i < 5; i++) expect(hit(limiter).passed).toBe(true);
+  });
+});
+
+test("readRateLimitConfig defaults to 60 a minute and rejects bad values", () => {
+  expect(readRateLimitConfig({})).toEqual({ max: 60, windowMs: 60000 });
+  expect(readRateLimitConfig({ RATE_LIMIT_PER_MINUTE: "5" }).max).toBe(5);
+  expect(() => readRateLimitConfig({ RATE_LIMIT_PER_MINUTE: "lots" })).toThrow(/whole number/);
+});
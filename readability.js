@@ -0,0 +1,87 @@
+// 📏 Readability and structure metrics for an explanation
+//
+// Everything is computed locally. Syllables are counted with a vowel-group
+// heuristic tuned for English, so scores for other languages are rough.
+
+export const DEFAULT_JARGON = [
+  "paradigm", "leverage", "synergy", "utilize", "methodology", "framework",
+  "heuristic", "ontology", "epistemic", "stochastic", "orthogonal", "instantiate",
+  "modality", "salient", "affordance", "holistic", "granular", "optimize"
+];
+
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+const splitWords = (text) => text.match(WORD) || [];
+
+const countSentences = (text) =>
+  text
+    .split(/[.!?…]+(?=\s|$)|\n{2,}/)
+    .filter(part => /[\p{L}\p{N}]/u.test(part))
+    .length;
+
+export const countSyllables = (word) => {
+  let w = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (!w) return 1;
+  if (w.length <= 3) return 1;
+  // Silent endings: "make", "tries", "jumped" (but not "table")
+  w = w.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, (ending) => ending[0]).replace(/^y/, "");
+  const groups = w.match(/[aeiouy]+/g);
+  return Math.max(1, groups ? groups.length : 0);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Occurrences of any jargon term (words or phrases, case-insensitive)
+const countJargon = (text, jargon) =>
+  jargon
+    .map(term => term.trim())
+    .filter(Boolean)
+    .reduce((count, term) => {
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, "giu");
+      return count + (text.match(pattern) || []).length;
+    }, 0);
+
+const round = (value, places = 1) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// -> { words, sentences, avgSentenceLength, readingEase, gradeLevel, jargonCount, jargonDensity (%) }
+export const computeMetrics = (text = "", jargon = DEFAULT_JARGON) => {
+  const words = splitWords(text);
+  const wordCount = words.length;
+  if (wordCount === 0) {
+    return { words: 0, sentences: 0, avgSentenceLength: 0, readingEase: 0, gradeLevel: 0, jargonCount: 0, jargonDensity: 0 };
+  }
+
+  const sentences = Math.max(1, countSentences(text));
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const wordsPerSentence = wordCount / sentences;
+  const syllablesPerWord = syllables / wordCount;
+  const jargonCount = countJargon(text, jargon);
+
+  return {
+    words: wordCount,
+    sentences,
+    avgSentenceLength: round(wordsPerSentence),
+    readingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    gradeLevel: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+    jargonCount,
+    jargonDensity: round((jargonCount / wordCount) * 100)
+  };
+};
+
+// Plain-language band for a Flesch reading ease score
+export const describeReadingEase = (score) => {
+  if (score >= 90) return "Very easy";
+  if (score >= 80) return "Easy";
+  if (score >= 70) return "Fairly easy";
+  if (score >= 60) return "Standard";
+  if (score >= 50) return "Fairly difficult";
+  if (score >= 30) return "Difficult";
+  return "Very difficult";
+};
+
+// Parse the jargon list editor's text: one term per line or comma-separated
+export const parseJargonList = (text) =>
+  [...new Set(text.split(/[\n,]/).map(term => term.trim().toLowerCase()).filter(Boolean))];
@@ -0,0 +1,46 @@
+import { describe, test, expect } from "vitest";
+import { computeMetrics, countSyllables, describeReadingEase, parseJargonList } from "./readability";
+
+describe("countSyllables", () => {
+  test.each([
+    ["cat", 1],
+    ["make", 1],
+    ["table", 2],
+    ["jumped", 1],
+    ["explanation", 4],
+  ])("%s has %i", (word, syllables) => {
+    expect(countSyllables(word)).toBe(syllables);
+  });
+});
+
+describe("computeMetrics", () => {
+  test("returns zeros for empty text", () => {
+    expect(computeMetrics("")).toMatchObject({ words: 0, sentences: 0, readingEase: 0, jargonDensity: 0 });
+  });
+
+  test("counts words, sentences and jargon", () => {
+    const metrics = computeMetrics("We leverage the cat. The cat sat on a mat!", ["leverage"]);
+    expect(metrics).toMatchObject({ words: 10, sentences: 2, avgSentenceLength: 5, jargonCount: 1, jargonDensity: 10 });
+  });
+
+  test("scores short plain sentences as easier than long technical ones", () => {
+    const easy = computeMetrics("The sun is hot. It gives us light.");
+    const hard = computeMetrics("Photosynthetic organisms utilize electromagnetic radiation to synthesize carbohydrates.");
+    expect(easy.readingEase).toBeGreaterThan(hard.readingEase);
+    expect(easy.gradeLevel).toBeLessThan(hard.gradeLevel);
+  });
+
+  test("matches jargon phrases as whole words only", () => {
+    expect(computeMetrics("Deep learning and deeper learning.", ["deep learning"]).jargonCount).toBe(1);
+  });
+});
+
+test("describeReadingEase names the Flesch band", () => {
+  expect(describeReadingEase(95)).toBe("Very easy");
+  expect(describeReadingEase(65)).toBe("Standard");
+  expect(describeReadingEase(10)).toBe("Very difficult");
+});
+
+test("parseJargonList splits, trims, lowercases and dedupes", () => {
+  expect(parseJargonList("Synergy, paradigm\n synergy \n\nDeep Learning")).toEqual(["synergy", "paradigm", "deep learning"]);
+});
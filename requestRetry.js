@@ -0,0 +1,102 @@
+// 🔁 Timeouts, retries and cancellation for requests to the model routes
+//
+// Each try gets its own AbortSignal that fires when the caller cancels or when
+// nothing has arrived for REQUEST_TIMEOUT_MS. Transient failures (timeouts,
+// rate limits, provider hiccups, dropped connections) are retried with
+// exponential backoff; onRetry is told about every retry so the UI can show it.
+
+import { ApiError } from './apiErrors';
+
+export const REQUEST_TIMEOUT_MS = 90 * 1000;
+export const MAX_RETRIES = 2;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 20 * 1000;
+
+const TRANSIENT_CODES = ["upstream_timeout", "upstream_rate_limited", "upstream_error", "rate_limited", "client_timeout"];
+
+// Thrown instead of the fetch error when the caller cancelled
+export class CancelledError extends Error {
+  constructor() {
+    super("Cancelled.");
+    this.name = "CancelledError";
+  }
+}
+
+// fetch rejects with a TypeError when the server cannot be reached at all
+const isTransient = (error) =>
+  (error instanceof ApiError && TRANSIENT_CODES.includes(error.code)) || error instanceof TypeError;
+
+// Exponential backoff with a little jitter; the server's Retry-After wins
+const retryDelay = (retry, error) => {
+  if (error.retryAfter) return error.retryAfter * 1000;
+  return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (retry - 1)) + Math.round(Math.random() * 250);
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", cancel);
+      resolve();
+    }, ms);
+    const cancel = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    signal?.addEventListener("abort", cancel, { once: true });
+  });
+
+// One try: `signal` for fetch, `touch()` whenever data arrives to keep it alive
+const startAttempt = (parentSignal, timeoutMs) => {
+  const controller = new AbortController();
+  let timer;
+  const attempt = {
+    signal: controller.signal,
+    timedOut: false,
+    touch() {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        attempt.timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    },
+    finish() {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener("abort", cancel);
+    }
+  };
+  const cancel = () => controller.abort();
+  parentSignal?.addEventListener("abort", cancel, { once: true });
+  attempt.touch();
+  return attempt;
+};
+
+// Short status line for a pending retry, e.g. in a progress area
+export const describeRetry = ({ retry, retries, delayMs, message }) =>
+  `🔁 Retry ${retry} of ${retries} in ${Math.ceil(delayMs / 1000)}s: ${message}`;
+
+// request({ signal, touch }) is called once per try.
+// onRetry({ retry, retries, delayMs, error }) fires before each wait.
+export const withRetry = async (request, { signal, retries = MAX_RETRIES, timeoutMs = REQUEST_TIMEOUT_MS, onRetry } = {}) => {
+  for (let retry = 0; ; retry++) {
+    if (signal?.aborted) throw new CancelledError();
+    const attempt = startAttempt(signal, timeoutMs);
+    let error;
+    try {
+      return await request({ signal: attempt.signal, touch: attempt.touch });
+    } catch (e) {
+      error = e;
+    } finally {
+      attempt.finish();
+    }
+
+    if (signal?.aborted) throw new CancelledError();
+    if (attempt.timedOut) {
+      error = new ApiError({ code: "client_timeout", error: "The server stopped responding." });
+    }
+
+    const delayMs = retryDelay(retry + 1, error);
+    if (retry >= retries || !isTransient(error) || delayMs > MAX_DELAY_MS * 2) throw error;
+    if (onRetry) onRetry({ retry: retry + 1, retries, delayMs, error });
+    await wait(delayMs, signal);
+  }
+};
@@ -0,0 +1,121 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import { ApiError } from "./apiErrors";
+import { CancelledError, describeRetry, withRetry } from "./requestRetry";
+
+const transient = () => new ApiError({ code: "upstream_error", error: "Provider hiccup." }, 502);
+
+// A request that only ends when its signal aborts, like a stalled fetch
+const hang = ({ signal }) =>
+  new Promise((resolve, reject) => {
+    signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")), { once: true });
+  });
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.spyOn(Math, "random").mockReturnValue(0); // no jitter
+});
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe("withRetry", () => {
+  test("retries transient failures with exponential backoff, then gives up", async () => {
+    const request = vi.fn().mockRejectedValue(transient());
+    const onRetry = vi.fn();
+    const run = withRetry(request, { retries: 2, onRetry });
+    const settled = expect(run).rejects.toMatchObject({ code: "upstream_error" });
+
+    await vi.advanceTimersByTimeAsync(999);
+    expect(request).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(request).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(2000);
+    await settled;
+
+    expect(request).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([info]) => [info.retry, info.retries, info.delayMs])).toEqual([[1, 2, 1000], [2, 2, 2000]]);
+  });
+
+  test("returns the first successful answer", async () => {
+    const request = vi.fn().mockRejectedValueOnce(new TypeError("Failed to fetch")).mockResolvedValue("done");
+    const run = withRetry(request);
+    await vi.advanceTimersByTimeAsync(1000);
+    await expect(run).resolves.toBe("done");
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  test("waits as long as the server's Retry-After asks", async () => {
+    const limited = new ApiError({ code: "rate_limited", error: "Slow down.", retryAfter: 5 }, 429);
+    const request = vi.fn().mockRejectedValueOnce(limited).mockResolvedValue("done");
+    const onRetry = vi.fn();
+    const run = withRetry(request, { onRetry });
+
+    await vi.advanceTimersByTimeAsync(4999);
+    expect(request).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    await expect(run).resolves.toBe("done");
+    expect(onRetry.mock.calls[0][0].delayMs).toBe(5000);
+  });
+
+  test("does not retry errors that will not go away", async () => {
+    const invalid = new ApiError({ code: "invalid_request", error: "Bad blocks." }, 400);
+    const request = vi.fn().mockRejectedValue(invalid);
+    await expect(withRetry(request)).rejects.toBe(invalid);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  test("times out a try that stops receiving data", async () => {
+    const request = vi.fn(hang);
+    const run = withRetry(request, { retries: 0, timeoutMs: 500 });
+    const settled = expect(run).rejects.toMatchObject({ code: "client_timeout" });
+
+    await vi.advanceTimersByTimeAsync(500);
+    await settled;
+    expect(request.mock.calls[0][0].signal.aborted).toBe(true);
+  });
+
+  test("touch() keeps a slow but live try going", async () => {
+    const run = withRetry(({ touch }) => new Promise(resolve => {
+      setTimeout(touch, 400);
+      setTimeout(() => resolve("done"), 800);
+    }), { retries: 0, timeoutMs: 500 });
+
+    await vi.advanceTimersByTimeAsync(800);
+    await expect(run).resolves.toBe("done");
+  });
+
+  test("cancelling during a pending retry stops further tries", async () => {
+    const controller = new AbortController();
+    const request = vi.fn().mockRejectedValue(transient());
+    const run = withRetry(request, { signal: controller.signal });
+    const settled = expect(run).rejects.toBeInstanceOf(CancelledError);
+
+    await vi.advanceTimersByTimeAsync(500);
+    controller.abort();
+    await settled;
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  test("cancelling a running try rejects with CancelledError", async () => {
+    const controller = new AbortController();
+    const request = vi.fn(hang);
+    const run = withRetry(request, { signal: controller.signal });
+    const settled = expect(run).rejects.toBeInstanceOf(CancelledError);
+
+    controller.abort();
+    await settled;
+    expect(request).toHaveBeenCalledTimes(1);
+    await expect(withRetry(request, { signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("describeRetry", () => {
+  test("says which retry is coming and when", () => {
+    expect(describeRetry({ retry: 1, retries: 2, delayMs: 1500, message: "The model is busy." }))
+      .toBe("🔁 Retry 1 of 2 in 2s: The model is busy.");
+  });
+});
@@ -0,0 +1,67 @@
+// ✅ Checks for the bodies of the model routes
+//
+// Each check returns an error message for a 400 response, or null when the
+// value is fine. Limits keep a single request from running up a huge prompt.
+
+export const LIMITS = {
+  promptLength: 2000,
+  blocks: 60,
+  blockTextLength: 4000,
+  settingLength: 200,
+  outputLength: 50000,
+};
+
+const BLOCK_TEXT_FIELDS = ["type", "description", "fullText", "instructions"];
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+export const validatePrompt = (prompt) => {
+  if (prompt === undefined || prompt === null) return "A prompt is required.";
+  if (typeof prompt !== "string") return "The prompt must be text.";
+  if (!prompt.trim()) return "A prompt is required.";
+  if (prompt.length > LIMITS.promptLength) return `The prompt must be at most ${LIMITS.promptLength} characters.`;
+  return null;
+};
+
+export const validateBlocks = (blocks) => {
+  if (!Array.isArray(blocks) || blocks.length === 0) return "A non-empty list of blocks is required.";
+  if (blocks.length > LIMITS.blocks) return `At most ${LIMITS.blocks} blocks can be sent at once.`;
+
+  for (const [i, block] of blocks.entries()) {
+    if (!isPlainObject(block)) return `Block ${i + 1} must be an object.`;
+    if (!["string", "number"].includes(typeof block.id)) return `Block ${i + 1} needs an "id".`;
+    for (const field of BLOCK_TEXT_FIELDS) {
+      const value = block[field];
+      if (value === undefined || value === null) continue;
+      if (typeof value !== "string") return `Block ${i + 1}: "${field}" must be text.`;
+      if (value.length > LIMITS.blockTextLength) {
+        return `Block ${i + 1}: "${field}" must be at most ${LIMITS.blockTextLength} characters.`;
+      }
+    }
+    if (block.emphasize !== undefined && typeof block.emphasize !== "boolean") {
+      return `Block ${i + 1}: "emphasize" must be true or false.`;
+    }
+  }
+  return null;
+};
+
+export const validateSettings = (settings) => {
+  if (settings === undefined) return null;
+  if (!isPlainObject(settings)) return "Settings must be an object of text or number values.";
+  for (const [key, value] of Object.entries(settings)) {
+    if (!["string", "number"].includes(typeof value)) return "Settings must be an object of text or number values.";
+    if (String(value).length > LIMITS.settingLength) {
+      return `Setting "${key}" must be at most ${LIMITS.settingLength} characters.`;
+    }
+  }
+  return null;
+};
+
+export const validateOutput = (output, name = "The output to check") => {
+  if (typeof output !== "string" || !output.trim()) return `${name} is required.`;
+  if (output.length > LIMITS.outputLength) return `${name} must be at most ${LIMITS.outputLength} characters.`;
+  return null;
+};
+
+// First problem found among several checks, or null
+export const firstError = (...errors) => errors.find(Boolean) || null;
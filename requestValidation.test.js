@@ -0,0 +1,49 @@
+import { describe, test, expect } from "vitest";
+import {
+  LIMITS,
+  firstError,
+  validateBlocks,
+  validateOutput,
+  validatePrompt,
+  validateSettings,
+} from "./requestValidation.js";
+
+describe("request validation", () => {
+  test("prompts must be non-empty text within the length limit", () => {
+    expect(validatePrompt("Why is the sky blue?")).toBeNull();
+    expect(validatePrompt(undefined)).toBe("A prompt is required.");
+    expect(validatePrompt("")).toBe("A prompt is required.");
+    expect(validatePrompt("  \n ")).toBe("A prompt is required.");
+    expect(validatePrompt(42)).toBe("The prompt must be text.");
+    expect(validatePrompt("x".repeat(LIMITS.promptLength + 1))).toMatch(/at most/);
+  });
+
+  test("blocks need ids and text fields", () => {
+    expect(validateBlocks([{ id: 1, type: "Hook", description: "Grab attention", emphasize: true }])).toBeNull();
+    expect(validateBlocks([])).toBe("A non-empty list of blocks is required.");
+    expect(validateBlocks(["Hook"])).toBe("Block 1 must be an object.");
+    expect(validateBlocks([{ type: "Hook" }])).toBe(`Block 1 needs an "id".`);
+    expect(validateBlocks([{ id: "a", description: 5 }])).toBe(`Block 1: "description" must be text.`);
+    expect(validateBlocks([{ id: "a", emphasize: "yes" }])).toBe(`Block 1: "emphasize" must be true or false.`);
+    expect(validateBlocks(Array.from({ length: LIMITS.blocks + 1 }, (_, id) => ({ id })))).toMatch(/At most/);
+  });
+
+  test("settings are a flat object of short values", () => {
+    expect(validateSettings(undefined)).toBeNull();
+    expect(validateSettings({ tone: "Playful", length: 150 })).toBeNull();
+    expect(validateSettings(["Playful"])).toMatch(/must be an object/);
+    expect(validateSettings({ tone: { nested: true } })).toMatch(/must be an object/);
+    expect(validateSettings({ tone: "x".repeat(LIMITS.settingLength + 1) })).toMatch(/Setting "tone"/);
+  });
+
+  test("outputs to check must be non-empty text", () => {
+    expect(validateOutput("Because.")).toBeNull();
+    expect(validateOutput("  ")).toBe("The output to check is required.");
+    expect(validateOutput(undefined, "Explanation 1")).toBe("Explanation 1 is required.");
+  });
+
+  test("firstError picks the first problem", () => {
+    expect(firstError(null, "second", "third")).toBe("second");
+    expect(firstError(null, null)).toBeNull();
+  });
+});
@@ -0,0 +1,137 @@
+// 💾 Content-addressed disk cache for completions
+//
+// Entries are keyed by a SHA-256 of the rendered messages and the model
+// settings that shape the answer, so an identical request gets the identical
+// completion back. Each entry lives in its own JSON file: <CACHE_DIR>/<key>.json
+//   { key, createdAt, completion: { output, model, finishReason } }
+// Entries older than `maxAgeMs` are dropped when read or pruned. After every
+// write the least recently used entries are removed until the directory fits
+// in `maxBytes`; a hit refreshes the file's mtime to mark it as used.
+
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+const parseLimit = (value, name, fallback) => {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) throw new Error(`${name} must be a non-negative number, got "${value}".`);
+  return number;
+};
+
+//   CACHE_DIR            where entries are stored (default ./data/cache)
+//   CACHE_MAX_MB         total size limit (default 50; 0 turns the cache off)
+//   CACHE_MAX_AGE_HOURS  how long an entry stays valid (default 168, one week)
+export function readCacheConfig(env = process.env) {
+  return {
+    dir: env.CACHE_DIR || "./data/cache",
+    maxBytes: parseLimit(env.CACHE_MAX_MB, "CACHE_MAX_MB", 50) * 1024 * 1024,
+    maxAgeMs: parseLimit(env.CACHE_MAX_AGE_HOURS, "CACHE_MAX_AGE_HOURS", 168) * 60 * 60 * 1000,
+  };
+}
+
+// Everything in the LLM config that changes the answer; keys are sorted so
+// the hash does not depend on property order
+export const cacheKey = (messages, modelSettings) => {
+  const settings = Object.fromEntries(
+    Object.entries(modelSettings)
+      .filter(([, value]) => value !== undefined)
+      .sort(([a], [b]) => a.localeCompare(b))
+  );
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ messages, settings }))
+    .digest("hex");
+};
+
+export function createResponseCache({ dir, maxBytes, maxAgeMs }) {
+  const enabled = maxBytes > 0;
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+  const isExpired = (createdAt) => Date.now() - Date.parse(createdAt) > maxAgeMs;
+
+  const removeQuietly = (file) => fs.rm(file, { force: true }).catch(() => {});
+
+  // Drop expired entries, then the least recently used until under the limit
+  let pruning = null;
+  const prune = async () => {
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+
+    const entries = [];
+    for (const name of names.filter(n => n.endsWith(".json"))) {
+      const file = path.join(dir, name);
+      const stat = await fs.stat(file).catch(() => null);
+      if (!stat) continue;
+      if (Date.now() - stat.mtimeMs > maxAgeMs) {
+        await removeQuietly(file);
+        continue;
+      }
+      entries.push({ file, size: stat.size, usedAt: stat.mtimeMs });
+    }
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    entries.sort((a, b) => a.usedAt - b.usedAt);
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      await removeQuietly(entry.file);
+      total -= entry.size;
+    }
+  };
+
+  return {
+    enabled,
+
+    // -> { completion, createdAt } or null on a miss
+    async get(key) {
+      if (!enabled || !KEY_PATTERN.test(key)) return null;
+      const file = fileFor(key);
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(file, "utf8"));
+      } catch (err) {
+        // Missing or unreadable entries are plain misses
+        if (err.code !== "ENOENT") await removeQuietly(file);
+        return null;
+      }
+      if (!entry?.completion || isExpired(entry.createdAt)) {
+        await removeQuietly(file);
+        return null;
+      }
+
+      const now = new Date();
+      await fs.utimes(file, now, now).catch(() => {});
+      return { completion: entry.completion, createdAt: entry.createdAt };
+    },
+
+    // A failed write is logged, never passed on: the completion is still good.
+    // Resolves once the write and any prune it started are done; callers need not wait.
+    async set(key, completion) {
+      if (!enabled || !KEY_PATTERN.test(key) || !completion.output) return;
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        const target = fileFor(key);
+        const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+        await fs.writeFile(temp, JSON.stringify({ key, createdAt: new Date().toISOString(), completion }));
+        await fs.rename(temp, target);
+      } catch (err) {
+        console.error("Cache write error:", err);
+        return;
+      }
+
+      // One prune at a time; writes that land meanwhile are caught by the next
+      if (!pruning) {
+        pruning = prune()
+          .catch(err => console.error("Cache prune error:", err))
+          .finally(() => { pruning = null; });
+      }
+      await pruning;
+    },
+  };
+}
@@ -0,0 +1,88 @@
+import { describe, test, expect, beforeEach, afterEach } from "vitest";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { cacheKey, createResponseCache, readCacheConfig } from "./responseCache.js";
+
+const completion = (output) => ({ output, model: "mock", finishReason: "stop" });
+const keyFor = (text) => cacheKey([{ role: "user", content: text }], { model: "mock" });
+
+let dir;
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "response-cache-"));
+});
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe("cacheKey", () => {
+  test("ignores setting order and undefined settings", () => {
+    const messages = [{ role: "user", content: "Hi" }];
+    expect(cacheKey(messages, { model: "a", temperature: 0.5, maxTokens: undefined }))
+      .toBe(cacheKey(messages, { temperature: 0.5, model: "a" }));
+    expect(cacheKey(messages, { model: "a" })).not.toBe(cacheKey(messages, { model: "b" }));
+  });
+});
+
+describe("createResponseCache", () => {
+  test("returns what was stored, and null for a miss", async () => {
+    const cache = createResponseCache({ dir, maxBytes: 1024 * 1024, maxAgeMs: 60000 });
+    const key = keyFor("one");
+
+    expect(await cache.get(key)).toBeNull();
+    await cache.set(key, completion("Answer"));
+    const hit = await cache.get(key);
+    expect(hit.completion).toEqual(completion("Answer"));
+    expect(Date.parse(hit.createdAt)).not.toBeNaN();
+  });
+
+  test("treats expired and unreadable entries as misses and removes them", async () => {
+    const cache = createResponseCache({ dir, maxBytes: 1024 * 1024, maxAgeMs: 1 });
+    const key = keyFor("old");
+    await cache.set(key, completion("Stale"));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(await cache.get(key)).toBeNull();
+
+    const broken = keyFor("broken");
+    await fs.writeFile(path.join(dir, `${broken}.json`), "{ not json");
+    expect(await cache.get(broken)).toBeNull();
+    expect(await fs.readdir(dir)).toEqual([]);
+  });
+
+  test("drops the least recently used entries past the size limit", async () => {
+    const cache = createResponseCache({ dir, maxBytes: 700, maxAgeMs: 60000 });
+    const [first, second, third] = ["first", "second", "third"].map(keyFor);
+    await cache.set(first, completion("A".repeat(100)));
+    await cache.set(second, completion("B".repeat(100)));
+
+    // `first` was read more recently than `second`
+    const past = new Date(Date.now() - 10000);
+    await fs.utimes(path.join(dir, `${second}.json`), past, past);
+    await cache.set(third, completion("C".repeat(100)));
+
+    expect(await cache.get(second)).toBeNull();
+    expect(await cache.get(first)).not.toBeNull();
+    expect(await cache.get(third)).not.toBeNull();
+  });
+
+  test("does nothing when turned off or for keys that are not hashes", async () => {
+    const off = createResponseCache({ dir, maxBytes: 0, maxAgeMs: 60000 });
+    await off.set(keyFor("x"), completion("X"));
+    expect(off.enabled).toBe(false);
+    expect(await fs.readdir(dir)).toEqual([]);
+
+    const cache = createResponseCache({ dir, maxBytes: 1024, maxAgeMs: 60000 });
+    await cache.set("../escape", completion("X"));
+    expect(await cache.get("../escape")).toBeNull();
+    expect(await fs.readdir(dir)).toEqual([]);
+  });
+});
+
+test("readCacheConfig reads sizes in MB and ages in hours", () => {
+  expect(readCacheConfig({ CACHE_DIR: "/tmp/c", CACHE_MAX_MB: "2", CACHE_MAX_AGE_HOURS: "1" })).toEqual({
+    dir: "/tmp/c",
+    maxBytes: 2 * 1024 * 1024,
+    maxAgeMs: 60 * 60 * 1000,
+  });
+  expect(() => readCacheConfig({ CACHE_MAX_MB: "-1" })).toThrow(/CACHE_MAX_MB/);
+});
@@ -0,0 +1,8 @@
+// ⚖️ Default judging rubric, shared by the server's /api/evaluate and the client's rubric editor
+
+export const DEFAULT_RUBRIC = [
+  { id: "accuracy", label: "Accuracy", description: "Facts and reasoning are correct and nothing important is misleading" },
+  { id: "clarity", label: "Clarity", description: "Easy to follow for the intended reader, with no unexplained jargon" },
+  { id: "engagement", label: "Engagement", description: "Holds attention through examples, analogies or a sense of story" },
+  { id: "structure", label: "Structure fit", description: "Realises the intended structure: every block's purpose shows up, in order" }
+];
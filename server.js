@@ -1,42 +1,416 @@
-import express from "express";
-import cors from "cors";
-import dotenv from "dotenv";
-import OpenAI from "openai";
-
-dotenv.config();
-const app = express();
-app.use(cors());
-app.use(express.json());
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-app.post("/api/explain", async (req, res) => {
-  const { prompt, structure } = req.body;
-
-  const messages = [
-    {
-      role: "system",
-      content: "You are a helpful explainer who breaks ideas into structured, rhetorical parts.",
-    },
-    {
-      role: "user",
-      content: `Topic: ${prompt}\n\nStructure:\n${structure}\n\nExplain this topic using the structure above.`,
-    },
-  ];
-
-  try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages,
-    });
-
-    res.json({ output: completion.choices[0].message.content.trim() });
-  } catch (err) {
-    console.error("GPT error:", err);
-    res.status(500).json({ error: "GPT failed." });
-  }
-});
-
-app.listen(5000, () => console.log("🔥 Server running on http://localhost:5000"));
+import path from "path";
+import express from "express";
+import cors from "cors";
+import dotenv from "dotenv";
+import {
+  createProjectStore,
+  ProjectNotFoundError,
+  RevisionConflictError,
+} from "./projectStore.js";
+import { createLlmProvider, readLlmConfig } from "./llmProviders.js";
+import { parseProvenance, createMarkerFilter } from "./provenance.js";
+import { loadPromptTemplates, UnknownTemplateError } from "./promptTemplates.js";
+import {
+  evaluateExplanations,
+  normalizeRubric,
+  JudgeResponseError,
+  MAX_CANDIDATES,
+} from "./evaluation.js";
+import { checkCoverage } from "./coverage.js";
+import { classifyLlmError } from "./llmErrors.js";
+import {
+  validatePrompt,
+  validateBlocks,
+  validateSettings,
+  validateOutput,
+  firstError,
+} from "./requestValidation.js";
+import { createRateLimiter, readRateLimitConfig } from "./rateLimit.js";
+import { createResponseCache, readCacheConfig, cacheKey } from "./responseCache.js";
+import { attachCollaboration } from "./collaboration.js";
+
+dotenv.config();
+
+// 🌐 Where the server listens and what it serves
+//   PORT          port to listen on (default 5000)
+//   HOST          interface to bind (default: all interfaces)
+//   FRONTEND_DIR  serve the built frontend from here too, e.g. ./build
+//   TRUST_PROXY   Express "trust proxy" setting when running behind a reverse proxy,
+//                 e.g. 1 or loopback, so rate limits see the real client IP
+const PORT = Number(process.env.PORT) || 5000;
+const HOST = process.env.HOST || undefined;
+const FRONTEND_DIR = process.env.FRONTEND_DIR;
+
+const app = express();
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+app.use(cors());
+// Whole workspaces can be large; model requests only carry a prompt and blocks
+app.use("/api/projects", express.json({ limit: "5mb" }));
+app.use("/api", express.json({ limit: "200kb" }));
+
+// 🚦 Model calls cost money, so each client gets a per-minute budget
+app.use(["/api/explain", "/api/evaluate", "/api/coverage"], createRateLimiter(readRateLimitConfig()));
+
+const llmConfig = readLlmConfig();
+const llm = createLlmProvider(llmConfig);
+
+// 💾 Generations are cached by their messages plus the settings that shape the answer.
+// Send `cache: false` in a request body to skip the lookup; the fresh result is still stored.
+const cache = createResponseCache(readCacheConfig());
+const { provider, model, temperature, maxTokens, baseURL } = llmConfig;
+const modelSettings = { provider, model, temperature, maxTokens, baseURL };
+
+const readCache = (body, key) => (body.cache === false ? null : cache.get(key));
+
+// Fields every generation response carries about the cache
+const cacheFields = (hit) => ({ cached: Boolean(hit), ...(hit && { cachedAt: hit.createdAt }) });
+
+// Aborts when the client goes away before the response is finished, so a
+// cancelled request stops the model call behind it
+const abortOnClose = (res) => {
+  const abort = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) abort.abort();
+  });
+  return abort.signal;
+};
+
+const projects = createProjectStore(process.env.PROJECTS_DIR || "./data/projects");
+
+const prompts = loadPromptTemplates(process.env.PROMPTS_DIR || "./prompts");
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// 🚨 Error responses from the model routes: { error, code, retryAfter? }
+const errorBody = (err) => ({
+  error: err.message,
+  code: err.code,
+  ...(err.retryAfter && { retryAfter: err.retryAfter }),
+});
+
+const sendInvalidRequest = (res, error) => res.status(400).json({ error, code: "invalid_request" });
+
+// Every POST and PUT body is a JSON object; anything else (another content type, an array) stops here
+app.use("/api", (req, res, next) => {
+  if (["POST", "PUT"].includes(req.method) && !isPlainObject(req.body)) {
+    return sendInvalidRequest(res, "Send a JSON object with Content-Type: application/json.");
+  }
+  next();
+});
+
+// Provider failures keep their type; anything else is our own fault
+const sendLlmError = (res, err, fallbackMessage) => {
+  if (err instanceof JudgeResponseError) {
+    console.error("Judge response error:", err.message);
+    return res.status(502).json({ error: err.message, code: "unreadable_response" });
+  }
+  console.error("LLM error:", err);
+  const llmError = classifyLlmError(err);
+  if (!llmError) return res.status(500).json({ error: fallbackMessage, code: "internal_error" });
+  if (llmError.retryAfter) res.setHeader("Retry-After", String(llmError.retryAfter));
+  res.status(llmError.status).json(errorBody(llmError));
+};
+
+// 📜 Generation requests carry data, not prompt text:
+//   { template = "explain", templateVersion?, prompt, blocks: [{ id, type, description, fullText?, instructions? }],
+//     settings?: { audience?, tone?, length?, language? }, cache?: false }
+// Returns { messages, template, blockRefs } or { error } for a bad request
+const renderGeneration = (body) => {
+  const { template = "explain", templateVersion, prompt, blocks, settings = {} } = body;
+  const error = firstError(
+    typeof template === "string" ? null : "The template name must be text.",
+    validatePrompt(prompt),
+    validateBlocks(blocks),
+    validateSettings(settings)
+  );
+  if (error) return { error };
+
+  try {
+    return prompts.render(template, templateVersion, { prompt, blocks, settings });
+  } catch (err) {
+    if (err instanceof UnknownTemplateError) return { error: err.message };
+    throw err;
+  }
+};
+
+app.get("/api/prompts", (req, res) => {
+  res.json({ templates: prompts.list() });
+});
+
+app.post("/api/explain", async (req, res) => {
+  const { messages, template, settings, blockRefs, error } = renderGeneration(req.body);
+  if (error) return sendInvalidRequest(res, error);
+
+  const signal = abortOnClose(res);
+  try {
+    const key = cacheKey(messages, modelSettings);
+    const hit = await readCache(req.body, key);
+    const completion = hit ? hit.completion : await llm.complete(messages, { signal });
+    const { output, spans } = parseProvenance(completion.output, blockRefs || []);
+
+    res.json({
+      output,
+      model: completion.model,
+      provider: llm.name,
+      template,
+      settings,
+      ...cacheFields(hit),
+      ...(blockRefs && { provenance: spans }),
+    });
+    // Stored after answering so nobody waits on the write or a prune; failures are only logged
+    if (!hit) cache.set(key, completion);
+  } catch (err) {
+    if (signal.aborted) return;
+    sendLlmError(res, err, "Generation failed.");
+  }
+});
+
+// A cached completion in the same shape as a provider stream
+async function* replayCompletion(completion) {
+  yield { text: completion.output };
+  yield { finishReason: completion.finishReason };
+}
+
+// 📡 Streaming variant of /api/explain over Server-Sent Events
+//   event: delta  data: { "text": "<next chunk>" }
+//   event: done   data: { "output": "<full text>", "model", "finishReason", "template", "settings", "cached", "provenance"? }
+// A cache hit is replayed as a single delta.
+//   event: error  data: { "error": "<message>", "code" }
+app.post("/api/explain/stream", async (req, res) => {
+  const { messages, template, settings, blockRefs, error } = renderGeneration(req.body);
+  if (error) return sendInvalidRequest(res, error);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop paying for tokens nobody will read
+  const abort = new AbortController();
+  res.on("close", () => abort.abort());
+
+  try {
+    const key = cacheKey(messages, modelSettings);
+    const hit = await readCache(req.body, key);
+    const chunks = hit ? replayCompletion(hit.completion) : llm.stream(messages, { signal: abort.signal });
+
+    // Provenance markers are kept out of the streamed text
+    const markers = createMarkerFilter();
+    let finishReason = null;
+    for await (const chunk of chunks) {
+      if (chunk.finishReason !== undefined) finishReason = chunk.finishReason;
+      if (!chunk.text) continue;
+      const text = markers.push(chunk.text);
+      if (text) send("delta", { text });
+    }
+    const rest = markers.flush();
+    if (rest) send("delta", { text: rest });
+    if (abort.signal.aborted) return;
+
+    const model = hit ? hit.completion.model : llm.model;
+
+    const { output, spans } = parseProvenance(markers.raw, blockRefs || []);
+    send("done", {
+      output,
+      model,
+      provider: llm.name,
+      finishReason,
+      template,
+      settings,
+      ...cacheFields(hit),
+      ...(blockRefs && { provenance: spans }),
+    });
+    if (!hit) cache.set(key, { output: markers.raw.trim(), model, finishReason });
+  } catch (err) {
+    if (abort.signal.aborted) return;
+    console.error("LLM stream error:", err);
+    const llmError = classifyLlmError(err);
+    send("error", llmError ? errorBody(llmError) : { error: "Generation failed.", code: "internal_error" });
+  } finally {
+    res.end();
+  }
+});
+
+// ⚖️ Score explanations against a rubric
+//   { prompt, explanations: [{ id, text, blocks? }], rubric?: [{ id?, label, description?, weight? }] }
+// Two explanations also get a head-to-head verdict.
+app.post("/api/evaluate", async (req, res) => {
+  const { prompt, explanations } = req.body;
+  if (
+    !Array.isArray(explanations) ||
+    explanations.length === 0 ||
+    explanations.length > MAX_CANDIDATES ||
+    !explanations.every(isPlainObject)
+  ) {
+    return sendInvalidRequest(res, `Send between 1 and ${MAX_CANDIDATES} explanations with text.`);
+  }
+  const invalid = firstError(
+    validatePrompt(prompt),
+    ...explanations.map((e, i) => validateOutput(e.text, `The text of explanation ${i + 1}`)),
+    // Blocks are optional context here; an empty list is fine
+    ...explanations.map(e => (e.blocks === undefined || e.blocks?.length === 0 ? null : validateBlocks(e.blocks)))
+  );
+  if (invalid) return sendInvalidRequest(res, invalid);
+
+  const { rubric, error } = normalizeRubric(req.body.rubric);
+  if (error) return sendInvalidRequest(res, error);
+
+  const candidates = explanations.map((e, i) => ({ ...e, id: String(e.id ?? i) }));
+
+  const signal = abortOnClose(res);
+  try {
+    const evaluation = await evaluateExplanations(llm, prompts, { prompt, explanations: candidates, rubric }, { signal });
+    res.json({ ...evaluation, provider: llm.name });
+  } catch (err) {
+    if (signal.aborted) return;
+    sendLlmError(res, err, "Evaluation failed.");
+  }
+});
+
+// 🔎 Check which blocks made it into an output
+//   { prompt, blocks: [{ id, type, description, fullText?, instructions? }], output }
+//   -> { coverage: [{ blockId, status: "present" | "weak" | "missing", note }], model, provider, template }
+app.post("/api/coverage", async (req, res) => {
+  const { prompt, blocks, output } = req.body;
+  const error = firstError(validatePrompt(prompt), validateBlocks(blocks), validateOutput(output));
+  if (error) return sendInvalidRequest(res, error);
+
+  const signal = abortOnClose(res);
+  try {
+    const result = await checkCoverage(llm, prompts, { prompt, blocks, output }, { signal });
+    res.json({ ...result, provider: llm.name });
+  } catch (err) {
+    if (signal.aborted) return;
+    sendLlmError(res, err, "Coverage check failed.");
+  }
+});
+
+// 🗂️ Shared project storage
+const sendProjectError = (res, err) => {
+  if (err instanceof ProjectNotFoundError) {
+    return res.status(404).json({ error: err.message });
+  }
+  if (err instanceof RevisionConflictError) {
+    return res.status(409).json({ error: err.message, current: err.current });
+  }
+  console.error("Project store error:", err);
+  res.status(500).json({ error: "Project storage failed." });
+};
+
+const isWorkspace = isPlainObject;
+
+const MAX_PROJECT_NAME_LENGTH = 100;
+
+// A project name is non-empty text; returns an error message or null
+const checkProjectName = (name) => {
+  if (typeof name !== "string" || !name.trim()) return "A project name is required.";
+  if (name.trim().length > MAX_PROJECT_NAME_LENGTH) {
+    return `Project names are limited to ${MAX_PROJECT_NAME_LENGTH} characters.`;
+  }
+  return null;
+};
+
+app.get("/api/projects", async (req, res) => {
+  try {
+    res.json({ projects: await projects.list() });
+  } catch (err) {
+    sendProjectError(res, err);
+  }
+});
+
+app.post("/api/projects", async (req, res) => {
+  const { name, workspace } = req.body;
+  const nameError = checkProjectName(name);
+  if (nameError) return sendInvalidRequest(res, nameError);
+  if (!isWorkspace(workspace)) return sendInvalidRequest(res, "A workspace object is required.");
+
+  try {
+    res.status(201).json(await projects.create({ name: name.trim(), workspace }));
+  } catch (err) {
+    sendProjectError(res, err);
+  }
+});
+
+app.get("/api/projects/:id", async (req, res) => {
+  try {
+    res.json(await projects.get(req.params.id));
+  } catch (err) {
+    sendProjectError(res, err);
+  }
+});
+
+app.put("/api/projects/:id", async (req, res) => {
+  const { name, workspace, revision } = req.body;
+  if (!Number.isInteger(revision)) {
+    return sendInvalidRequest(res, "The revision you are updating from is required.");
+  }
+  const nameError = name !== undefined && checkProjectName(name);
+  if (nameError) return sendInvalidRequest(res, nameError);
+  if (workspace !== undefined && !isWorkspace(workspace)) {
+    return sendInvalidRequest(res, "The workspace must be an object.");
+  }
+
+  try {
+    res.json(await projects.update(req.params.id, { name: name?.trim(), workspace, revision }));
+  } catch (err) {
+    sendProjectError(res, err);
+  }
+});
+
+app.delete("/api/projects/:id", async (req, res) => {
+  if (req.query.revision === undefined) {
+    return sendInvalidRequest(res, "The revision you are deleting is required.");
+  }
+  const revision = Number(req.query.revision);
+  if (!Number.isInteger(revision)) return sendInvalidRequest(res, "The revision must be a whole number.");
+
+  try {
+    await projects.remove(req.params.id, revision);
+    res.status(204).end();
+  } catch (err) {
+    sendProjectError(res, err);
+  }
+});
+
+// Bodies that are too large or not JSON never reach the routes
+app.use((err, req, res, next) => {
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: "The request body is too large.", code: "payload_too_large" });
+  }
+  if (err.type === "entity.parse.failed") {
+    return sendInvalidRequest(res, "The request body is not valid JSON.");
+  }
+  next(err);
+});
+
+// 🖥️ Single-process mode: the built app, with client-side routes falling back to index.html
+if (FRONTEND_DIR) {
+  const root = path.resolve(FRONTEND_DIR);
+  app.use(express.static(root));
+  app.get(/^(?!\/api\/).*/, (req, res) => res.sendFile(path.join(root, "index.html")));
+}
+
+// Anything else that went wrong still answers in the { error, code } shape
+app.use((err, req, res, next) => {
+  console.error("Unhandled error:", err);
+  if (res.headersSent) return next(err);
+  res.status(500).json({ error: "Something went wrong on the server.", code: "internal_error" });
+});
+
+const server = app.listen(PORT, HOST, () =>
+  console.log(
+    `🔥 Server running on http://${HOST || "localhost"}:${PORT} (${llm.name}: ${llm.model})` +
+      (FRONTEND_DIR ? `, serving the app from ${FRONTEND_DIR}` : "")
+  )
+);
+
+// 🤝 Live collaboration rooms share the HTTP server
+attachCollaboration(server);
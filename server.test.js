@@ -0,0 +1,227 @@
+// End-to-end checks of the HTTP API against the mock provider.
+// Each suite starts its own server.js (see testServer.js).
+
+import { describe, test, expect, beforeAll, afterAll, vi } from "vitest";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { startServer } from "./testServer.js";
+
+const blocks = [
+  { id: "b1", type: "Hook", description: "Grab attention" },
+  { id: "b2", type: "Example", description: "A concrete case" },
+];
+
+const send = (server, method, route, body, headers = { "Content-Type": "application/json" }) =>
+  fetch(`${server.url}${route}`, {
+    method,
+    headers,
+    body: body === undefined || typeof body === "string" ? body : JSON.stringify(body),
+  });
+
+const post = (server, route, body) => send(server, "POST", route, body);
+
+// [{ event, data }] from a finished server-sent event stream
+const readEvents = (text) =>
+  text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((message) => {
+      const [eventLine, dataLine] = message.split("\n");
+      return { event: eventLine.slice("event: ".length), data: JSON.parse(dataLine.slice("data: ".length)) };
+    });
+
+describe("model routes", () => {
+  let server;
+  beforeAll(async () => {
+    server = await startServer();
+  }, 20000);
+  afterAll(() => server?.stop());
+
+  test("/api/explain answers with the mock output and caches it", async () => {
+    const request = { prompt: "Why is the sky blue?", blocks };
+    const response = await post(server, "/api/explain", request);
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data).toMatchObject({ provider: "mock", model: "mock", template: { name: "explain" }, cached: false });
+    expect(data.output).toMatch(/^Mock explanation [0-9a-f]{8}: /);
+
+    // The cache is written after the response, so give it a moment
+    await vi.waitFor(async () => {
+      const again = await (await post(server, "/api/explain", request)).json();
+      expect(again).toMatchObject({ output: data.output, cached: true });
+    });
+
+    const skipped = await (await post(server, "/api/explain", { ...request, cache: false })).json();
+    expect(skipped.cached).toBe(false);
+  });
+
+  test("/api/explain/stream sends deltas that add up to the final output", async () => {
+    const response = await post(server, "/api/explain/stream", { prompt: "What is rain?", blocks, cache: false });
+    expect(response.status).toBe(200);
+    expect(response.headers.get("content-type")).toMatch(/text\/event-stream/);
+
+    const events = readEvents(await response.text());
+    const done = events.at(-1);
+    expect(done.event).toBe("done");
+    expect(done.data).toMatchObject({ provider: "mock", finishReason: "stop", cached: false });
+    const streamed = events.filter(e => e.event === "delta").map(e => e.data.text).join("");
+    expect(streamed.trim()).toBe(done.data.output);
+  });
+
+  test("the blend template merges blocks through /api/explain", async () => {
+    const response = await post(server, "/api/explain", { template: "blend", prompt: "Why is the sky blue?", blocks });
+    expect(response.status).toBe(200);
+    const data = await response.json();
+    expect(data.template.name).toBe("blend");
+    expect(data.output).toMatch(/^Mock explanation/);
+  });
+
+  test("/api/evaluate and /api/coverage read the mock's JSON answers", async () => {
+    const evaluation = await post(server, "/api/evaluate", {
+      prompt: "Why is the sky blue?",
+      explanations: [{ id: "x", text: "One", blocks }, { id: "y", text: "Two", blocks: [] }],
+    });
+    expect(evaluation.status).toBe(200);
+    const judged = await evaluation.json();
+    expect(judged.results.map(r => r.id)).toEqual(["x", "y"]);
+    expect(["x", "y", "tie"]).toContain(judged.verdict.winner);
+
+    const coverage = await post(server, "/api/coverage", { prompt: "Why is the sky blue?", blocks, output: "Because." });
+    expect(coverage.status).toBe(200);
+    const checked = await coverage.json();
+    expect(checked.coverage.map(c => c.blockId)).toEqual(["b1", "b2"]);
+  });
+
+  test("bad requests get 400 invalid_request", async () => {
+    const cases = [
+      send(server, "POST", "/api/explain", "{ not json"),
+      send(server, "POST", "/api/explain", "prompt=hi", { "Content-Type": "text/plain" }),
+      post(server, "/api/explain", [1, 2]),
+      post(server, "/api/explain", { prompt: "Hi" }),
+      post(server, "/api/explain", { prompt: "Hi", blocks, template: "no-such-template" }),
+      post(server, "/api/coverage", { prompt: "Hi", blocks }),
+    ];
+    for (const response of await Promise.all(cases)) {
+      expect(response.status).toBe(400);
+      expect(await response.json()).toMatchObject({ code: "invalid_request" });
+    }
+  });
+
+  test("requests without a prompt or with an empty one get 400", async () => {
+    const explanations = [{ id: "x", text: "One" }];
+    const cases = [
+      post(server, "/api/explain", { blocks }),
+      post(server, "/api/explain", { prompt: "", blocks }),
+      post(server, "/api/explain/stream", { prompt: "   ", blocks }),
+      post(server, "/api/evaluate", { explanations }),
+      post(server, "/api/evaluate", { prompt: "", explanations }),
+      post(server, "/api/coverage", { blocks, output: "Because." }),
+      post(server, "/api/coverage", { prompt: "", blocks, output: "Because." }),
+    ];
+    for (const response of await Promise.all(cases)) {
+      expect(response.status).toBe(400);
+      expect(await response.json()).toMatchObject({ code: "invalid_request", error: "A prompt is required." });
+    }
+  });
+
+  test("oversized bodies get 413 payload_too_large", async () => {
+    const response = await post(server, "/api/explain", { prompt: "Hi", blocks, padding: "x".repeat(300 * 1024) });
+    expect(response.status).toBe(413);
+    expect(await response.json()).toMatchObject({ code: "payload_too_large" });
+  });
+});
+
+describe("rate limiting", () => {
+  let server;
+  beforeAll(async () => {
+    server = await startServer({ RATE_LIMIT_PER_MINUTE: "2" });
+  }, 20000);
+  afterAll(() => server?.stop());
+
+  test("answers 429 rate_limited with Retry-After once the budget is spent", async () => {
+    const request = { prompt: "Hi", blocks };
+    expect((await post(server, "/api/explain", request)).status).toBe(200);
+    expect((await post(server, "/api/explain", request)).status).toBe(200);
+
+    const limited = await post(server, "/api/explain", request);
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get("retry-after"))).toBeGreaterThan(0);
+    expect(await limited.json()).toMatchObject({ code: "rate_limited" });
+
+    // Project storage is not limited
+    expect((await send(server, "GET", "/api/projects")).status).toBe(200);
+  });
+});
+
+describe("serving the built app", () => {
+  let server;
+  let buildDir;
+  beforeAll(async () => {
+    buildDir = await fs.mkdtemp(path.join(os.tmpdir(), "server-test-build-"));
+    await fs.writeFile(path.join(buildDir, "index.html"), "<!doctype html><title>App</title>");
+    await fs.writeFile(path.join(buildDir, "app.js"), "console.log('app');");
+    server = await startServer({ FRONTEND_DIR: buildDir });
+  }, 20000);
+  afterAll(async () => {
+    await server?.stop();
+    await fs.rm(buildDir, { recursive: true, force: true });
+  });
+
+  test("serves files and falls back to index.html outside /api", async () => {
+    expect(await (await send(server, "GET", "/app.js")).text()).toBe("console.log('app');");
+    expect(await (await send(server, "GET", "/projects/42")).text()).toMatch(/<title>App<\/title>/);
+    expect((await send(server, "GET", "/api/nothing-here")).status).toBe(404);
+    expect((await send(server, "GET", "/api/projects")).status).toBe(200);
+  });
+});
+
+describe("/api/projects", () => {
+  let server;
+  beforeAll(async () => {
+    server = await startServer();
+  }, 20000);
+  afterAll(() => server?.stop());
+
+  test("creates, updates and deletes with revision checks", async () => {
+    const created = await post(server, "/api/projects", { name: "  Gravity  ", workspace: { prompt: "Why?" } });
+    expect(created.status).toBe(201);
+    const project = await created.json();
+    expect(project).toMatchObject({ name: "Gravity", revision: 1 });
+    const route = `/api/projects/${project.id}`;
+
+    const listed = await (await send(server, "GET", "/api/projects")).json();
+    expect(listed.projects.map(p => p.id)).toEqual([project.id]);
+
+    const updated = await send(server, "PUT", route, { workspace: { prompt: "How?" }, revision: 1 });
+    expect(updated.status).toBe(200);
+    expect(await updated.json()).toMatchObject({ revision: 2, workspace: { prompt: "How?" } });
+
+    const stale = await send(server, "PUT", route, { name: "Renamed", revision: 1 });
+    expect(stale.status).toBe(409);
+    expect(await stale.json()).toMatchObject({ current: { revision: 2, name: "Gravity" } });
+
+    expect((await send(server, "DELETE", `${route}?revision=1`)).status).toBe(409);
+    expect((await send(server, "DELETE", `${route}?revision=2`)).status).toBe(204);
+    expect((await send(server, "GET", route)).status).toBe(404);
+  });
+
+  test("rejects missing names, workspaces and revisions", async () => {
+    const cases = [
+      post(server, "/api/projects", { workspace: {} }),
+      post(server, "/api/projects", { name: "   ", workspace: {} }),
+      post(server, "/api/projects", { name: "x".repeat(101), workspace: {} }),
+      post(server, "/api/projects", { name: "Gravity" }),
+      post(server, "/api/projects", { name: "Gravity", workspace: [] }),
+      post(server, "/api/projects", [{ name: "Gravity", workspace: {} }]),
+      send(server, "PUT", "/api/projects/some-id", { name: "Gravity" }),
+      send(server, "PUT", "/api/projects/some-id", { name: "", revision: 1 }),
+      send(server, "DELETE", "/api/projects/some-id"),
+      send(server, "DELETE", "/api/projects/some-id?revision=two"),
+    ];
+    for (const response of await Promise.all(cases)) {
+      expect(response.status).toBe(400);
+      expect(await response.json()).toMatchObject({ code: "invalid_request" });
+    }
+  });
+});
@@ -0,0 +1,89 @@
+// 🧰 Block template helpers and shareable template packs
+//
+// A template is { id, type, icon, description, category, instructions? }.
+// Pack files look like:
+//   { format: "explanation-playground-templates", version: 1, exportedAt, templates: [...] }
+
+export const PACK_FORMAT = "explanation-playground-templates";
+const PACK_VERSION = 1;
+
+export const DEFAULT_CATEGORY = "Custom";
+
+export const newTemplateId = () => `template-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Create a block for a chain from a template; default instructions carry over
+export const instantiateTemplate = (template) => ({
+  id: `${template.type.replace(/\s+/g, '-')}-${Date.now()}`,
+  type: template.type,
+  icon: template.icon,
+  description: template.description,
+  ...(template.instructions && { instructions: template.instructions }),
+  ...(template.id && { templateId: template.id })
+});
+
+// Group templates by category, keeping first-seen category order
+export const groupByCategory = (templates) => {
+  const groups = [];
+  templates.forEach(template => {
+    const category = template.category || DEFAULT_CATEGORY;
+    let group = groups.find(g => g.category === category);
+    if (!group) {
+      group = { category, templates: [] };
+      groups.push(group);
+    }
+    group.templates.push(template);
+  });
+  return groups;
+};
+
+export const serializeTemplatePack = (templates) => JSON.stringify({
+  format: PACK_FORMAT,
+  version: PACK_VERSION,
+  exportedAt: new Date().toISOString(),
+  templates: templates.map(({ id, ...template }) => template)
+}, null, 2);
+
+// Parse pack text into { templates, errors }; templates get fresh ids
+export const parseTemplatePack = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { templates: [], errors: [`The file is not valid JSON (${e.message}).`] };
+  }
+
+  if (!data || data.format !== PACK_FORMAT || !Array.isArray(data.templates)) {
+    return { templates: [], errors: ["This is not a block template pack."] };
+  }
+  if (data.version > PACK_VERSION) {
+    return { templates: [], errors: [`The pack was written by a newer version (pack version ${data.version}).`] };
+  }
+
+  const errors = [];
+  data.templates.forEach((template, i) => {
+    if (!template || typeof template.type !== "string" || !template.type.trim()) {
+      errors.push(`templates[${i}] is missing a "type".`);
+    } else if (typeof template.description !== "string") {
+      errors.push(`templates[${i}] ("${template.type}") is missing a "description".`);
+    }
+  });
+  if (errors.length) return { templates: [], errors };
+
+  const templates = data.templates.map(template => ({
+    id: newTemplateId(),
+    type: template.type.trim(),
+    icon: template.icon || "🔧",
+    description: template.description,
+    category: template.category || DEFAULT_CATEGORY,
+    ...(template.instructions && { instructions: template.instructions })
+  }));
+  return { templates, errors };
+};
+
+// Add imported templates, skipping ones that already exist with the same type and description
+export const mergeTemplates = (existing, incoming) => {
+  const key = (t) => `${t.type}\u0000${t.description}`;
+  const seen = new Set(existing.map(key));
+  const added = incoming.filter(t => !seen.has(key(t)));
+  return { templates: [...existing, ...added], added: added.length, skipped: incoming.length - added.length };
+};
@@ -0,0 +1,54 @@
+import { describe, test, expect } from "vitest";
+import { mergeTemplates, parseTemplatePack, serializeTemplatePack } from "./templatePacks";
+
+const template = (type, description, extra = {}) => ({ id: `t-${type}`, type, icon: "🔧", description, category: "Custom", ...extra });
+
+describe("template packs", () => {
+  test("installing an exported pack gives the same templates with fresh ids", () => {
+    const templates = [template("Story", "Tell one", { category: "Narrative", instructions: "Keep it short" }), template("Quiz", "Ask one")];
+    const { templates: installed, errors } = parseTemplatePack(serializeTemplatePack(templates));
+
+    expect(errors).toEqual([]);
+    expect(installed.map(({ id, ...rest }) => rest)).toEqual(templates.map(({ id, ...rest }) => rest));
+    installed.forEach((t, i) => expect(t.id).not.toBe(templates[i].id));
+  });
+
+  test("fills in the icon and category a pack leaves out", () => {
+    const pack = JSON.stringify({
+      format: "explanation-playground-templates",
+      version: 1,
+      templates: [{ type: "  Story ", description: "Tell one" }],
+    });
+    expect(parseTemplatePack(pack).templates).toEqual([
+      { id: expect.stringMatching(/^template-/), type: "Story", icon: "🔧", description: "Tell one", category: "Custom" },
+    ]);
+  });
+
+  test("refuses broken or foreign packs without installing anything", () => {
+    expect(parseTemplatePack("{ nope").errors[0]).toMatch(/not valid JSON/);
+    expect(parseTemplatePack('{"templates": []}').errors).toEqual(["This is not a block template pack."]);
+    expect(parseTemplatePack(JSON.stringify({ format: "explanation-playground-templates", version: 2, templates: [] })).errors[0])
+      .toMatch(/newer version/);
+
+    const partial = parseTemplatePack(JSON.stringify({
+      format: "explanation-playground-templates",
+      version: 1,
+      templates: [{ type: "Story", description: "Tell one" }, { description: "No type" }, { type: "Quiz" }],
+    }));
+    expect(partial).toEqual({
+      templates: [],
+      errors: [`templates[1] is missing a "type".`, `templates[2] ("Quiz") is missing a "description".`],
+    });
+  });
+
+  test("merging skips templates that already exist with the same type and description", () => {
+    const existing = [template("Story", "Tell one")];
+    const incoming = [template("Story", "Tell one", { id: "new-1" }), template("Story", "Tell two", { id: "new-2" })];
+
+    expect(mergeTemplates(existing, incoming)).toEqual({
+      templates: [existing[0], incoming[1]],
+      added: 1,
+      skipped: 1,
+    });
+  });
+});
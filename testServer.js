@@ -0,0 +1,58 @@
+// Starts server.js against the mock provider for end-to-end tests.
+// Each call gets a free port and throwaway data directories.
+
+import { spawn } from "child_process";
+import { once } from "events";
+import { promises as fs } from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+export const startServer = async (env = {}) => {
+  const port = await freePort();
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "server-test-"));
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: fileURLToPath(new URL(".", import.meta.url)),
+    env: {
+      ...process.env,
+      LLM_PROVIDER: "mock",
+      HOST: "127.0.0.1",
+      PORT: String(port),
+      PROJECTS_DIR: path.join(dataDir, "projects"),
+      CACHE_DIR: path.join(dataDir, "cache"),
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let log = "";
+  child.stderr.on("data", (chunk) => {
+    log += chunk;
+  });
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("Server running")) resolve();
+    });
+    child.on("exit", (code) => reject(new Error(`server.js exited with ${code}:\n${log}`)));
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    async stop() {
+      child.kill();
+      await once(child, "exit");
+      await fs.rm(dataDir, { recursive: true, force: true });
+    },
+  };
+};
@@ -0,0 +1,98 @@
+// 🔍 Word- and sentence-level text diff (longest common subsequence)
+
+// Past this many token pairs the LCS table gets too large to build in the browser
+const MAX_CELLS = 4000000;
+
+const tokenize = (text, granularity) => {
+  if (!text) return [];
+  return granularity === "sentence"
+    ? text.match(/[^.!?]+(?:[.!?]+|$)\s*/g) || []
+    : text.match(/\s+|[^\s]+/g) || [];
+};
+
+const isWord = (token) => /\S/.test(token);
+
+// Merge neighbouring parts of the same type
+const pushPart = (parts, type, text) => {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) last.text += text;
+  else parts.push({ type, text });
+};
+
+// Returns [{ type: "equal" | "insert" | "delete", text }] turning `before` into `after`
+export const diffText = (before, after, granularity = "word") => {
+  const a = tokenize(before, granularity);
+  const b = tokenize(after, granularity);
+
+  // Trim the common prefix and suffix so the table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const parts = [];
+  if (start > 0) pushPart(parts, "equal", a.slice(0, start).join(""));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  if (rows * cols > MAX_CELLS) {
+    // Too big to align; show the middle as a wholesale replacement
+    if (midA.length) pushPart(parts, "delete", midA.join(""));
+    if (midB.length) pushPart(parts, "insert", midB.join(""));
+  } else {
+    // lcs[i][j] = length of the LCS of midA[i..] and midB[j..]
+    const lcs = new Uint32Array(rows * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        pushPart(parts, "equal", midA[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+        pushPart(parts, "delete", midA[i++]);
+      } else {
+        pushPart(parts, "insert", midB[j++]);
+      }
+    }
+    while (i < midA.length) pushPart(parts, "delete", midA[i++]);
+    while (j < midB.length) pushPart(parts, "insert", midB[j++]);
+  }
+
+  if (endA < a.length) pushPart(parts, "equal", a.slice(endA).join(""));
+  return parts;
+};
+
+const countWords = (text) => tokenize(text, "word").filter(isWord).length;
+
+// Summary numbers for a diff: how much changed and how the length moved
+export const summarizeDiff = (parts, before, after) => {
+  const inserted = parts.filter(p => p.type === "insert").reduce((n, p) => n + countWords(p.text), 0);
+  const deleted = parts.filter(p => p.type === "delete").reduce((n, p) => n + countWords(p.text), 0);
+  const beforeWords = countWords(before);
+  const afterWords = countWords(after);
+  const total = beforeWords + afterWords;
+
+  return {
+    insertedWords: inserted,
+    deletedWords: deleted,
+    changePercent: total === 0 ? 0 : Math.round(((inserted + deleted) / total) * 100),
+    wordDelta: afterWords - beforeWords,
+    charDelta: (after || "").length - (before || "").length
+  };
+};
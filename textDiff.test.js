@@ -0,0 +1,41 @@
+import { describe, test, expect } from "vitest";
+import { diffText, summarizeDiff } from "./textDiff";
+
+describe("diffText", () => {
+  test("marks changed words and keeps the rest equal", () => {
+    expect(diffText("the quick brown fox", "the slow brown fox")).toEqual([
+      { type: "equal", text: "the " },
+      { type: "delete", text: "quick" },
+      { type: "insert", text: "slow" },
+      { type: "equal", text: " brown fox" },
+    ]);
+  });
+
+  test("rebuilds both texts from its parts", () => {
+    const before = "One. Two is here. Three.";
+    const after = "One. Two was here. Four. Three.";
+    ["word", "sentence"].forEach(granularity => {
+      const parts = diffText(before, after, granularity);
+      expect(parts.filter(p => p.type !== "insert").map(p => p.text).join("")).toBe(before);
+      expect(parts.filter(p => p.type !== "delete").map(p => p.text).join("")).toBe(after);
+    });
+  });
+
+  test("handles empty texts", () => {
+    expect(diffText("", "")).toEqual([]);
+    expect(diffText("", "new")).toEqual([{ type: "insert", text: "new" }]);
+    expect(diffText("old", "")).toEqual([{ type: "delete", text: "old" }]);
+  });
+});
+
+test("summarizeDiff counts changed words and length changes", () => {
+  const before = "the quick brown fox";
+  const after = "the slow brown fox jumps";
+  expect(summarizeDiff(diffText(before, after), before, after)).toEqual({
+    insertedWords: 2,
+    deletedWords: 1,
+    changePercent: 33,
+    wordDelta: 1,
+    charDelta: 5,
+  });
+});
@@ -0,0 +1,238 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { socketUrl } from './apiConfig';
+
+// 🤝 Live collaboration through the server's /api/collab rooms
+//
+// The shared parts of the workspace are compared with what the room last
+// agreed on after every render; changed units are sent as updates, and
+// updates from others are handed to `applyRemote(path, value)`. The server
+// orders all updates, so everyone ends with the last write to each unit.
+// While one of our own updates to a unit is still on its way, earlier
+// updates from others to that unit are skipped: ours will land after them.
+// Joining a room someone is already in replaces our shared units with the room's.
+// After a dropped connection, units we changed while offline (or whose updates
+// never got an answer) are kept and sent again, so they win over the room's copy.
+// Conflicts are per unit: the main chain is one unit, so two people editing it
+// at once end with whichever chain reached the server last.
+
+const WHOLE_UNITS = ["explanationChain", "customBlocks"];
+const KEYED_UNITS = ["parallelTrains", "trainOutputs", "trainProvenance"];
+const MAX_RECONNECT_DELAY_MS = 10 * 1000;
+
+const keyOf = (path) => JSON.stringify(path);
+
+// { key: { path, value } } for every shared unit of a workspace
+const flattenUnits = (doc) => {
+  const units = {};
+  WHOLE_UNITS.forEach(unit => {
+    units[keyOf([unit])] = { path: [unit], value: doc[unit] };
+  });
+  KEYED_UNITS.forEach(unit => {
+    Object.entries(doc[unit] || {}).forEach(([id, value]) => {
+      units[keyOf([unit, id])] = { path: [unit, id], value };
+    });
+  });
+  return units;
+};
+
+export default function useCollaboration(doc, applyRemote, presence) {
+  const [status, setStatus] = useState("offline"); // offline | connecting | connected | reconnecting
+  const [room, setRoom] = useState(null);
+  const [peers, setPeers] = useState([]);
+  const [clientId, setClientId] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const socketRef = useRef(null);
+  const sessionRef = useRef(null); // { room, name, welcomed } while we want to be in a room
+  const syncedRef = useRef(new Map()); // unit key -> JSON the room last agreed on
+  const pendingRef = useRef(new Map()); // unit key -> our updates not yet echoed back
+  const clientIdRef = useRef(null);
+  const reconnectRef = useRef({ timer: null, attempts: 0 });
+  const latest = useRef({ doc, applyRemote });
+  latest.current = { doc, applyRemote };
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  }, []);
+
+  // Unit keys we changed since the room last agreed on them, including updates still unanswered
+  const unsyncedKeys = () => {
+    const units = flattenUnits(latest.current.doc);
+    const synced = syncedRef.current;
+    const keys = new Set(pendingRef.current.keys());
+    Object.entries(units).forEach(([key, { value }]) => {
+      if (synced.get(key) !== JSON.stringify(value)) keys.add(key);
+    });
+    synced.forEach((_, key) => {
+      if (!units[key]) keys.add(key);
+    });
+    return keys;
+  };
+
+  const handleWelcome = (message) => {
+    const session = sessionRef.current;
+    // A room seeded from our snapshot already has everything; otherwise keep what we changed offline
+    const kept = session.welcomed && !message.seeded ? unsyncedKeys() : new Set();
+    session.welcomed = true;
+
+    clientIdRef.current = message.clientId;
+    setClientId(message.clientId);
+    pendingRef.current = new Map();
+
+    const roomUnits = flattenUnits(message.state);
+    syncedRef.current = new Map(Object.entries(roomUnits).map(([key, unit]) => [key, JSON.stringify(unit.value)]));
+
+    if (!message.seeded) {
+      Object.entries(roomUnits).forEach(([key, { path, value }]) => {
+        if (!kept.has(key)) latest.current.applyRemote(path, value);
+      });
+      // Keyed units the room does not have are removed here too
+      Object.entries(flattenUnits(latest.current.doc)).forEach(([key, { path }]) => {
+        if (!roomUnits[key] && !kept.has(key)) latest.current.applyRemote(path, null);
+      });
+    }
+    // The kept units now differ from the room, so the next sync sends them
+    setNotice(kept.size > 0
+      ? `Reconnected. ${kept.size} change${kept.size === 1 ? "" : "s"} made while offline ${kept.size === 1 ? "was" : "were"} sent to the session.`
+      : null);
+    reconnectRef.current.attempts = 0;
+    setError(null);
+    setStatus("connected");
+  };
+
+  const handleUpdate = ({ path, value, clientId: author }) => {
+    const key = keyOf(path);
+    if (author === clientIdRef.current) {
+      const left = (pendingRef.current.get(key) || 1) - 1;
+      if (left > 0) pendingRef.current.set(key, left);
+      else pendingRef.current.delete(key);
+      return;
+    }
+    if (pendingRef.current.has(key)) return;
+
+    if (value === null) syncedRef.current.delete(key);
+    else syncedRef.current.set(key, JSON.stringify(value));
+    latest.current.applyRemote(path, value);
+  };
+
+  const connect = () => {
+    const session = sessionRef.current;
+    if (!session) return;
+
+    const socket = new WebSocket(socketUrl("/api/collab"));
+    socketRef.current = socket;
+    let welcomed = false;
+
+    socket.onopen = () => {
+      socket.send(JSON.stringify({ type: "join", room: session.room, name: session.name, snapshot: latest.current.doc }));
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (e) {
+        console.error("❌ Bad collaboration message:", event.data, e);
+        return;
+      }
+      if (message.type === "welcome") {
+        welcomed = true;
+        handleWelcome(message);
+      } else if (message.type === "update") {
+        handleUpdate(message);
+      } else if (message.type === "presence") {
+        setPeers(message.peers);
+      } else if (message.type === "error") {
+        // A refused join (bad code, full room) would only be refused again, so stop instead of waiting
+        if (!welcomed) leave();
+        setError(message.error);
+      }
+    };
+
+    // Keep trying with growing pauses until we leave on purpose
+    socket.onclose = () => {
+      if (socketRef.current !== socket) return;
+      socketRef.current = null;
+      setPeers([]);
+      if (!sessionRef.current) return;
+
+      const reconnect = reconnectRef.current;
+      const delay = Math.min(MAX_RECONNECT_DELAY_MS, 1000 * 2 ** reconnect.attempts);
+      reconnect.attempts += 1;
+      setStatus("reconnecting");
+      reconnect.timer = setTimeout(connect, delay);
+    };
+  };
+
+  const join = (roomCode, name) => {
+    leave();
+    sessionRef.current = { room: roomCode, name, welcomed: false };
+    setRoom(roomCode);
+    setError(null);
+    setNotice(null);
+    setStatus("connecting");
+    connect();
+  };
+
+  const leave = () => {
+    sessionRef.current = null;
+    clearTimeout(reconnectRef.current.timer);
+    reconnectRef.current.attempts = 0;
+    const socket = socketRef.current;
+    socketRef.current = null;
+    if (socket) {
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: "leave" }));
+      socket.close();
+    }
+    clientIdRef.current = null;
+    setClientId(null);
+    setRoom(null);
+    setPeers([]);
+    setNotice(null);
+    setStatus("offline");
+  };
+
+  // 📤 Send every shared unit that changed since the room last agreed on it
+  const { explanationChain, customBlocks, parallelTrains, trainOutputs, trainProvenance } = doc;
+  useEffect(() => {
+    if (status !== "connected") return;
+    const units = flattenUnits({ explanationChain, customBlocks, parallelTrains, trainOutputs, trainProvenance });
+    const synced = syncedRef.current;
+    const pending = pendingRef.current;
+    const sendUpdate = (key, path, value) => {
+      send({ type: "update", path, value });
+      pending.set(key, (pending.get(key) || 0) + 1);
+    };
+
+    Object.entries(units).forEach(([key, { path, value }]) => {
+      const json = JSON.stringify(value);
+      if (synced.get(key) === json) return;
+      synced.set(key, json);
+      sendUpdate(key, path, value);
+    });
+    [...synced.keys()].forEach(key => {
+      if (units[key]) return;
+      synced.delete(key);
+      sendUpdate(key, JSON.parse(key), null);
+    });
+  }, [status, send, explanationChain, customBlocks, parallelTrains, trainOutputs, trainProvenance]);
+
+  // 👀 Tell the room what we are looking at
+  const { activeTrain, blockId } = presence;
+  useEffect(() => {
+    if (status === "connected") send({ type: "presence", activeTrain, blockId });
+  }, [status, send, activeTrain, blockId]);
+
+  // Close the socket with the page
+  useEffect(() => () => {
+    sessionRef.current = null;
+    clearTimeout(reconnectRef.current.timer);
+    if (socketRef.current) socketRef.current.close();
+  }, []);
+
+  const others = peers.filter(peer => peer.clientId !== clientId);
+
+  return { status, room, peers, others, clientId, error, notice, join, leave };
+}
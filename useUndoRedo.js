@@ -0,0 +1,76 @@
+import { useState, useRef, useEffect } from "react";
+
+// ↩️ Snapshot-based undo/redo
+//
+// Call `record(label)` right before applying an edit: it stores the current
+// snapshot (from `getSnapshot`) so `undo` can hand it back to `applySnapshot`.
+// Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes, except while typing
+// in a text field where the browser's own undo applies.
+
+const isTextInput = (element) =>
+  element && (element.tagName === "INPUT" || element.tagName === "TEXTAREA" || element.isContentEditable);
+
+export default function useUndoRedo(getSnapshot, applySnapshot, limit = 50) {
+  const [past, setPast] = useState([]); // [{ label, snapshot, at }], oldest first
+  const [future, setFuture] = useState([]); // [{ label, snapshot, at }], next redo last
+
+  const record = (label) => {
+    const entry = { label, snapshot: getSnapshot(), at: Date.now() };
+    setPast(prev => [...prev.slice(-(limit - 1)), entry]);
+    setFuture([]);
+  };
+
+  const undo = () => {
+    if (past.length === 0) return;
+    const entry = past[past.length - 1];
+    setPast(prev => prev.slice(0, -1));
+    setFuture(prev => [...prev, { ...entry, snapshot: getSnapshot() }]);
+    applySnapshot(entry.snapshot);
+  };
+
+  const redo = () => {
+    if (future.length === 0) return;
+    const entry = future[future.length - 1];
+    setFuture(prev => prev.slice(0, -1));
+    setPast(prev => [...prev, { ...entry, snapshot: getSnapshot() }]);
+    applySnapshot(entry.snapshot);
+  };
+
+  const reset = () => {
+    setPast([]);
+    setFuture([]);
+  };
+
+  // Keep the keyboard handler pointed at the latest closures
+  const handlersRef = useRef({ undo, redo });
+  handlersRef.current = { undo, redo };
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTextInput(document.activeElement)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        handlersRef.current.undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        handlersRef.current.redo();
+      }
+    };
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  return {
+    record,
+    undo,
+    redo,
+    reset,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    past,
+    future
+  };
+}
@@ -0,0 +1,8 @@
+import { configDefaults, defineConfig } from "vitest/config";
+
+export default defineConfig({
+  test: {
+    // App.test.js is the Create React App smoke test; it needs the browser test setup
+    exclude: [...configDefaults.exclude, "App.test.js"],
+  },
+});
@@ -0,0 +1,256 @@
+// 📄 JSON export/import for a complete workspace
+//
+// Exported files look like:
+//   { format: "explanation-playground", schemaVersion, exportedAt, workspace }
+// Files saved by older versions ({ prompt, structure, explanation, trainId? })
+// are still accepted and converted into a workspace holding that one train.
+
+import { SCHEMA_VERSION, emptyWorkspace, migrateSave } from './workspaceStorage';
+
+export const FILE_FORMAT = "explanation-playground";
+
+export const serializeWorkspace = (workspace) => JSON.stringify({
+  format: FILE_FORMAT,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  workspace
+}, null, 2);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const validateBlocks = (blocks, path, errors) => {
+  if (!Array.isArray(blocks)) {
+    errors.push(`${path} must be a list of blocks.`);
+    return;
+  }
+
+  blocks.forEach((block, i) => {
+    const where = `${path}[${i}]`;
+    if (!isPlainObject(block)) {
+      errors.push(`${where} is not a block object.`);
+      return;
+    }
+    if (typeof block.id !== "string" || !block.id) errors.push(`${where} is missing an "id".`);
+    if (typeof block.type !== "string") errors.push(`${where} is missing a "type".`);
+    if (typeof block.description !== "string") errors.push(`${where} is missing a "description".`);
+    ["fullText", "instructions"].forEach(field => {
+      if (block[field] !== undefined && typeof block[field] !== "string") {
+        errors.push(`${where}.${field} must be text.`);
+      }
+    });
+    // Blended blocks carry their sources so they can be split again
+    if (block.blendedFrom !== undefined) validateBlocks(block.blendedFrom, `${where}.blendedFrom`, errors);
+    if (block.blendedBranches !== undefined) {
+      if (!isPlainObject(block.blendedBranches)) {
+        errors.push(`${where}.blendedBranches must be an object of branches.`);
+      } else {
+        Object.entries(block.blendedBranches).forEach(([parentId, branch]) =>
+          validateBlocks(branch, `${where}.blendedBranches["${parentId}"]`, errors)
+        );
+      }
+    }
+  });
+};
+
+const collectBlockIds = (workspace) => {
+  const blockIds = new Set(workspace.explanationChain.map(b => b.id));
+  Object.values(workspace.parallelTrains).forEach(branch => branch.forEach(b => blockIds.add(b.id)));
+  return blockIds;
+};
+
+// Returns a list of human-readable problems; empty when the workspace is usable
+export const validateWorkspace = (workspace) => {
+  const errors = [];
+
+  if (!isPlainObject(workspace)) {
+    return ["The file does not contain a workspace object."];
+  }
+
+  if (typeof workspace.prompt !== "string") errors.push(`"prompt" must be text.`);
+
+  validateBlocks(workspace.explanationChain, "explanationChain", errors);
+
+  if (!isPlainObject(workspace.parallelTrains)) {
+    errors.push(`"parallelTrains" must be an object of branches.`);
+  } else {
+    Object.entries(workspace.parallelTrains).forEach(([parentId, branch]) =>
+      validateBlocks(branch, `parallelTrains["${parentId}"]`, errors)
+    );
+  }
+
+  if (!Array.isArray(workspace.customBlocks)) {
+    errors.push(`"customBlocks" must be a list.`);
+  } else {
+    workspace.customBlocks.forEach((template, i) => {
+      if (!isPlainObject(template) || typeof template.type !== "string" || typeof template.description !== "string") {
+        errors.push(`customBlocks[${i}] needs a "type" and a "description".`);
+      }
+    });
+  }
+
+  if (!isPlainObject(workspace.trainOutputs)) {
+    errors.push(`"trainOutputs" must be an object of train outputs.`);
+  } else {
+    Object.entries(workspace.trainOutputs).forEach(([trainId, output]) => {
+      if (typeof output !== "string") errors.push(`trainOutputs["${trainId}"] must be text.`);
+    });
+  }
+
+  if (!isPlainObject(workspace.trainProvenance)) {
+    errors.push(`"trainProvenance" must be an object of span lists.`);
+  } else {
+    Object.entries(workspace.trainProvenance).forEach(([trainId, spans]) => {
+      if (!Array.isArray(spans)) errors.push(`trainProvenance["${trainId}"] must be a list of spans.`);
+    });
+  }
+
+  if (!isPlainObject(workspace.generationSettings)) {
+    errors.push(`"generationSettings" must be an object.`);
+  }
+  if (!isPlainObject(workspace.trainSettings)) {
+    errors.push(`"trainSettings" must be an object of per-train settings.`);
+  } else {
+    Object.entries(workspace.trainSettings).forEach(([trainId, settings]) => {
+      if (!isPlainObject(settings)) errors.push(`trainSettings["${trainId}"] must be an object.`);
+    });
+  }
+
+  if (!Array.isArray(workspace.jargonList) || !workspace.jargonList.every(term => typeof term === "string")) {
+    errors.push(`"jargonList" must be a list of words.`);
+  }
+
+  if (!isPlainObject(workspace.trainCoverage)) {
+    errors.push(`"trainCoverage" must be an object of coverage results.`);
+  } else {
+    Object.entries(workspace.trainCoverage).forEach(([trainId, coverage]) => {
+      if (!isPlainObject(coverage) || !Array.isArray(coverage.results)) {
+        errors.push(`trainCoverage["${trainId}"] must have a list of results.`);
+      }
+    });
+  }
+
+  if (!Array.isArray(workspace.rubric) || !workspace.rubric.every(c => isPlainObject(c) && typeof c.label === "string")) {
+    errors.push(`"rubric" must be a list of criteria with labels.`);
+  }
+
+  if (!Array.isArray(workspace.explanationHistory)) {
+    errors.push(`"explanationHistory" must be a list.`);
+  } else {
+    workspace.explanationHistory.forEach((entry, i) => {
+      if (!isPlainObject(entry) || typeof entry.id !== "string" || typeof entry.explanation !== "string") {
+        errors.push(`explanationHistory[${i}] needs an "id" and an "explanation".`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Per-train data that goes away with its branch
+const TRAIN_MAPS = ["trainOutputs", "trainProvenance", "trainSettings", "trainCoverage"];
+
+// Drop branches that cannot be reached from the main chain (their parent block
+// was removed), together with their outputs. Returns { workspace, dropped }.
+export const pruneOrphanedBranches = (workspace) => {
+  const reachable = new Set();
+  const visit = (blocks) => blocks.forEach(block => {
+    const branch = workspace.parallelTrains[block.id];
+    if (!branch || reachable.has(block.id)) return;
+    reachable.add(block.id);
+    visit(branch);
+  });
+  visit(workspace.explanationChain);
+
+  const dropped = Object.keys(workspace.parallelTrains).filter(id => !reachable.has(id));
+  if (dropped.length === 0) return { workspace, dropped };
+
+  const without = (map) => Object.fromEntries(Object.entries(map).filter(([id]) => !dropped.includes(id)));
+  const pruned = { ...workspace, parallelTrains: without(workspace.parallelTrains) };
+  TRAIN_MAPS.forEach(key => {
+    pruned[key] = without(workspace[key]);
+  });
+  return { workspace: pruned, dropped };
+};
+
+// Warning shown after opening a workspace that had orphaned branches
+export const describeDroppedBranches = (dropped) =>
+  `${dropped.length} branch${dropped.length === 1 ? " was" : "es were"} left over from removed blocks and ${dropped.length === 1 ? "was" : "were"} dropped.`;
+
+// Per-train data to go with a structure that undo/redo brings back: entries
+// written since the snapshot are kept, ones a removal dropped come back, and
+// trains the restored structure no longer has are left out.
+export const restoreTrainData = (snapshot, current) => {
+  const trainIds = collectBlockIds(snapshot).add("main");
+  return Object.fromEntries(TRAIN_MAPS.map(key => {
+    const restored = {};
+    trainIds.forEach(id => {
+      const value = Object.hasOwn(current[key], id) ? current[key][id] : snapshot[key][id];
+      if (value !== undefined) restored[id] = value;
+    });
+    return [key, restored];
+  }));
+};
+
+// Convert the single-train export written by earlier versions. A `trainId`
+// other than "main" means the structure was a branch; its parent block was not
+// exported, so a placeholder stands in for it on the main chain.
+const fromLegacyExport = (data) => {
+  const trainId = typeof data.trainId === "string" && data.trainId ? data.trainId : "main";
+  const structure = data.structure || [];
+  const workspace = {
+    ...emptyWorkspace(),
+    prompt: data.prompt || "",
+    trainOutputs: data.explanation ? { [trainId]: data.explanation } : {}
+  };
+  if (trainId === "main") return { ...workspace, explanationChain: structure };
+
+  return {
+    ...workspace,
+    explanationChain: [{ id: trainId, type: "Imported Branch", icon: "🌿", description: "Stands in for the block this branch grew from." }],
+    parallelTrains: { [trainId]: structure },
+    activeTrain: trainId
+  };
+};
+
+// Parse file text into { workspace, errors, warnings }; workspace is null when errors is non-empty
+export const parseWorkspaceFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { workspace: null, errors: [`The file is not valid JSON (${e.message}).`] };
+  }
+
+  if (!isPlainObject(data)) {
+    return { workspace: null, errors: ["The file does not contain a workspace object."] };
+  }
+
+  let workspace;
+  if (data.format === FILE_FORMAT) {
+    try {
+      workspace = migrateSave(data).workspace;
+    } catch (e) {
+      return { workspace: null, errors: [e.message] };
+    }
+  } else if (Array.isArray(data.structure)) {
+    workspace = fromLegacyExport(data);
+  } else {
+    return { workspace: null, errors: ["This does not look like an Explanation Playground export."] };
+  }
+
+  const errors = validateWorkspace(workspace);
+  if (errors.length) return { workspace: null, errors };
+
+  const warnings = [];
+  const pruned = pruneOrphanedBranches(workspace);
+  workspace = pruned.workspace;
+  if (pruned.dropped.length) warnings.push(describeDroppedBranches(pruned.dropped));
+
+  // Fall back to the main chain if the saved active train no longer exists
+  if (workspace.activeTrain !== "main" && !collectBlockIds(workspace).has(workspace.activeTrain)) {
+    workspace = { ...workspace, activeTrain: "main" };
+  }
+
+  return { workspace, errors, warnings };
+};
@@ -0,0 +1,183 @@
+import { describe, test, expect } from "vitest";
+import {
+  FILE_FORMAT,
+  parseWorkspaceFile,
+  pruneOrphanedBranches,
+  restoreTrainData,
+  serializeWorkspace,
+  validateWorkspace,
+} from "./workspaceFile";
+import { SCHEMA_VERSION, emptyWorkspace } from "./workspaceStorage";
+
+const block = (id) => ({ id, type: "Hook", description: `Block ${id}` });
+
+const exportFile = (workspace, schemaVersion = SCHEMA_VERSION) =>
+  JSON.stringify({ format: FILE_FORMAT, schemaVersion, workspace });
+
+describe("parseWorkspaceFile", () => {
+  test("reads back what serializeWorkspace wrote", () => {
+    const workspace = {
+      ...emptyWorkspace(),
+      prompt: "Why is the sky blue?",
+      explanationChain: [block("a")],
+      parallelTrains: { a: [block("b")] },
+      trainOutputs: { main: "Because.", a: "Scattering." },
+      activeTrain: "a",
+    };
+    expect(parseWorkspaceFile(serializeWorkspace(workspace))).toEqual({ workspace, errors: [], warnings: [] });
+  });
+
+  test("rejects text that is not JSON or not an export", () => {
+    expect(parseWorkspaceFile("{ nope").errors[0]).toMatch(/not valid JSON/);
+    expect(parseWorkspaceFile("[1, 2]").errors).toEqual(["The file does not contain a workspace object."]);
+    expect(parseWorkspaceFile('{"hello": "world"}').errors[0]).toMatch(/does not look like/);
+  });
+
+  test("rejects files from a newer version", () => {
+    const { workspace, errors } = parseWorkspaceFile(exportFile(emptyWorkspace(), SCHEMA_VERSION + 1));
+    expect(workspace).toBeNull();
+    expect(errors[0]).toMatch(/newer version/);
+  });
+
+  test("lists every problem with the workspace's shape", () => {
+    const { workspace, errors } = parseWorkspaceFile(exportFile({
+      ...emptyWorkspace(),
+      prompt: 42,
+      explanationChain: [{ type: "Hook", description: "No id" }, "not a block", { ...block("c"), instructions: 7 }],
+      trainOutputs: { main: ["not", "text"] },
+    }));
+    expect(workspace).toBeNull();
+    expect(errors).toEqual([
+      `"prompt" must be text.`,
+      `explanationChain[0] is missing an "id".`,
+      "explanationChain[1] is not a block object.",
+      "explanationChain[2].instructions must be text.",
+      `trainOutputs["main"] must be text.`,
+    ]);
+  });
+
+  test("checks the source blocks kept inside blended blocks", () => {
+    const blended = { ...block("ab"), blendedFrom: [block("a"), { id: "b", type: "Hook" }], blendedBranches: { a: "nope" } };
+    const { errors } = parseWorkspaceFile(exportFile({ ...emptyWorkspace(), explanationChain: [blended] }));
+    expect(errors).toEqual([
+      `explanationChain[0].blendedFrom[1] is missing a "description".`,
+      `explanationChain[0].blendedBranches["a"] must be a list of blocks.`,
+    ]);
+  });
+
+  test("drops branches whose parent block is gone and warns about them", () => {
+    const { workspace, errors, warnings } = parseWorkspaceFile(exportFile({
+      ...emptyWorkspace(),
+      explanationChain: [block("a")],
+      parallelTrains: { a: [block("b")], gone: [block("c")] },
+      trainOutputs: { main: "Main.", a: "Kept.", gone: "Dropped." },
+      activeTrain: "gone",
+    }));
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual(["1 branch was left over from removed blocks and was dropped."]);
+    expect(workspace.parallelTrains).toEqual({ a: [block("b")] });
+    expect(workspace.trainOutputs).toEqual({ main: "Main.", a: "Kept." });
+    expect(workspace.activeTrain).toBe("main");
+  });
+
+  test("falls back to the main chain when the active train no longer exists", () => {
+    const { workspace } = parseWorkspaceFile(exportFile({ ...emptyWorkspace(), activeTrain: "missing" }));
+    expect(workspace.activeTrain).toBe("main");
+  });
+
+  test("converts the single-train export of earlier versions", () => {
+    const legacy = JSON.stringify({ prompt: "Why?", structure: [block("a")], explanation: "Because." });
+    expect(parseWorkspaceFile(legacy).workspace).toEqual({
+      ...emptyWorkspace(),
+      prompt: "Why?",
+      explanationChain: [block("a")],
+      trainOutputs: { main: "Because." },
+    });
+  });
+
+  test("keeps the exported train id of an earlier-version branch export", () => {
+    const legacy = JSON.stringify({ prompt: "Why?", trainId: "a", structure: [block("b")], explanation: "Branch." });
+    const { workspace, errors } = parseWorkspaceFile(legacy);
+
+    expect(errors).toEqual([]);
+    expect(workspace.explanationChain.map(b => b.id)).toEqual(["a"]);
+    expect(workspace.parallelTrains).toEqual({ a: [block("b")] });
+    expect(workspace.trainOutputs).toEqual({ a: "Branch." });
+    expect(workspace.activeTrain).toBe("a");
+
+    const main = JSON.stringify({ prompt: "Why?", trainId: "main", structure: [block("a")], explanation: "Because." });
+    expect(parseWorkspaceFile(main).workspace.trainOutputs).toEqual({ main: "Because." });
+  });
+});
+
+describe("validateWorkspace", () => {
+  test("accepts an empty workspace and names every missing part", () => {
+    expect(validateWorkspace(emptyWorkspace())).toEqual([]);
+    const errors = validateWorkspace({});
+    expect(errors).toContain(`"prompt" must be text.`);
+    expect(errors).toContain("explanationChain must be a list of blocks.");
+  });
+});
+
+describe("pruneOrphanedBranches", () => {
+  test("drops every branch not reachable from the main chain, with its per-train data", () => {
+    const workspace = {
+      ...emptyWorkspace(),
+      explanationChain: [block("a")],
+      parallelTrains: { a: [block("b")], b: [block("c")], gone: [block("d")], d: [block("e")] },
+      trainOutputs: { main: "Main.", b: "Kept.", gone: "Dropped.", d: "Dropped too." },
+      trainSettings: { d: { tone: "Formal" } },
+      trainCoverage: { gone: [] },
+      trainProvenance: { gone: [] },
+    };
+    const { workspace: pruned, dropped } = pruneOrphanedBranches(workspace);
+
+    expect(dropped).toEqual(["gone", "d"]);
+    expect(Object.keys(pruned.parallelTrains)).toEqual(["a", "b"]);
+    expect(pruned.trainOutputs).toEqual({ main: "Main.", b: "Kept." });
+    expect(pruned.trainSettings).toEqual({});
+    expect(pruned.trainCoverage).toEqual({});
+    expect(pruned.trainProvenance).toEqual({});
+  });
+
+  test("returns the same workspace when nothing is orphaned", () => {
+    const workspace = { ...emptyWorkspace(), explanationChain: [block("a")], parallelTrains: { a: [block("b")] } };
+    expect(pruneOrphanedBranches(workspace)).toEqual({ workspace, dropped: [] });
+    expect(pruneOrphanedBranches(workspace).workspace).toBe(workspace);
+  });
+});
+
+describe("restoreTrainData", () => {
+  const before = {
+    ...emptyWorkspace(),
+    explanationChain: [block("a"), block("b")],
+    parallelTrains: { b: [block("c")] },
+    trainOutputs: { main: "Main.", b: "Branch." },
+    trainProvenance: { b: [{ start: 0, end: 7, blockIds: ["c"] }] },
+    trainSettings: { b: { tone: "Playful" } },
+    trainCoverage: { b: { checkedAt: "2026-01-01", results: [] } },
+  };
+
+  // What removing block "b" leaves behind: its branch and per-train data are gone
+  const { workspace: removed } = pruneOrphanedBranches({ ...before, explanationChain: [block("a")] });
+
+  test("undoing a removal brings the removed branch's data back", () => {
+    expect(removed.trainOutputs).toEqual({ main: "Main." });
+
+    expect(restoreTrainData(before, removed)).toEqual({
+      trainOutputs: before.trainOutputs,
+      trainProvenance: before.trainProvenance,
+      trainSettings: before.trainSettings,
+      trainCoverage: before.trainCoverage,
+    });
+  });
+
+  test("keeps what was written since the snapshot and drops trains the structure lacks", () => {
+    const current = { ...removed, trainOutputs: { main: "Regenerated.", gone: "Stale." } };
+    expect(restoreTrainData(before, current).trainOutputs).toEqual({ main: "Regenerated.", b: "Branch." });
+
+    // Redoing the removal afterwards leaves nothing behind for "b"
+    const undone = { ...before, ...restoreTrainData(before, current) };
+    expect(restoreTrainData(removed, undone).trainOutputs).toEqual({ main: "Regenerated." });
+  });
+});
@@ -0,0 +1,243 @@
+// 💾 Browser persistence for workspaces and named projects
+//
+// Layout in localStorage:
+//   explanation-playground:index          -> { activeProjectId, projects: [{ id, name, createdAt, remote? }] }
+//   explanation-playground:project:<id>   -> { schemaVersion, workspace }
+// `remote` is { id, revision } once a project has been saved to the server.
+//
+// Bump SCHEMA_VERSION whenever the workspace shape changes and add a step to
+// `migrations` so older saves keep loading.
+
+import { emptySettings } from './generationSettings';
+import { DEFAULT_JARGON } from './readability';
+import { DEFAULT_RUBRIC } from './rubric';
+
+export const SCHEMA_VERSION = 6;
+
+const STORAGE_PREFIX = "explanation-playground";
+const INDEX_KEY = `${STORAGE_PREFIX}:index`;
+const projectKey = (id) => `${STORAGE_PREFIX}:project:${id}`;
+
+export const emptyWorkspace = () => ({
+  prompt: "",
+  explanationChain: [],
+  parallelTrains: {},
+  customBlocks: [],
+  trainOutputs: {},
+  trainProvenance: {},
+  explanationHistory: [],
+  generationSettings: emptySettings(),
+  trainSettings: {},
+  jargonList: DEFAULT_JARGON,
+  rubric: DEFAULT_RUBRIC.map(criterion => ({ ...criterion, weight: 1 })),
+  trainCoverage: {},
+  activeTrain: "main"
+});
+
+// Each entry upgrades a save from version `n` to `n + 1`
+const migrations = {
+  // Version 0: unversioned saves that stored the workspace fields at the top level
+  0: ({ schemaVersion, ...data }) => ({
+    schemaVersion: 1,
+    workspace: { ...emptyWorkspace(), ...(data.workspace || data) }
+  }),
+  // Version 1: custom templates had no id or category
+  1: (data) => ({
+    schemaVersion: 2,
+    workspace: {
+      ...data.workspace,
+      customBlocks: (data.workspace.customBlocks || []).map((template, i) => ({
+        id: template.id || `template-${i}-${Date.now()}`,
+        category: template.category || "Custom",
+        ...template
+      }))
+    }
+  }),
+  // Version 2: no generation settings
+  2: (data) => ({
+    schemaVersion: 3,
+    workspace: {
+      generationSettings: emptySettings(),
+      trainSettings: {},
+      ...data.workspace
+    }
+  }),
+  // Version 3: no jargon list for readability metrics
+  3: (data) => ({
+    schemaVersion: 4,
+    workspace: {
+      jargonList: DEFAULT_JARGON,
+      ...data.workspace
+    }
+  }),
+  // Version 4: no judging rubric
+  4: (data) => ({
+    schemaVersion: 5,
+    workspace: {
+      rubric: emptyWorkspace().rubric,
+      ...data.workspace
+    }
+  }),
+  // Version 5: no structure coverage results
+  5: (data) => ({
+    schemaVersion: 6,
+    workspace: {
+      trainCoverage: {},
+      ...data.workspace
+    }
+  })
+};
+
+export const migrateSave = (data) => {
+  let current = { ...data, schemaVersion: data.schemaVersion || 0 };
+
+  if (current.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`Save was written by a newer version (schema ${current.schemaVersion}).`);
+  }
+
+  while (current.schemaVersion < SCHEMA_VERSION) {
+    const migrate = migrations[current.schemaVersion];
+    if (!migrate) {
+      throw new Error(`No migration from schema ${current.schemaVersion}.`);
+    }
+    current = migrate(current);
+  }
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    workspace: { ...emptyWorkspace(), ...current.workspace }
+  };
+};
+
+const readJson = (key) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.error(`❌ Could not read ${key}:`, e);
+    return null;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    // Most likely the storage quota is exhausted
+    console.error(`❌ Could not write ${key}:`, e);
+    return false;
+  }
+};
+
+const newProjectId = () => `project-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const loadProjectIndex = () => {
+  const index = readJson(INDEX_KEY);
+  if (!index || !Array.isArray(index.projects)) {
+    return { activeProjectId: null, projects: [] };
+  }
+  return index;
+};
+
+export const saveProjectIndex = (index) => writeJson(INDEX_KEY, index);
+
+export const loadWorkspace = (projectId) => {
+  const data = readJson(projectKey(projectId));
+  if (!data) return emptyWorkspace();
+
+  try {
+    return migrateSave(data).workspace;
+  } catch (e) {
+    console.error(`❌ Could not load project ${projectId}:`, e);
+    return emptyWorkspace();
+  }
+};
+
+export const saveWorkspace = (projectId, workspace) => {
+  return writeJson(projectKey(projectId), {
+    schemaVersion: SCHEMA_VERSION,
+    workspace
+  });
+};
+
+export const createProject = (index, name, workspace = emptyWorkspace()) => {
+  const project = {
+    id: newProjectId(),
+    name: name || "Untitled Project",
+    createdAt: new Date().toISOString()
+  };
+
+  saveWorkspace(project.id, workspace);
+  const nextIndex = {
+    activeProjectId: project.id,
+    projects: [...index.projects, project]
+  };
+  saveProjectIndex(nextIndex);
+  return { index: nextIndex, project };
+};
+
+export const renameProject = (index, projectId, name) => {
+  const nextIndex = {
+    ...index,
+    projects: index.projects.map(p => (p.id === projectId ? { ...p, name } : p))
+  };
+  saveProjectIndex(nextIndex);
+  return nextIndex;
+};
+
+export const duplicateProject = (index, projectId) => {
+  const source = index.projects.find(p => p.id === projectId);
+  if (!source) return { index, project: null };
+
+  return createProject(index, `${source.name} (copy)`, loadWorkspace(projectId));
+};
+
+export const deleteProject = (index, projectId) => {
+  try {
+    window.localStorage.removeItem(projectKey(projectId));
+  } catch (e) {
+    console.error(`❌ Could not delete project ${projectId}:`, e);
+  }
+
+  const projects = index.projects.filter(p => p.id !== projectId);
+  const nextIndex = {
+    activeProjectId: index.activeProjectId === projectId
+      ? projects[0]?.id || null
+      : index.activeProjectId,
+    projects
+  };
+  saveProjectIndex(nextIndex);
+  return nextIndex;
+};
+
+// Remember which server project (and revision) a local project was last synced with
+export const linkRemoteProject = (index, projectId, remote) => {
+  const nextIndex = {
+    ...index,
+    projects: index.projects.map(p => (p.id === projectId ? { ...p, remote } : p))
+  };
+  saveProjectIndex(nextIndex);
+  return nextIndex;
+};
+
+export const setActiveProject = (index, projectId) => {
+  const nextIndex = { ...index, activeProjectId: projectId };
+  saveProjectIndex(nextIndex);
+  return nextIndex;
+};
+
+// Load the index and active workspace, creating a first project if there is none
+export const bootstrapProjects = () => {
+  let index = loadProjectIndex();
+
+  if (index.projects.length === 0) {
+    index = createProject(index, "Untitled Project").index;
+  }
+
+  if (!index.projects.some(p => p.id === index.activeProjectId)) {
+    index = setActiveProject(index, index.projects[0].id);
+  }
+
+  return { index, workspace: loadWorkspace(index.activeProjectId) };
+};
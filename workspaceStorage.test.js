@@ -0,0 +1,120 @@
+import { describe, test, expect, beforeEach, afterAll, vi } from "vitest";
+import {
+  SCHEMA_VERSION,
+  emptyWorkspace,
+  migrateSave,
+  loadWorkspace,
+  saveWorkspace,
+  createProject,
+  renameProject,
+  duplicateProject,
+  deleteProject,
+  linkRemoteProject,
+  loadProjectIndex,
+  bootstrapProjects,
+} from "./workspaceStorage";
+import { emptySettings } from "./generationSettings";
+import { DEFAULT_JARGON } from "./readability";
+
+const chain = [{ id: "b1", type: "Hook", description: "Grab attention" }];
+
+// A Map-backed stand-in for the browser's localStorage
+let items;
+beforeEach(() => {
+  items = new Map();
+  globalThis.window = {
+    localStorage: {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: (key) => items.delete(key),
+    },
+  };
+});
+afterAll(() => {
+  delete globalThis.window;
+});
+
+describe("migrateSave", () => {
+  test("upgrades an unversioned save all the way to the current schema", () => {
+    const { schemaVersion, workspace } = migrateSave({
+      prompt: "Why is the sky blue?",
+      explanationChain: chain,
+      customBlocks: [{ type: "Story", description: "Tell one" }],
+    });
+
+    expect(schemaVersion).toBe(SCHEMA_VERSION);
+    expect(workspace).toEqual({
+      ...emptyWorkspace(),
+      prompt: "Why is the sky blue?",
+      explanationChain: chain,
+      customBlocks: [{ id: expect.stringMatching(/^template-0-/), category: "Custom", type: "Story", description: "Tell one" }],
+    });
+  });
+
+  test("fills in what each version lacked and keeps what was saved", () => {
+    const settings = { ...emptySettings(), audience: "kids" };
+    const { workspace } = migrateSave({
+      schemaVersion: 2,
+      workspace: { prompt: "p", explanationChain: chain, trainSettings: { main: settings } },
+    });
+
+    expect(workspace.generationSettings).toEqual(emptySettings());
+    expect(workspace.trainSettings).toEqual({ main: settings });
+    expect(workspace.jargonList).toEqual(DEFAULT_JARGON);
+    expect(workspace.rubric).toEqual(emptyWorkspace().rubric);
+    expect(workspace.trainCoverage).toEqual({});
+  });
+
+  test("keeps custom template ids and categories from version 1 on", () => {
+    const template = { id: "t1", category: "Mine", type: "Story", description: "Tell one" };
+    const { workspace } = migrateSave({ schemaVersion: 1, workspace: { customBlocks: [template] } });
+    expect(workspace.customBlocks).toEqual([template]);
+  });
+
+  test("leaves current saves alone and refuses newer ones", () => {
+    const current = { ...emptyWorkspace(), prompt: "p" };
+    expect(migrateSave({ schemaVersion: SCHEMA_VERSION, workspace: current }).workspace).toEqual(current);
+    expect(() => migrateSave({ schemaVersion: SCHEMA_VERSION + 1, workspace: current })).toThrow(/newer version/);
+  });
+});
+
+describe("projects", () => {
+  test("bootstrapping creates a first project and makes it active", () => {
+    const { index, workspace } = bootstrapProjects();
+    expect(index.projects).toHaveLength(1);
+    expect(index.projects[0].name).toBe("Untitled Project");
+    expect(index.activeProjectId).toBe(index.projects[0].id);
+    expect(workspace).toEqual(emptyWorkspace());
+
+    expect(bootstrapProjects().index).toEqual(index);
+  });
+
+  test("saves, renames, duplicates and deletes projects", () => {
+    let { index, project } = createProject({ activeProjectId: null, projects: [] }, "Gravity");
+    saveWorkspace(project.id, { ...emptyWorkspace(), prompt: "Why do things fall?" });
+    expect(loadWorkspace(project.id).prompt).toBe("Why do things fall?");
+
+    index = renameProject(index, project.id, "Falling");
+    const copy = duplicateProject(index, project.id);
+    expect(copy.project.name).toBe("Falling (copy)");
+    expect(copy.index.activeProjectId).toBe(copy.project.id);
+    expect(loadWorkspace(copy.project.id).prompt).toBe("Why do things fall?");
+
+    index = deleteProject(copy.index, copy.project.id);
+    expect(index.projects.map(p => p.name)).toEqual(["Falling"]);
+    expect(index.activeProjectId).toBe(project.id);
+    expect(loadWorkspace(copy.project.id)).toEqual(emptyWorkspace());
+  });
+
+  test("remembers which server project a local one is linked to", () => {
+    const { index, project } = createProject({ activeProjectId: null, projects: [] }, "Gravity");
+    linkRemoteProject(index, project.id, { id: "remote-1", revision: 3 });
+    expect(loadProjectIndex().projects[0].remote).toEqual({ id: "remote-1", revision: 3 });
+  });
+
+  test("unreadable saves load as an empty workspace", () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    items.set("explanation-playground:project:broken", "{ not json");
+    expect(loadWorkspace("broken")).toEqual(emptyWorkspace());
+  });
+});